@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { main } from '../cli/index.js';
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}).catch(err => {
+    process.stderr.write(`${err.message}\n`);
+    process.exitCode = 2;
+});
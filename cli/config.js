@@ -0,0 +1,50 @@
+/**
+ * MarkupAudit CLI - Configuration Loading
+ * Finds and reads .markupauditrc files from disk.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG_FILE_NAMES, parseConfig } from '../js/config.js';
+
+/**
+ * Find the nearest configuration file, searching from `dir` up to the filesystem root
+ * @param {string} dir
+ * @returns {string|null} Absolute path or null
+ */
+export function findConfigFile(dir) {
+    let current = path.resolve(dir);
+    for (;;) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const candidate = path.join(current, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+/**
+ * Load configuration from an explicit path, or the nearest .markupauditrc
+ * @param {string|null} explicitPath
+ * @param {string} cwd
+ * @returns {{ config: object, path: string|null }}
+ */
+export function loadConfig(explicitPath, cwd) {
+    const file = explicitPath ? path.resolve(cwd, explicitPath) : findConfigFile(cwd);
+    if (!file) return { config: parseConfig(''), path: null };
+
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Could not read configuration file ${file}: ${err.message}`);
+    }
+
+    try {
+        return { config: parseConfig(text), path: file };
+    } catch (err) {
+        throw new Error(`${path.relative(cwd, file) || file}: ${err.message}`);
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * MarkupAudit CLI - DOM Adapters
+ * Loads a Node DOM implementation and exposes it as a DOMParser-compatible parser.
+ */
+
+import { impliedElementsParser } from '../js/parser.js';
+
+const DEFAULT_IMPLEMENTATIONS = ['linkedom', 'jsdom'];
+
+/**
+ * Load a DOMParser-compatible parser
+ * @param {string|null} name Module name or path; tries linkedom then jsdom when omitted
+ * @returns {Promise<{ parseFromString: function(string, string): Document }>}
+ */
+export async function loadParser(name = null) {
+    const candidates = name ? [name] : DEFAULT_IMPLEMENTATIONS;
+
+    for (const candidate of candidates) {
+        let mod;
+        try {
+            mod = await import(candidate);
+        } catch (err) {
+            if (name) throw new Error(`Could not load DOM implementation "${name}": ${err.message}`);
+            continue;
+        }
+        return createParser(mod, candidate);
+    }
+
+    throw new Error(`No DOM implementation found. Install one of: ${DEFAULT_IMPLEMENTATIONS.join(', ')} (e.g. "npm install linkedom").`);
+}
+
+function createParser(mod, name) {
+    const api = mod.default && !mod.DOMParser && !mod.JSDOM ? mod.default : mod;
+
+    // linkedom and happy-dom style: a real DOMParser class, which may not imply <html> and <body>
+    if (typeof api.DOMParser === 'function') {
+        return impliedElementsParser(new api.DOMParser());
+    }
+
+    // jsdom style: construct a window per document
+    if (typeof api.JSDOM === 'function') {
+        return {
+            parseFromString(html) {
+                return new api.JSDOM(html).window.document;
+            }
+        };
+    }
+
+    throw new Error(`Module "${name}" does not export a DOMParser or JSDOM constructor.`);
+}
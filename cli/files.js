@@ -0,0 +1,145 @@
+/**
+ * MarkupAudit CLI - File Resolution
+ * Expands file, directory and glob arguments into a list of HTML and template files.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { modeForFile } from '../js/templates.js';
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const IGNORED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Resolve CLI path arguments into a sorted, de-duplicated list of files
+ * @param {string[]} patterns Files, directories or glob patterns
+ * @param {string} cwd
+ * @returns {{ files: string[], unmatched: string[] }}
+ */
+export function resolveFiles(patterns, cwd = process.cwd()) {
+    const files = new Set();
+    const unmatched = [];
+
+    patterns.forEach(pattern => {
+        const found = expandPattern(pattern, cwd);
+        if (found.length === 0) unmatched.push(pattern);
+        found.forEach(file => files.add(file));
+    });
+
+    return { files: [...files].sort(), unmatched };
+}
+
+function expandPattern(pattern, cwd) {
+    const absolute = path.resolve(cwd, pattern);
+
+    if (!isGlob(pattern)) {
+        if (!fs.existsSync(absolute)) return [];
+        if (fs.statSync(absolute).isDirectory()) {
+            return walk(absolute).filter(isAuditableFile);
+        }
+        return [absolute];
+    }
+
+    // Walk from the longest non-glob prefix and match the rest
+    const segments = absolute.split(path.sep);
+    const firstGlob = segments.findIndex(isGlob);
+    const base = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+    if (!fs.existsSync(base)) return [];
+
+    const matcher = globToRegExp(segments.join('/'));
+    return walk(base).filter(file => matcher.test(file.split(path.sep).join('/')));
+}
+
+/**
+ * Read every HTML file below a directory, keyed by its forward-slash relative path
+ * @param {string} dir
+ * @returns {Map<string, string>}
+ */
+export function readSiteDirectory(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Not a directory: ${dir}`);
+    }
+    const files = new Map();
+    walk(dir).filter(isHtmlFile).forEach(file => {
+        files.set(path.relative(dir, file).split(path.sep).join('/'), fs.readFileSync(file, 'utf8'));
+    });
+    return files;
+}
+
+function walk(dir) {
+    const results = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRS.includes(entry.name)) results.push(...walk(full));
+        } else if (entry.isFile()) {
+            results.push(full);
+        }
+    });
+    return results;
+}
+
+function isHtmlFile(file) {
+    return HTML_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+// HTML, or a template type with its own input mode (.jsx, .vue, .hbs, ...)
+function isAuditableFile(file) {
+    return isHtmlFile(file) || modeForFile(file) !== 'document';
+}
+
+function isGlob(str) {
+    return /[*?{[]/.test(str);
+}
+
+/**
+ * Convert a glob (supports **, *, ?, [abc], [!abc] and {a,b}) into a RegExp
+ * matched against forward-slash separated paths.
+ */
+export function globToRegExp(glob) {
+    let re = '';
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories
+                if (glob[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i += 1;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const close = glob.indexOf(']', i);
+            if (close === -1) {
+                re += '\\[';
+            } else {
+                // [!abc] is the glob spelling of a negated class; it never matches a separator
+                const negated = glob[i + 1] === '!';
+                const body = glob.slice(negated ? i + 2 : i + 1, close);
+                re += negated ? `[^/${body}]` : `[${body}]`;
+                i = close;
+            }
+        } else if (c === '{') {
+            inGroup = true;
+            re += '(?:';
+        } else if (c === '}' && inGroup) {
+            inGroup = false;
+            re += ')';
+        } else if (c === ',' && inGroup) {
+            re += '|';
+        } else {
+            re += c.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${re}$`);
+}
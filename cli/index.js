@@ -0,0 +1,338 @@
+/**
+ * MarkupAudit CLI
+ * Runs the AuditEngine over HTML files, directories and glob patterns.
+ *
+ * Exit codes:
+ *   0 - No Critical issues found (with --baseline: no new Critical issues)
+ *   1 - At least one Critical issue found (with --baseline: at least one new one;
+ *       with --compare: at least one Critical issue introduced)
+ *   2 - Usage error, a path that matched no files, or a file that could not be audited
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { AuditEngine } from '../js/rules.js';
+import { FORMATS, formatReports } from '../js/reporters/index.js';
+import { applyBaseline, createBaseline, onlyNewIssues, parseBaseline } from '../js/baseline.js';
+import { crawlSite, createFileSource, createSitemapSource } from '../js/crawler.js';
+import { auditSite } from '../js/site.js';
+import { applyFixes } from '../js/fixer.js';
+import { INPUT_MODES, modeForFile } from '../js/templates.js';
+import { compareReports, parseReportsJson, selectReport } from '../js/compare.js';
+import { formatComparisonJson } from '../js/reporters/json.js';
+import { loadConfig } from './config.js';
+import { loadParser } from './dom.js';
+import { resolveFiles, readSiteDirectory } from './files.js';
+import { formatFileReport, formatSummary, formatSiteReport, formatComparison, countSeverities } from './text-report.js';
+
+export const EXIT_OK = 0;
+export const EXIT_CRITICAL = 1;
+export const EXIT_ERROR = 2;
+
+const USAGE = `Usage: markupaudit [options] <file|directory|glob>...
+       markupaudit [options] --site <directory>
+       markupaudit [options] --sitemap <url>
+       markupaudit [options] --compare <before> <after>
+
+Audit HTML files for semantic, accessibility and hygiene issues.
+
+Options:
+  --site <dir>     Audit a folder of built HTML as one site, following internal links
+  --sitemap <url>  Audit every page listed in a sitemap.xml, following internal links
+  --max-pages <n>  Stop crawling after n pages (default: 500)
+  --compare        Compare two audits: HTML files, or JSON reports written with -f json
+  --dom <module>   DOM implementation to parse with (default: linkedom, then jsdom)
+  --mode <mode>    Input mode: ${INPUT_MODES.map(mode => mode.id).join(', ')}
+                   (default: by file extension, e.g. .vue, .jsx, .hbs; otherwise document)
+  -c, --config <file>
+                   Configuration file (default: nearest .markupauditrc)
+  -f, --format <name>
+                   Output format: text (default), ${Object.keys(FORMATS).join(', ')}
+  --collapsed      Markdown only: wrap each category in a <details> block
+  -o, --output <file>
+                   Write the formatted report to a file instead of stdout
+  -b, --baseline <file>
+                   Compare against a saved baseline and fail only on new Critical issues
+  --write-baseline <file>
+                   Save this run's issues as a baseline
+  --only-new       With --baseline, only report issues that are not in the baseline
+  --fix            Apply automatic fixes and rewrite the files in place
+  -q, --quiet      Only print the summary
+  -h, --help       Show this help
+
+Exit codes: 0 = no (new) Critical issues, 1 = (new) Critical issues found,
+            2 = error, or a path or file that could not be audited`;
+
+// Formats --compare can write
+const COMPARE_FORMATS = ['text', 'json'];
+
+/**
+ * CLI entry point
+ * @param {string[]} argv Arguments without the node/script prefix
+ * @param {{ stdout?: NodeJS.WritableStream, stderr?: NodeJS.WritableStream, cwd?: string }} io
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const cwd = io.cwd || process.cwd();
+
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                dom: { type: 'string' },
+                mode: { type: 'string' },
+                site: { type: 'string' },
+                sitemap: { type: 'string' },
+                'max-pages': { type: 'string', default: '500' },
+                compare: { type: 'boolean' },
+                config: { type: 'string', short: 'c' },
+                format: { type: 'string', short: 'f', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                collapsed: { type: 'boolean' },
+                baseline: { type: 'string', short: 'b' },
+                'write-baseline': { type: 'string' },
+                'only-new': { type: 'boolean' },
+                fix: { type: 'boolean' },
+                quiet: { type: 'boolean', short: 'q' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+    const siteMode = Boolean(values.site || values.sitemap);
+    if (!siteMode && positionals.length === 0) {
+        stderr.write(`No input files given.\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    if (values.site && values.sitemap) {
+        stderr.write('Use either --site or --sitemap, not both.\n');
+        return EXIT_ERROR;
+    }
+    const maxPages = parseInt(values['max-pages'], 10);
+    if (!(maxPages > 0)) {
+        stderr.write('--max-pages must be a positive number.\n');
+        return EXIT_ERROR;
+    }
+    if (values.mode && !INPUT_MODES.some(mode => mode.id === values.mode)) {
+        stderr.write(`Unknown input mode "${values.mode}". Use one of: ${INPUT_MODES.map(mode => mode.id).join(', ')}.\n`);
+        return EXIT_ERROR;
+    }
+    if (values.mode && siteMode) {
+        stderr.write('--mode only works on files; --site and --sitemap audit whole documents.\n');
+        return EXIT_ERROR;
+    }
+    if (values.fix && siteMode) {
+        stderr.write('--fix only works on files, not with --site or --sitemap.\n');
+        return EXIT_ERROR;
+    }
+    if (values.compare) {
+        if (siteMode || values.fix || values.baseline || positionals.length !== 2) {
+            stderr.write('--compare takes exactly two files (HTML or JSON reports) and no --site, --sitemap, --fix or --baseline.\n');
+            return EXIT_ERROR;
+        }
+        if (!COMPARE_FORMATS.includes(values.format)) {
+            stderr.write(`--compare supports these formats: ${COMPARE_FORMATS.join(', ')}.\n`);
+            return EXIT_ERROR;
+        }
+    }
+    if (values.format !== 'text' && !FORMATS[values.format]) {
+        stderr.write(`Unknown format "${values.format}". Use one of: text, ${Object.keys(FORMATS).join(', ')}.\n`);
+        return EXIT_ERROR;
+    }
+
+    let baseline = null;
+    if (values.baseline) {
+        try {
+            baseline = parseBaseline(fs.readFileSync(path.resolve(cwd, values.baseline), 'utf8'));
+        } catch (err) {
+            stderr.write(`${values.baseline}: ${err.message}\n`);
+            return EXIT_ERROR;
+        }
+    } else if (values['only-new']) {
+        stderr.write('--only-new requires --baseline.\n');
+        return EXIT_ERROR;
+    }
+
+    let engine;
+    try {
+        const { config } = loadConfig(values.config || null, cwd);
+        engine = new AuditEngine({ parser: await loadParser(values.dom || null), config });
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return EXIT_ERROR;
+    }
+
+    if (values.compare) return runComparison(positionals, engine, values, { stdout, stderr, cwd });
+
+    let reports = [];
+    let failures = [];
+    let fixed = [];
+    let site = null;
+    let unmatched = [];
+
+    if (siteMode) {
+        try {
+            const source = values.site
+                ? createFileSource(readSiteDirectory(path.resolve(cwd, values.site)))
+                : await createSitemapSource(values.sitemap);
+            if (source.start.length === 0) {
+                stderr.write('No pages found to audit.\n');
+                return EXIT_ERROR;
+            }
+            const crawl = await crawlSite(source, { maxPages });
+            site = auditSite(crawl.pages, engine, { source: values.site || values.sitemap, missing: crawl.missing });
+            ({ reports, failures } = site);
+        } catch (err) {
+            stderr.write(`${err.message}\n`);
+            return EXIT_ERROR;
+        }
+    } else {
+        let files;
+        ({ files, unmatched } = resolveFiles(positionals, cwd));
+        unmatched.forEach(pattern => stderr.write(`No files matched "${pattern}"\n`));
+        if (files.length === 0) {
+            stderr.write('No HTML files to audit.\n');
+            return EXIT_ERROR;
+        }
+
+        files.forEach(file => {
+            const relative = path.relative(cwd, file) || file;
+            try {
+                const rawHtml = fs.readFileSync(file, 'utf8');
+                const mode = values.mode || modeForFile(file);
+                let report = engine.run(rawHtml, relative, { mode });
+                if (values.fix) {
+                    const { html, applied } = applyFixes(rawHtml, report);
+                    if (applied.length > 0) {
+                        fs.writeFileSync(file, html);
+                        fixed.push({ file: relative, count: applied.length });
+                        // Report what is left after fixing
+                        report = engine.run(html, relative, { mode });
+                    }
+                }
+                reports.push(report);
+            } catch (err) {
+                failures.push({ file: relative, message: err.message });
+            }
+        });
+    }
+
+    if (baseline) reports.forEach(report => applyBaseline(report, baseline));
+    const outputReports = values['only-new'] ? reports.map(onlyNewIssues) : reports;
+
+    const textOutput = values.format === 'text';
+    let text = '';
+    if (textOutput && !values.quiet) {
+        outputReports.forEach(report => {
+            text += `${formatFileReport(report)}\n`;
+        });
+    }
+    if (textOutput && site) text += `${formatSiteReport(site)}\n`;
+
+    if (values['write-baseline']) {
+        try {
+            fs.writeFileSync(path.resolve(cwd, values['write-baseline']), `${JSON.stringify(createBaseline(reports), null, 2)}\n`);
+        } catch (err) {
+            stderr.write(`Could not write ${values['write-baseline']}: ${err.message}\n`);
+            return EXIT_ERROR;
+        }
+    }
+
+    const summary = `${formatSummary(reports, failures, { fixed, fixMode: values.fix, siteMode, siteIssues: site ? site.siteIssues : [] })}\n`;
+    const output = textOutput
+        ? text + summary
+        : `${formatReports(outputReports, values.format, { registry: engine.registry, collapsed: values.collapsed, site, stylesheet: values.format === 'html' ? readStylesheet() : undefined })}\n`;
+
+    if (values.output) {
+        try {
+            fs.writeFileSync(path.resolve(cwd, values.output), output);
+        } catch (err) {
+            stderr.write(`Could not write ${values.output}: ${err.message}\n`);
+            return EXIT_ERROR;
+        }
+        if (!textOutput || values.quiet) stdout.write(summary);
+    } else {
+        stdout.write(output);
+        // Keep machine-readable stdout clean; the summary goes to stderr
+        if (!textOutput && !values.quiet) stderr.write(summary);
+    }
+
+    // A build gate must not pass when some of its input was never audited
+    if (reports.length === 0 || failures.length > 0 || unmatched.length > 0) return EXIT_ERROR;
+    const gated = baseline ? reports.map(onlyNewIssues) : reports;
+    const siteCritical = site ? site.siteIssues.some(issue => issue.severity === 'Critical') : false;
+    return countSeverities(gated).Critical > 0 || siteCritical ? EXIT_CRITICAL : EXIT_OK;
+}
+
+/**
+ * --compare: audit or load both sides, print the comparison
+ * @returns {number} Exit code
+ */
+function runComparison(files, engine, values, { stdout, stderr, cwd }) {
+    let comparison;
+    try {
+        const sides = files.map(file => {
+            const absolute = path.resolve(cwd, file);
+            const relative = path.relative(cwd, absolute) || file;
+            let text;
+            try {
+                text = fs.readFileSync(absolute, 'utf8');
+            } catch (err) {
+                throw new Error(`Could not read ${file}: ${err.message}`);
+            }
+            return /\.json$/i.test(file)
+                ? { file, reports: parseReportsJson(text) }
+                : { file, reports: [engine.run(text, relative, { mode: values.mode || modeForFile(file) })] };
+        });
+        // A multi-page export is narrowed down to the page the other side is about
+        const single = sides.find(side => side.reports.length === 1);
+        const source = single ? single.reports[0].metadata.source : null;
+        const [before, after] = sides.map(side => selectReport(side.reports, source, side.file));
+        comparison = compareReports(before, after);
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return EXIT_ERROR;
+    }
+
+    const output = values.format === 'json'
+        ? `${formatComparisonJson(comparison)}\n`
+        : `${formatComparison(comparison, { quiet: values.quiet })}\n`;
+    if (values.output) {
+        try {
+            fs.writeFileSync(path.resolve(cwd, values.output), output);
+        } catch (err) {
+            stderr.write(`Could not write ${values.output}: ${err.message}\n`);
+            return EXIT_ERROR;
+        }
+    } else {
+        stdout.write(output);
+    }
+
+    const introducedCritical = comparison.introduced.some(issue => issue.severity === 'Critical');
+    return introducedCritical ? EXIT_CRITICAL : EXIT_OK;
+}
+
+/**
+ * The web app's stylesheet, inlined into HTML reports so they look like the app
+ * @returns {string|undefined} undefined if it cannot be read (the reporter falls back to basic styles)
+ */
+function readStylesheet() {
+    try {
+        return fs.readFileSync(new URL('../css/styles.css', import.meta.url), 'utf8');
+    } catch (err) {
+        return undefined;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * MarkupAudit CLI - Text Output
+ * Renders reports for the terminal in the same layout as docs/sample-report.md.
+ */
+
+import { fixableIssues } from '../js/fixer.js';
+import { INPUT_MODES } from '../js/templates.js';
+
+const SEVERITIES = ['Critical', 'Warning', 'Info'];
+
+/**
+ * Render a single file report
+ * @param {object} report Report returned by AuditEngine.run()
+ * @returns {string}
+ */
+export function formatFileReport(report) {
+    const lines = [];
+    const mode = INPUT_MODES.find(entry => entry.id === report.metadata.mode);
+    lines.push(`${report.metadata.source}${mode && mode.id !== 'document' ? ` (${mode.name})` : ''}`);
+    lines.push(`Overall Score: ${report.overallScore}/100`);
+    if (report.baseline) {
+        lines.push(`Baseline: ${report.baseline.new} new, ${report.baseline.unchanged} unchanged, ${report.baseline.fixed.length} fixed`);
+    }
+    lines.push('');
+
+    report.categories.forEach(category => {
+        lines.push(`${category.name} (${category.score === null ? 'N/A' : category.score})`);
+        if (category.deductions && category.deductions.length > 0) {
+            const costs = category.deductions.map(entry => `${entry.ruleId} -${entry.points} (${entry.count})`);
+            lines.push(`  Deductions: ${costs.join(', ')}`);
+        }
+        if (category.score === null) {
+            lines.push('  - Nothing to check.');
+        } else if (category.issues.length === 0) {
+            lines.push(report.onlyNew ? '  - No new issues.' : '  - No issues found.');
+        }
+        category.issues.forEach(issue => {
+            let desc = `  [${issue.severity}] ${issue.description}`;
+            if (issue.baselineStatus === 'new') desc = `  [${issue.severity}] (new) ${issue.description}`;
+            if (issue.lineNumber) desc += ` (${formatPosition(issue)})`;
+            if (issue.fix) desc += ' [fixable]';
+            lines.push(desc);
+            if (issue.context) lines.push(`    Code: ${issue.context.split('\n').join('\n          ')}`);
+            if (issue.suggestion) lines.push(`    Tip: ${issue.suggestion}`);
+        });
+        lines.push('');
+    });
+
+    if (report.baseline && report.baseline.fixed.length > 0) {
+        lines.push(`Fixed since baseline (${report.baseline.fixed.length})`);
+        report.baseline.fixed.forEach(entry => lines.push(`  [${entry.ruleId}] ${entry.description}`));
+        lines.push('');
+    }
+
+    const suppressed = report.suppressed || [];
+    if (suppressed.length > 0) {
+        lines.push(`Suppressed (${suppressed.length})`);
+        suppressed.forEach(issue => {
+            let desc = `  [${issue.ruleId}] ${issue.description}`;
+            if (issue.lineNumber) desc += ` (${formatPosition(issue)})`;
+            lines.push(desc);
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * "Line 12:5" from an issue's start position
+ */
+export function formatPosition(issue) {
+    if (issue.location) return `Line ${issue.location.start.line}:${issue.location.start.column}`;
+    return `Line ${issue.lineNumber}`;
+}
+
+/**
+ * Count issues per severity across reports
+ * @param {object[]} reports
+ * @returns {{ Critical: number, Warning: number, Info: number }}
+ */
+export function countSeverities(reports) {
+    const counts = { Critical: 0, Warning: 0, Info: 0 };
+    reports.forEach(report => {
+        report.categories.forEach(category => {
+            category.issues.forEach(issue => {
+                if (issue.severity in counts) counts[issue.severity]++;
+            });
+        });
+    });
+    return counts;
+}
+
+/**
+ * Render the aggregate summary for a run over several files
+ * @param {object[]} reports
+ * @param {{ file: string, message: string }[]} failures Files that could not be audited
+ * @param {{ fixed?: { file: string, count: number }[], fixMode?: boolean, siteMode?: boolean, siteIssues?: object[] }} [fixes] Result of --fix;
+ *        siteMode leaves out the fixable count, since --fix does not work on site audits;
+ *        siteIssues (cross-page issues) are counted with the page issues
+ * @returns {string}
+ */
+export function formatSummary(reports, failures = [], fixes = {}) {
+    const lines = ['Summary'];
+    const counts = countSeverities(reports);
+    (fixes.siteIssues || []).forEach(issue => {
+        if (issue.severity in counts) counts[issue.severity]++;
+    });
+    const average = reports.length
+        ? Math.round(reports.reduce((sum, r) => sum + r.overallScore, 0) / reports.length)
+        : 0;
+
+    lines.push(`  Files audited: ${reports.length}`);
+    if (failures.length > 0) lines.push(`  Files failed: ${failures.length}`);
+    lines.push(`  Average score: ${average}/100`);
+    lines.push(`  Issues: ${SEVERITIES.map(s => `${counts[s]} ${s}`).join(', ')}`);
+
+    const fixed = fixes.fixed || [];
+    if (fixed.length > 0) {
+        const fixedCount = fixed.reduce((sum, entry) => sum + entry.count, 0);
+        lines.push(`  Fixed: ${fixedCount} ${fixedCount === 1 ? 'issue' : 'issues'} in ${fixed.length} ${fixed.length === 1 ? 'file' : 'files'}`);
+    }
+    const fixable = reports.reduce((sum, r) => sum + fixableIssues(r).length, 0);
+    if (fixable > 0 && !fixes.siteMode) {
+        lines.push(fixes.fixMode
+            ? `  Fixable: ${fixable} more after another --fix run`
+            : `  Fixable: ${fixable} with --fix`);
+    }
+
+    const compared = reports.filter(r => r.baseline);
+    if (compared.length > 0) {
+        const newCount = compared.reduce((sum, r) => sum + r.baseline.new, 0);
+        const fixedCount = compared.reduce((sum, r) => sum + r.baseline.fixed.length, 0);
+        lines.push(`  Baseline: ${newCount} new, ${fixedCount} fixed`);
+    }
+
+    if (reports.length > 1) {
+        const lowest = [...reports].sort((a, b) => a.overallScore - b.overallScore)[0];
+        lines.push(`  Lowest score: ${lowest.overallScore}/100 (${lowest.metadata.source})`);
+    }
+
+    failures.forEach(failure => {
+        lines.push(`  Error: ${failure.file}: ${failure.message}`);
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Render the site-level part of a --site / --sitemap run
+ * @param {object} site Report returned by auditSite()
+ * @returns {string}
+ */
+export function formatSiteReport(site) {
+    const lines = [];
+    const total = site.metadata.pages;
+    lines.push(`Site: ${site.metadata.source}`);
+    lines.push(`Site Score: ${site.overallScore}/100 across ${total} ${total === 1 ? 'page' : 'pages'}`);
+    lines.push('');
+
+    lines.push('Worst pages');
+    site.worstPages.forEach(page => {
+        lines.push(`  ${String(page.overallScore).padStart(3)}/100  ${page.source} (${page.issues} issues)`);
+    });
+    lines.push('');
+
+    if (site.aggregated.length > 0) {
+        lines.push('Issues across pages');
+        site.aggregated.forEach(entry => {
+            lines.push(`  [${entry.severity}] ${entry.ruleId}: ${entry.description} — ${entry.pages} of ${entry.totalPages} pages`);
+        });
+        lines.push('');
+    }
+
+    if (site.siteIssues.length > 0) {
+        lines.push('Site-wide checks');
+        site.siteIssues.forEach(issue => {
+            lines.push(`  [${issue.severity}] ${issue.description}`);
+            lines.push(`    Pages: ${issue.pages.join(', ')}`);
+            if (issue.suggestion) lines.push(`    Tip: ${issue.suggestion}`);
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a comparison of two reports (--compare)
+ * @param {object} comparison Result of compareReports()
+ * @param {{ quiet?: boolean }} [options] quiet: scores and counts only
+ * @returns {string}
+ */
+export function formatComparison(comparison, options = {}) {
+    const lines = [];
+    const { before, after, overall } = comparison;
+    lines.push(`Comparing ${before.source} (${before.date}) -> ${after.source} (${after.date})`);
+    lines.push(`Overall Score: ${overall.before} -> ${overall.after} (${formatDelta(overall.delta)})`);
+    lines.push('');
+
+    const width = Math.max(...comparison.categories.map(category => category.name.length), 'Category'.length);
+    lines.push(`  ${'Category'.padEnd(width)}  Before  After  Change`);
+    comparison.categories.forEach(category => {
+        const cell = value => String(value === null ? '-' : value);
+        lines.push(`  ${category.name.padEnd(width)}  ${cell(category.before).padStart(6)}  ${cell(category.after).padStart(5)}  ${(category.delta === null ? '-' : formatDelta(category.delta)).padStart(6)}`);
+    });
+    lines.push('');
+
+    const sections = [
+        ['Introduced', comparison.introduced],
+        ['Resolved', comparison.resolved],
+        ['Persisting', comparison.persisting]
+    ];
+    sections.forEach(([title, issues]) => {
+        lines.push(`${title} (${issues.length})`);
+        if (options.quiet) return;
+        issues.forEach(issue => {
+            let desc = `  [${issue.severity}] ${issue.ruleId}: ${issue.description}`;
+            if (issue.lineNumber) desc += ` (${formatPosition(issue)})`;
+            lines.push(desc);
+        });
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+function formatDelta(delta) {
+    return delta > 0 ? `+${delta}` : String(delta);
+}
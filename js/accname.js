@@ -0,0 +1,379 @@
+/**
+ * MarkupAudit Accessible Name Computation
+ * Accessible name and description of elements, following the W3C
+ * "Accessible Name and Description Computation" (AccName 1.2) and the
+ * HTML-AAM rules for native elements. CSS-generated content is not taken
+ * into account, as rules only see the markup.
+ */
+
+import { isKnownRole } from './aria-data.js';
+
+// Roles whose name is computed from their content (AccName "name from content")
+const NAME_FROM_CONTENT = new Set([
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+    'tooltip', 'treeitem'
+]);
+
+const TEXT_INPUT_TYPES = ['', 'text', 'email', 'tel', 'url', 'search', 'password', 'number'];
+
+// Elements rendered inline; others are separated by a space when their text is joined
+const INLINE_ELEMENTS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'kbd', 'mark', 'q', 's',
+    'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+/**
+ * Whether an element is hidden from assistive technology by aria-hidden,
+ * the hidden attribute or an inline display:none/visibility:hidden, on
+ * itself or an ancestor
+ * @param {Element} el
+ * @returns {boolean}
+ */
+export function isHiddenFromAT(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+        if (node.getAttribute('aria-hidden') === 'true' || node.hasAttribute('hidden')) return true;
+        const style = (node.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+        if (style.includes('display:none') || style.includes('visibility:hidden')) return true;
+    }
+    return false;
+}
+
+/**
+ * Role of an element: its first valid explicit role (later tokens are
+ * fallbacks), otherwise the implicit role of the HTML element
+ * @param {Element} el
+ * @returns {string|null}
+ */
+export function getRole(el) {
+    const explicit = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).find(isKnownRole);
+    return explicit || implicitRole(el);
+}
+
+/**
+ * Implicit ARIA role of an HTML element (HTML-AAM), or null for generic elements
+ * @param {Element} el
+ * @returns {string|null}
+ */
+export function implicitRole(el) {
+    const tag = el.tagName.toLowerCase();
+    switch (tag) {
+        case 'a':
+        case 'area':
+            return el.hasAttribute('href') ? 'link' : null;
+        case 'article': return 'article';
+        case 'aside': return 'complementary';
+        case 'blockquote': return 'blockquote';
+        case 'button': return 'button';
+        case 'datalist': return 'listbox';
+        case 'details': return 'group';
+        case 'dialog': return 'dialog';
+        case 'fieldset': return 'group';
+        case 'figure': return 'figure';
+        case 'footer': return isScoped(el) ? null : 'contentinfo';
+        case 'form': return 'form';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+        case 'header': return isScoped(el) ? null : 'banner';
+        case 'hr': return 'separator';
+        case 'img': return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+        case 'input': return inputRole(el);
+        case 'li': return 'listitem';
+        case 'main': return 'main';
+        case 'menu': case 'ol': case 'ul': return 'list';
+        case 'meter': return 'meter';
+        case 'nav': return 'navigation';
+        case 'optgroup': return 'group';
+        case 'option': return 'option';
+        case 'output': return 'status';
+        case 'p': return 'paragraph';
+        case 'progress': return 'progressbar';
+        case 'search': return 'search';
+        case 'section': return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null;
+        case 'select': return el.hasAttribute('multiple') || parseInt(el.getAttribute('size'), 10) > 1 ? 'listbox' : 'combobox';
+        case 'summary': return 'button';
+        case 'table': return 'table';
+        case 'tbody': case 'tfoot': case 'thead': return 'rowgroup';
+        case 'td': return 'cell';
+        case 'textarea': return 'textbox';
+        case 'th': return el.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+        case 'tr': return 'row';
+        default: return null;
+    }
+}
+
+/**
+ * Accessible name of an element
+ * @param {Element} el
+ * @param {{ includeHidden?: boolean }} [options] includeHidden computes the
+ *        name of hidden elements as if they were rendered
+ * @returns {string} Whitespace-normalized name, '' if there is none
+ */
+export function computeAccessibleName(el, options = {}) {
+    return computeName(el, options).name;
+}
+
+/**
+ * Where an element's accessible name comes from, e.g. 'aria-labelledby',
+ * 'aria-label', 'label', 'alt', 'contents', 'title', 'placeholder'
+ * @param {Element} el
+ * @returns {{ name: string, source: string|null }}
+ */
+export function computeName(el, options = {}) {
+    const context = {
+        origin: el,
+        root: el,
+        visited: new Set(),
+        includeHidden: Boolean(options.includeHidden),
+        inLabelledBy: false,
+        inContent: false,
+        result: { source: null }
+    };
+    const name = normalize(textAlternative(el, context));
+    return { name, source: name ? context.result.source : null };
+}
+
+/**
+ * Accessible description: aria-describedby, aria-description, then title
+ * when it was not used for the name
+ * @param {Element} el
+ * @returns {string}
+ */
+export function computeAccessibleDescription(el) {
+    const doc = el.ownerDocument;
+    const targets = idRefs(el, 'aria-describedby').map(id => doc.getElementById(id)).filter(Boolean);
+    if (targets.length > 0) {
+        return normalize(targets.map(target => textAlternative(target, {
+            origin: el,
+            root: target,
+            visited: new Set([el]),
+            includeHidden: isHiddenFromAT(target),
+            inLabelledBy: true,
+            inContent: true,
+            result: { source: null }
+        })).join(' '));
+    }
+    const description = (el.getAttribute('aria-description') || '').trim();
+    if (description) return normalize(description);
+
+    const title = (el.getAttribute('title') || '').trim();
+    if (title && computeName(el).source !== 'title') return normalize(title);
+    return '';
+}
+
+/**
+ * ID references of an attribute (aria-labelledby, aria-describedby, ...)
+ * @param {Element} el
+ * @param {string} attribute
+ * @returns {string[]}
+ */
+export function idRefs(el, attribute) {
+    return (el.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * A control whose only content is an icon: no text, but an <svg>, <img> or icon-font element
+ * @param {Element} el
+ * @returns {boolean}
+ */
+export function isIconOnly(el) {
+    const hasText = [...el.querySelectorAll('*')].concat(el).some(node =>
+        [...node.childNodes].some(child => child.nodeType === 3 && child.textContent.trim()) && !isHiddenFromAT(node));
+    if (hasText) return false;
+    return Boolean(el.querySelector('svg, img, i, [class*="icon"], [class*="fa-"]'));
+}
+
+function textAlternative(node, context) {
+    if (node.nodeType === 3) return node.textContent;
+    if (node.nodeType !== 1 || context.visited.has(node)) return '';
+    context.visited.add(node);
+
+    const isRoot = node === context.root;
+    // Only record how the element itself got its name
+    const setSource = source => {
+        if (node === context.origin) context.result.source = source;
+    };
+
+    // 2A: hidden nodes contribute nothing, unless referenced directly
+    if (!context.includeHidden && isHiddenFromAT(node)) return '';
+
+    // 2B: aria-labelledby (not followed recursively)
+    if (!context.inLabelledBy) {
+        const doc = node.ownerDocument;
+        const targets = idRefs(node, 'aria-labelledby').map(id => doc.getElementById(id)).filter(Boolean);
+        if (targets.length > 0) {
+            const text = targets.map(target => textAlternative(target, {
+                ...context,
+                root: target,
+                includeHidden: context.includeHidden || isHiddenFromAT(target),
+                inLabelledBy: true,
+                inContent: true
+            })).join(' ');
+            if (text.trim()) {
+                setSource('aria-labelledby');
+                return text;
+            }
+        }
+    }
+
+    const role = getRole(node);
+
+    // 2C: a control embedded in another element's label contributes its value
+    if (!isRoot || context.inLabelledBy) {
+        const value = embeddedValue(node, role);
+        if (value !== null) return value;
+    }
+
+    // 2D: aria-label
+    const ariaLabel = (node.getAttribute('aria-label') || '').trim();
+    if (ariaLabel) {
+        setSource('aria-label');
+        return ariaLabel;
+    }
+
+    // 2E: native text alternatives (HTML-AAM); alt="" images are presentational
+    const explicitRole = (node.getAttribute('role') || '').trim().toLowerCase();
+    if (explicitRole !== 'presentation' && explicitRole !== 'none') {
+        const native = nativeName(node, context);
+        if (native !== null && native.text.trim()) {
+            setSource(native.source);
+            return native.text;
+        }
+        if (native !== null && native.final) return '';
+    }
+
+    // 2F: name from content
+    if (NAME_FROM_CONTENT.has(role) || context.inContent || !isRoot) {
+        const childContext = { ...context, inContent: true };
+        const separator = INLINE_ELEMENTS.has(node.tagName.toLowerCase()) ? '' : ' ';
+        const text = [...node.childNodes].map(child => {
+            const childText = textAlternative(child, childContext);
+            return child.nodeType === 1 && !INLINE_ELEMENTS.has(child.tagName.toLowerCase()) ? ` ${childText} ` : childText;
+        }).join('');
+        if (text.trim()) {
+            setSource('contents');
+            return `${separator}${text}${separator}`;
+        }
+    }
+
+    // 2I: tooltip
+    const title = (node.getAttribute('title') || '').trim();
+    if (title) {
+        setSource('title');
+        return title;
+    }
+
+    // HTML-AAM: placeholder is the last resort for text fields
+    const placeholder = (node.getAttribute('placeholder') || '').trim();
+    if (placeholder && (role === 'textbox' || role === 'searchbox' || role === 'combobox')) {
+        setSource('placeholder');
+        return placeholder;
+    }
+    return '';
+}
+
+/**
+ * Name from the host language. `final` means an explicitly empty
+ * alternative (e.g. alt="") that ends the computation.
+ */
+function nativeName(node, context) {
+    const tag = node.tagName.toLowerCase();
+    const doc = node.ownerDocument;
+
+    if (tag === 'input') {
+        const type = (node.getAttribute('type') || '').toLowerCase();
+        if (type === 'hidden') return null;
+        if (type === 'submit' || type === 'reset' || type === 'button') {
+            const value = node.getAttribute('value');
+            if (value !== null) return { text: value, source: 'value', final: value.trim() === '' && type === 'button' };
+            if (type === 'submit') return { text: 'Submit', source: 'default' };
+            if (type === 'reset') return { text: 'Reset', source: 'default' };
+        }
+        if (type === 'image') {
+            const alt = node.getAttribute('alt');
+            if (alt && alt.trim()) return { text: alt, source: 'alt' };
+        }
+    }
+
+    if (tag === 'img' || tag === 'area') {
+        const alt = node.getAttribute('alt');
+        if (alt !== null) return { text: alt, source: 'alt', final: alt.trim() === '' };
+        return null;
+    }
+
+    if (isLabelable(node)) {
+        const labels = [];
+        if (node.id) {
+            doc.querySelectorAll('label[for]').forEach(label => {
+                if (label.getAttribute('for') === node.id) labels.push(label);
+            });
+        }
+        const wrapping = node.parentNode && node.parentNode.closest ? node.parentNode.closest('label') : null;
+        if (wrapping && !labels.includes(wrapping) && !wrapping.hasAttribute('for')) labels.push(wrapping);
+        if (labels.length > 0) {
+            const text = labels.map(label => textAlternative(label, { ...context, inContent: true })).join(' ');
+            return { text, source: 'label' };
+        }
+    }
+
+    const captionFor = { fieldset: 'legend', figure: 'figcaption', table: 'caption' }[tag];
+    if (captionFor) {
+        const caption = [...node.children].find(child => child.tagName.toLowerCase() === captionFor);
+        if (caption) return { text: textAlternative(caption, { ...context, inContent: true }), source: captionFor };
+    }
+
+    if (tag === 'svg') {
+        const title = [...node.children].find(child => child.tagName.toLowerCase() === 'title');
+        if (title) return { text: title.textContent, source: 'svg-title' };
+    }
+    return null;
+}
+
+function embeddedValue(node, role) {
+    const tag = node.tagName.toLowerCase();
+    if (role === 'textbox' || role === 'searchbox') {
+        if (tag === 'textarea') return node.textContent;
+        if (tag === 'input') return node.getAttribute('value') || '';
+        return node.textContent;
+    }
+    if (role === 'combobox' || role === 'listbox') {
+        const options = tag === 'select'
+            ? [...node.querySelectorAll('option')].filter(option => option.hasAttribute('selected'))
+            : [...node.querySelectorAll('[role="option"][aria-selected="true"]')];
+        if (tag === 'select' && options.length === 0) {
+            const first = node.querySelector('option');
+            return first ? first.textContent : '';
+        }
+        return options.map(option => option.textContent).join(' ');
+    }
+    if (['slider', 'spinbutton', 'progressbar', 'scrollbar'].includes(role)) {
+        return node.getAttribute('aria-valuetext') || node.getAttribute('aria-valuenow') || node.getAttribute('value') || '';
+    }
+    return null;
+}
+
+function inputRole(el) {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+    if (type === 'checkbox') return 'checkbox';
+    if (type === 'radio') return 'radio';
+    if (type === 'range') return 'slider';
+    if (type === 'number') return 'spinbutton';
+    if (type === 'search') return el.hasAttribute('list') ? 'combobox' : 'searchbox';
+    if (TEXT_INPUT_TYPES.includes(type)) return el.hasAttribute('list') ? 'combobox' : 'textbox';
+    return null;
+}
+
+// <header>/<footer> inside sectioning content are not landmarks
+function isScoped(el) {
+    return Boolean(el.parentNode && el.parentNode.closest && el.parentNode.closest('article, aside, main, nav, section'));
+}
+
+function isLabelable(node) {
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'input') return (node.getAttribute('type') || '').toLowerCase() !== 'hidden';
+    return ['button', 'select', 'textarea', 'meter', 'output', 'progress'].includes(tag);
+}
+
+function normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
@@ -1,7 +1,21 @@
 
 import { AuditEngine } from './rules.js';
+import { FORMATS, formatReports } from './reporters/index.js';
+import { applyBaseline, createBaseline, onlyNewIssues } from './baseline.js';
+import { crawlSite, createFileSource, createSitemapSource } from './crawler.js';
+import { auditSite } from './site.js';
+import { applyFixes, fixableIssues } from './fixer.js';
+import { createUnifiedDiff } from './diff.js';
+import { AuditHistory, groupBySource } from './history.js';
+import { compareReports, parseReportsJson, selectReport } from './compare.js';
+import { createShareUrl, decodeReport, readShareFragment } from './share.js';
+import { highlightLines } from './highlight.js';
+import { LiveAudit } from './live.js';
+import { INPUT_MODES, modeForFile } from './templates.js';
+import { SERIES_COLORS, createTrendChart, formatDate, trendSeries } from './trend.js';
 
 const engine = new AuditEngine();
+const auditHistory = new AuditHistory();
 const { jsPDF } = window.jspdf;
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -9,6 +23,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const elements = {
         inputSection: document.getElementById('input-section'),
         resultsSection: document.getElementById('results-section'),
+        historySection: document.getElementById('history-section'),
+        historyContent: document.getElementById('history-content'),
+        compareSection: document.getElementById('compare-section'),
+        compareContent: document.getElementById('compare-content'),
 
         // Tabs
         tabs: document.querySelectorAll('.tab-btn'),
@@ -16,9 +34,27 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Input Fields
         htmlInput: document.getElementById('html-input'),
+        liveToggle: document.getElementById('live-toggle'),
+        inputMode: document.getElementById('input-mode'),
+        liveGutter: document.getElementById('live-gutter'),
+        livePanel: document.getElementById('live-panel'),
+        liveStatus: document.getElementById('live-status'),
+        liveContent: document.getElementById('live-content'),
+        liveReportBtn: document.getElementById('live-report-btn'),
         urlInput: document.getElementById('url-input'),
         fileInput: document.getElementById('file-input'),
         fileNameDisplay: document.getElementById('file-name'),
+        siteFolderInput: document.getElementById('site-folder-input'),
+        siteFolderName: document.getElementById('site-folder-name'),
+        sitemapInput: document.getElementById('sitemap-input'),
+        compareBeforeInput: document.getElementById('compare-before-input'),
+        compareAfterInput: document.getElementById('compare-after-input'),
+        compareBeforeFile: document.getElementById('compare-before-file'),
+        compareAfterFile: document.getElementById('compare-after-file'),
+        compareBeforeName: document.getElementById('compare-before-name'),
+        compareAfterName: document.getElementById('compare-after-name'),
+        configInput: document.getElementById('config-input'),
+        configFileInput: document.getElementById('config-file-input'),
 
         // Actions
         navLogo: document.getElementById('nav-logo'),
@@ -26,7 +62,16 @@ document.addEventListener('DOMContentLoaded', () => {
         clearBtn: document.getElementById('clear-btn'),
         loadSampleBtn: document.getElementById('load-sample-btn'),
         newAuditBtn: document.getElementById('new-audit-btn'),
+        historyBtn: document.getElementById('history-btn'),
         exportPdfBtn: document.getElementById('export-pdf-btn'),
+        exportFormatBtns: document.querySelectorAll('.export-format-btn'),
+        shareBtn: document.getElementById('share-btn'),
+        shareStatus: document.getElementById('share-status'),
+        saveBaselineBtn: document.getElementById('save-baseline-btn'),
+        clearBaselineBtn: document.getElementById('clear-baseline-btn'),
+        onlyNewToggle: document.getElementById('only-new-toggle'),
+        baselineBar: document.getElementById('baseline-bar'),
+        baselineSummary: document.getElementById('baseline-summary'),
         themeToggleBtn: document.getElementById('theme-toggle'),
 
         // View Containers
@@ -43,6 +88,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Report
         reportContainer: document.getElementById('report-container'),
+        siteSummary: document.getElementById('site-summary'),
         overallScoreVal: document.getElementById('overall-score-value'),
         categoryScoresContainer: document.getElementById('category-scores-container'),
         metaDate: document.getElementById('meta-date'),
@@ -51,7 +97,9 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     let currentReport = null;
-    let activeTab = 'raw'; // raw, url, file
+    let currentSite = null;
+    let currentSources = new Map(); // source name -> raw HTML, for fixes
+    let activeTab = 'raw'; // raw, url, file, site, compare
 
     // --- Theme Handling ---
     const savedTheme = localStorage.getItem('theme');
@@ -110,17 +158,258 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    elements.siteFolderInput.addEventListener('change', (e) => {
+        const count = [...e.target.files].filter(file => /\.html?$/i.test(file.name)).length;
+        elements.siteFolderName.textContent = count ? `${count} HTML ${count === 1 ? 'file' : 'files'}` : '';
+    });
+
+    elements.compareBeforeFile.addEventListener('change', (e) => {
+        elements.compareBeforeName.textContent = e.target.files[0] ? e.target.files[0].name : '';
+    });
+
+    elements.compareAfterFile.addEventListener('change', (e) => {
+        elements.compareAfterName.textContent = e.target.files[0] ? e.target.files[0].name : '';
+    });
+
+    // --- Configuration Handling ---
+    elements.configInput.value = localStorage.getItem('markupaudit-config') || '';
+
+    elements.configInput.addEventListener('change', () => {
+        localStorage.setItem('markupaudit-config', elements.configInput.value);
+        scheduleLiveAudit();
+    });
+
+    elements.configFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            elements.configInput.value = await readFile(file);
+            localStorage.setItem('markupaudit-config', elements.configInput.value);
+            hideError();
+            scheduleLiveAudit();
+        } catch (err) {
+            showError(err.message);
+        }
+        elements.configFileInput.value = '';
+    });
+
+    // --- Live Audit ---
+    // Re-audits the Raw HTML tab while typing and shows scores and markers next to the editor
+    const liveAudit = new LiveAudit({ onReport: renderLiveReport, onError: renderLiveError });
+    let liveResult = null; // { report, html } of the latest live run
+
+    // Partials and framework templates skip document-level rules; see js/templates.js
+    elements.inputMode.innerHTML = INPUT_MODES.map(mode => `<option value="${mode.id}">${mode.name}</option>`).join('');
+    elements.inputMode.value = localStorage.getItem('markupaudit-mode') || 'document';
+    if (!elements.inputMode.value) elements.inputMode.value = 'document';
+    elements.inputMode.addEventListener('change', () => {
+        localStorage.setItem('markupaudit-mode', elements.inputMode.value);
+        scheduleLiveAudit();
+    });
+
+    elements.liveToggle.checked = localStorage.getItem('markupaudit-live') === 'on';
+    setLiveMode(elements.liveToggle.checked);
+
+    elements.liveToggle.addEventListener('change', () => {
+        localStorage.setItem('markupaudit-live', elements.liveToggle.checked ? 'on' : 'off');
+        setLiveMode(elements.liveToggle.checked);
+    });
+    elements.htmlInput.addEventListener('input', scheduleLiveAudit);
+    elements.htmlInput.addEventListener('scroll', () => {
+        elements.liveGutter.scrollTop = elements.htmlInput.scrollTop;
+    });
+    elements.liveReportBtn.addEventListener('click', openLiveReport);
+
+    function setLiveMode(enabled) {
+        elements.htmlInput.classList.toggle('live-mode', enabled);
+        elements.htmlInput.wrap = enabled ? 'off' : 'soft';
+        elements.liveGutter.classList.toggle('hidden', !enabled);
+        elements.livePanel.classList.toggle('hidden', !enabled);
+        if (enabled) {
+            scheduleLiveAudit();
+        } else {
+            liveAudit.stop();
+            liveResult = null;
+        }
+    }
+
+    function scheduleLiveAudit() {
+        if (!elements.liveToggle.checked) return;
+        const html = elements.htmlInput.value;
+        if (!html.trim()) {
+            liveAudit.cancel();
+            liveResult = null;
+            elements.liveStatus.textContent = 'Start typing to audit.';
+            elements.liveStatus.classList.remove('live-status-error');
+            elements.liveContent.innerHTML = '';
+            elements.liveReportBtn.disabled = true;
+            renderLiveGutter();
+            return;
+        }
+        renderLiveGutter();
+        elements.liveStatus.textContent = 'Auditing…';
+        liveAudit.schedule(html, 'Raw Input', elements.configInput.value, elements.inputMode.value);
+    }
+
+    function renderLiveReport(report) {
+        applyStoredBaseline(report);
+        liveResult = { report, html: elements.htmlInput.value };
+
+        const issues = report.categories
+            .flatMap(category => category.issues)
+            .sort((a, b) => (a.lineNumber || 0) - (b.lineNumber || 0));
+        elements.liveStatus.textContent = `Score ${report.overallScore}/100 · ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}`;
+        elements.liveStatus.classList.remove('live-status-error');
+        elements.liveReportBtn.disabled = false;
+
+        const scores = report.categories.map(category => `
+            <span class="live-score">${escapeHtml(category.name)} <strong style="color: ${getScoreColor(category.score)}">${formatScore(category.score)}</strong></span>
+        `).join('');
+        const items = issues.map(issue => `
+            <li>
+                <button class="live-issue issue-${escapeHtml(issue.severity.toLowerCase())}" data-line="${issue.lineNumber || ''}">
+                    <span class="meta-tag">${issue.lineNumber ? `Line ${issue.lineNumber}` : 'Document'}</span>
+                    ${escapeHtml(issue.description)}
+                </button>
+            </li>
+        `).join('');
+        elements.liveContent.innerHTML = `
+            <div class="live-scores">${scores}</div>
+            ${issues.length ? `<ul class="live-issues">${items}</ul>` : ''}
+        `;
+        elements.liveContent.querySelectorAll('.live-issue[data-line]').forEach(button => {
+            if (button.dataset.line) button.addEventListener('click', () => selectInputLine(Number(button.dataset.line)));
+        });
+        renderLiveGutter();
+    }
+
+    function renderLiveError(err) {
+        elements.liveStatus.textContent = err.message;
+        elements.liveStatus.classList.add('live-status-error');
+    }
+
+    // One row per line of the editor, with a marker where the last live run found issues
+    function renderLiveGutter() {
+        const issuesByLine = new Map();
+        if (liveResult) {
+            liveResult.report.categories.forEach(category => category.issues.forEach(issue => {
+                if (!issue.lineNumber) return;
+                if (!issuesByLine.has(issue.lineNumber)) issuesByLine.set(issue.lineNumber, []);
+                issuesByLine.get(issue.lineNumber).push(issue);
+            }));
+        }
+
+        const lineCount = elements.htmlInput.value.split('\n').length;
+        const rows = [];
+        for (let line = 1; line <= lineCount; line++) {
+            const issues = issuesByLine.get(line);
+            if (!issues) {
+                rows.push('<div class="live-gutter-line"></div>');
+                continue;
+            }
+            const worst = ['Critical', 'Warning', 'Info'].find(severity => issues.some(issue => issue.severity === severity)) || 'Info';
+            const title = issues.map(issue => `${issue.severity}: ${issue.description}${issue.suggestion ? `\nTip: ${issue.suggestion}` : ''}`).join('\n\n');
+            rows.push(`<div class="live-gutter-line live-marker-${escapeHtml(worst.toLowerCase())}" title="${escapeHtml(title)}"></div>`);
+        }
+        elements.liveGutter.innerHTML = rows.join('');
+        elements.liveGutter.scrollTop = elements.htmlInput.scrollTop;
+    }
+
+    function selectInputLine(line) {
+        const lines = elements.htmlInput.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0);
+        const end = start + (lines[line - 1] || '').length;
+        const lineHeight = parseFloat(getComputedStyle(elements.htmlInput).lineHeight);
+        elements.htmlInput.focus();
+        elements.htmlInput.setSelectionRange(start, end);
+        elements.htmlInput.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+
+    function openLiveReport() {
+        if (!liveResult) return;
+        const { report, html } = liveResult;
+        currentReport = report;
+        currentSite = null;
+        currentSources = new Map([[report.metadata.source, html]]);
+        recordHistory(report, html);
+        renderSiteSummary();
+        renderCurrentReport();
+        showResultsSection();
+    }
+
+    // --- Baseline Handling ---
+    // Baselines are kept per source in localStorage, in the same format the CLI writes
+    function loadBaselines() {
+        try {
+            return JSON.parse(localStorage.getItem('markupaudit-baselines')) || createBaseline([]);
+        } catch (e) {
+            return createBaseline([]);
+        }
+    }
+
+    function saveBaseline() {
+        if (!currentReport) return;
+        const baselines = loadBaselines();
+        Object.assign(baselines.documents, createBaseline([currentReport]).documents);
+        localStorage.setItem('markupaudit-baselines', JSON.stringify(baselines));
+        applyStoredBaseline(currentReport);
+        renderCurrentReport();
+    }
+
+    function clearBaseline() {
+        if (!currentReport) return;
+        const baselines = loadBaselines();
+        delete baselines.documents[currentReport.metadata.source];
+        localStorage.setItem('markupaudit-baselines', JSON.stringify(baselines));
+        delete currentReport.baseline;
+        elements.onlyNewToggle.checked = false;
+        renderCurrentReport();
+    }
+
+    function applyStoredBaseline(report) {
+        const baselines = loadBaselines();
+        if (baselines.documents[report.metadata.source]) {
+            applyBaseline(report, baselines);
+        }
+    }
+
+    function renderCurrentReport() {
+        const showOnlyNew = currentReport.baseline && elements.onlyNewToggle.checked;
+        renderReport(showOnlyNew ? onlyNewIssues(currentReport) : currentReport);
+    }
+
+    function renderBaselineBar(report) {
+        if (!report.baseline) {
+            elements.baselineBar.classList.add('hidden');
+            return;
+        }
+        const { created, fixed } = report.baseline;
+        elements.baselineSummary.textContent = `Compared with baseline from ${created}: ${report.baseline.new} new · ${report.baseline.unchanged} unchanged · ${fixed.length} fixed`;
+        elements.baselineBar.classList.remove('hidden');
+    }
+
     // --- Action Listeners ---
     elements.runAuditBtn.addEventListener('click', handleRunAudit);
     elements.clearBtn.addEventListener('click', clearInputs);
     elements.loadSampleBtn.addEventListener('click', loadSample);
     elements.newAuditBtn.addEventListener('click', showInputSection);
+    elements.historyBtn.addEventListener('click', () => showHistorySection(currentReport ? currentReport.metadata.source : null));
     elements.exportPdfBtn.addEventListener('click', exportPDF);
+    elements.saveBaselineBtn.addEventListener('click', saveBaseline);
+    elements.shareBtn.addEventListener('click', shareReport);
+    elements.clearBaselineBtn.addEventListener('click', clearBaseline);
+    elements.onlyNewToggle.addEventListener('change', renderCurrentReport);
+    elements.exportFormatBtns.forEach(btn => {
+        btn.addEventListener('click', () => exportFormat(btn.dataset.format, { collapsed: btn.dataset.collapsed === 'true' }));
+    });
     if (elements.navLogo) elements.navLogo.addEventListener('click', goHome);
 
     if (elements.landingStartBtn) elements.landingStartBtn.addEventListener('click', enterApp);
     if (elements.heroCtaBtn) elements.heroCtaBtn.addEventListener('click', enterApp);
 
+    // A share link (#report=...) opens straight into the shared report
+    openSharedReport();
+
     // --- Core Functions ---
 
     function enterApp() {
@@ -128,6 +417,7 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.appView.classList.remove('hidden');
         elements.newAuditBtn.classList.add('hidden'); // Ensure New Audit button remains hidden initially
         elements.landingStartBtn.classList.add('hidden'); // Hide Start Audit in Nav
+        elements.historyBtn.classList.toggle('hidden', !auditHistory.available);
         window.scrollTo(0, 0);
     }
 
@@ -136,18 +426,24 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.appView.classList.add('hidden');
         elements.newAuditBtn.classList.add('hidden'); // Hide New Audit button
         elements.landingStartBtn.classList.remove('hidden'); // Show Start Audit in Nav
+        elements.historyBtn.classList.add('hidden');
         window.scrollTo(0, 0);
     }
 
     async function handleRunAudit() {
         hideError();
+        if (activeTab === 'site') return handleRunSiteAudit();
+        if (activeTab === 'compare') return handleRunCompare();
+
         let rawHtml = '';
         let sourceName = 'Raw Input';
+        let mode = 'document';
 
         try {
             if (activeTab === 'raw') {
                 rawHtml = elements.htmlInput.value;
                 if (!rawHtml.trim()) throw new Error("Please paste some HTML code.");
+                mode = elements.inputMode.value;
 
             } else if (activeTab === 'url') {
                 const url = elements.urlInput.value.trim();
@@ -168,8 +464,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (!file) throw new Error("Please upload a file.");
                 rawHtml = await readFile(file);
                 sourceName = file.name;
+                mode = modeForFile(file.name);
             }
 
+            // Apply .markupauditrc settings (throws on invalid JSON or unknown rules)
+            engine.configure(elements.configInput.value);
+
             // Show Loading
             elements.loadingOverlay.classList.remove('hidden');
 
@@ -178,9 +478,14 @@ document.addEventListener('DOMContentLoaded', () => {
             await new Promise(resolve => setTimeout(resolve, delay));
 
             // Run Engine
-            const report = engine.run(rawHtml, sourceName);
+            const report = engine.run(rawHtml, sourceName, { mode });
+            applyStoredBaseline(report);
             currentReport = report;
-            renderReport(report);
+            currentSite = null;
+            currentSources = new Map([[sourceName, rawHtml]]);
+            recordHistory(report, rawHtml);
+            renderSiteSummary();
+            renderCurrentReport();
 
             // Hide Loading & Show Results
             elements.loadingOverlay.classList.add('hidden');
@@ -192,6 +497,126 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function handleRunSiteAudit() {
+        try {
+            const source = await loadSiteSource();
+            if (source.start.length === 0) throw new Error("No HTML pages found to audit.");
+
+            engine.configure(elements.configInput.value);
+            elements.loadingOverlay.classList.remove('hidden');
+
+            const crawl = await crawlSite(source);
+            const site = auditSite(crawl.pages, engine, { source: source.name, missing: crawl.missing });
+            if (site.reports.length === 0) throw new Error("None of the pages could be audited.");
+            site.reports.forEach(applyStoredBaseline);
+
+            currentSite = site;
+            currentSources = new Map(crawl.pages.map(page => [page.key, page.html]));
+            site.reports.forEach(report => recordHistory(report, currentSources.get(report.metadata.source)));
+            selectSitePage(site.worstPages[0].source);
+
+            elements.loadingOverlay.classList.add('hidden');
+            showResultsSection();
+
+        } catch (err) {
+            elements.loadingOverlay.classList.add('hidden');
+            showError(err.message);
+        }
+    }
+
+    // Folder uploads are read in full; sitemaps are fetched page by page while crawling
+    async function loadSiteSource() {
+        const folder = [...elements.siteFolderInput.files].filter(file => /\.html?$/i.test(file.name));
+        if (folder.length > 0) {
+            const files = new Map();
+            for (const file of folder) {
+                // Drop the top-level folder name so paths match the site root
+                const relative = file.webkitRelativePath.split('/').slice(1).join('/') || file.name;
+                files.set(relative, await readFile(file));
+            }
+            const source = createFileSource(files);
+            source.name = folder[0].webkitRelativePath.split('/')[0] || 'Site';
+            return source;
+        }
+
+        const sitemapUrl = elements.sitemapInput.value.trim();
+        if (!sitemapUrl) throw new Error("Please choose a folder or enter a sitemap URL.");
+        try {
+            const source = await createSitemapSource(sitemapUrl);
+            source.name = sitemapUrl;
+            return source;
+        } catch (err) {
+            throw new Error(`Could not load sitemap (CORS/Network error). Serve the site locally or upload the folder instead.`);
+        }
+    }
+
+    function selectSitePage(pageSource) {
+        currentReport = currentSite.reports.find(report => report.metadata.source === pageSource);
+        elements.onlyNewToggle.checked = false;
+        renderSiteSummary();
+        renderCurrentReport();
+    }
+
+    function renderSiteSummary() {
+        if (!currentSite) {
+            elements.siteSummary.classList.add('hidden');
+            elements.siteSummary.innerHTML = '';
+            return;
+        }
+        const site = currentSite;
+        const selected = currentReport ? currentReport.metadata.source : null;
+
+        const pageRows = [...site.pages].sort((a, b) => a.overallScore - b.overallScore).map(page => `
+            <tr class="${page.source === selected ? 'selected' : ''}">
+                <td><button class="text-link site-page-link" data-page="${escapeHtml(page.source)}">${escapeHtml(page.source)}</button></td>
+                <td style="font-weight:700; color:${getScoreColor(page.overallScore)}">${page.overallScore}</td>
+                <td>${page.issues}</td>
+            </tr>
+        `).join('');
+
+        const aggregated = site.aggregated.map(entry => `
+            <li class="site-issue">
+                <code class="rule-id">${escapeHtml(entry.ruleId)}</code>
+                <span>[${escapeHtml(entry.severity)}] ${escapeHtml(entry.description)}</span>
+                <span class="site-issue-count">${entry.pages} of ${entry.totalPages} pages</span>
+            </li>
+        `).join('');
+
+        const siteIssues = site.siteIssues.map(issue => `
+            <li class="site-issue">
+                <code class="rule-id">${escapeHtml(issue.ruleId)}</code>
+                <span>[${escapeHtml(issue.severity)}] ${escapeHtml(issue.description)}</span>
+                <span class="site-issue-pages">${issue.pages.map(escapeHtml).join(', ')}</span>
+            </li>
+        `).join('');
+
+        elements.siteSummary.innerHTML = `
+            <div class="category-header">
+                <h3 class="category-title">Site: ${escapeHtml(site.metadata.source)}</h3>
+                <span style="font-weight:700; color:${getScoreColor(site.overallScore)}">${site.overallScore}/100 across ${site.metadata.pages} pages</span>
+            </div>
+            <div class="site-summary-body">
+                <div>
+                    <h4>Pages</h4>
+                    <table class="site-pages">
+                        <thead><tr><th>Page</th><th>Score</th><th>Issues</th></tr></thead>
+                        <tbody>${pageRows}</tbody>
+                    </table>
+                </div>
+                <div>
+                    <h4>Issues Across Pages</h4>
+                    ${aggregated ? `<ul class="site-issue-list">${aggregated}</ul>` : '<div class="no-issues">No issues found.</div>'}
+                    <h4>Site-wide Checks</h4>
+                    ${siteIssues ? `<ul class="site-issue-list">${siteIssues}</ul>` : '<div class="no-issues">No duplicate titles or broken internal links.</div>'}
+                </div>
+            </div>
+        `;
+        elements.siteSummary.querySelectorAll('.site-page-link').forEach(btn => {
+            btn.addEventListener('click', () => selectSitePage(btn.dataset.page));
+        });
+        elements.siteSummary.classList.remove('hidden');
+    }
+
     function readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -202,26 +627,33 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function renderReport(report) {
+        elements.shareStatus.classList.add('hidden');
         // Meta
         elements.metaDate.textContent = `Date: ${report.metadata.date}`;
         elements.metaLength.textContent = ` | Size: ${report.metadata.length} chars`;
-        elements.metaSource.textContent = ` | Source: ${report.metadata.source}`;
+        const mode = INPUT_MODES.find(entry => entry.id === report.metadata.mode);
+        elements.metaSource.textContent = ` | Source: ${report.metadata.source}${mode && mode.id !== 'document' ? ` (${mode.name})` : ''}`;
 
         // Top Level Score
         elements.overallScoreVal.textContent = report.overallScore;
         updateScoreColor(document.getElementById('overall-score-circle'), report.overallScore, true);
 
+        renderBaselineBar(report);
+
         // Render Category Cards & Mini Scores
         elements.reportContainer.innerHTML = '';
         elements.categoryScoresContainer.innerHTML = '';
 
+        renderOutline(report);
+        renderSource(report);
+
         report.categories.forEach(category => {
             // 1. Add to Score Dashboard
             const miniCard = document.createElement('div');
             miniCard.className = 'mini-score-card';
             miniCard.innerHTML = `
-                <span>${category.name}</span>
-                <span class="mini-score-value" style="color: ${getScoreColor(category.score)}">${category.score}</span>
+                <span>${escapeHtml(category.name)}</span>
+                <span class="mini-score-value" style="color: ${getScoreColor(category.score)}">${formatScore(category.score)}</span>
             `;
             elements.categoryScoresContainer.appendChild(miniCard);
 
@@ -232,15 +664,31 @@ document.addEventListener('DOMContentLoaded', () => {
             const list = document.createElement('div');
             list.className = 'issue-list';
 
-            if (category.issues.length === 0) {
+            if (category.score === null) {
+                list.innerHTML = `<div class="no-issues">Nothing to check on this page.</div>`;
+            } else if (category.issues.length === 0 && report.onlyNew) {
+                list.innerHTML = `<div class="no-issues">No new issues since the baseline.</div>`;
+            } else if (category.issues.length === 0) {
                 list.innerHTML = `<div class="no-issues">No issues found. Score: 100/100</div>`;
             } else {
                 category.issues.forEach(issue => {
                     const item = document.createElement('div');
                     item.className = `issue-item issue-${issue.severity.toLowerCase()}`;
+                    item.id = `issue-${issue.fingerprint}`;
+                    if (issue.location && currentSources.has(report.metadata.source)) {
+                        item.classList.add('issue-item-linked');
+                        item.title = 'Show in source';
+                        item.addEventListener('click', () => highlightSource(issue));
+                    }
 
                     let metaHtml = '';
-                    if (issue.lineNumber) {
+                    if (issue.baselineStatus === 'new') {
+                        metaHtml += `<span class="new-tag"><span>New</span></span>`;
+                    }
+                    if (issue.location) {
+                        const { start, end } = issue.location;
+                        metaHtml += `<span class="meta-tag" title="Lines ${start.line}:${start.column}–${end.line}:${end.column}">Line ${start.line}:${start.column}</span>`;
+                    } else if (issue.lineNumber) {
                         metaHtml += `<span class="meta-tag">Line ${issue.lineNumber}</span>`;
                     }
                     if (issue.context) {
@@ -255,17 +703,17 @@ document.addEventListener('DOMContentLoaded', () => {
                         suggestionHtml = `
                             <div class="issue-suggestion">
                                 <span class="suggestion-icon">💡</span>
-                                <span class="suggestion-text">${issue.suggestion}</span>
+                                <span class="suggestion-text">${escapeHtml(issue.suggestion)}</span>
                             </div>
                         `;
                     }
 
                     item.innerHTML = `
                         <div class="issue-header">
-                            <span>${issue.severity}</span>
+                            <span>${escapeHtml(issue.severity)}</span>
                             ${metaHtml}
                         </div>
-                        <div class="issue-desc">${issue.description}</div>
+                        <div class="issue-desc">${escapeHtml(issue.description)}</div>
                         ${suggestionHtml}
                     `;
                     list.appendChild(item);
@@ -274,23 +722,495 @@ document.addEventListener('DOMContentLoaded', () => {
 
             card.innerHTML = `
                 <div class="category-header">
-                    <h3 class="category-title">${category.name}</h3>
-                    <span style="font-weight:700; color:${getScoreColor(category.score)}">${category.score}/100</span>
+                    <h3 class="category-title">${escapeHtml(category.name)}</h3>
+                    <span style="font-weight:700; color:${getScoreColor(category.score)}">${category.score === null ? 'N/A' : `${category.score}/100`}</span>
                 </div>
+                ${renderScoreBreakdown(category)}
             `;
             card.appendChild(list);
             elements.reportContainer.appendChild(card);
         });
+
+        renderSuppressed(report.suppressed || []);
+        renderFixes(report);
+    }
+
+    function renderScoreBreakdown(category) {
+        const deductions = category.deductions || [];
+        if (deductions.length === 0) return '';
+        const items = deductions.map(entry => `
+            <li class="suppressed-item">
+                <code class="rule-id">${escapeHtml(entry.ruleId)}</code>
+                <span>${entry.count} ${entry.count === 1 ? 'issue' : 'issues'}${entry.weight !== 1 ? ` &times; weight ${entry.weight}` : ''}</span>
+                <span class="points">&minus;${entry.points}</span>
+            </li>
+        `).join('');
+        return `
+            <details class="score-breakdown">
+                <summary>Score breakdown: &minus;${category.deducted} points</summary>
+                <ul class="suppressed-list">${items}</ul>
+            </details>
+        `;
+    }
+
+    function renderFixes(report) {
+        const rawHtml = currentSources.get(report.metadata.source);
+        if (!rawHtml || fixableIssues(report).length === 0) return;
+
+        const { html, applied } = applyFixes(rawHtml, report);
+        const diff = createUnifiedDiff(rawHtml, html, { fromFile: `a/${report.metadata.source}`, toFile: `b/${report.metadata.source}` });
+        const diffHtml = diff.trimEnd().split('\n').map(line => {
+            let cls = '';
+            if (line.startsWith('@@')) cls = 'diff-hunk';
+            else if (line.startsWith('+')) cls = 'diff-add';
+            else if (line.startsWith('-')) cls = 'diff-del';
+            return `<span class="${cls}">${escapeHtml(line)}</span>`;
+        }).join('\n');
+        const items = applied.map(issue => `
+            <li class="suppressed-item">
+                <code class="rule-id">${escapeHtml(issue.ruleId)}</code>
+                <span>${escapeHtml(issue.fix.description)}</span>
+            </li>
+        `).join('');
+
+        const card = document.createElement('details');
+        card.className = 'fixes-card';
+        card.innerHTML = `
+            <summary class="category-header">
+                <h3 class="category-title">Automatic Fixes</h3>
+                <span class="suppressed-count">${applied.length} ${applied.length === 1 ? 'issue' : 'issues'} can be fixed automatically</span>
+            </summary>
+            <ul class="suppressed-list">${items}</ul>
+            <pre class="diff-view">${diffHtml}</pre>
+            <div class="fix-actions">
+                <button class="btn secondary" data-fix-action="download">Download Fixed HTML</button>
+                <button class="btn primary" data-fix-action="apply">Apply Fixes &amp; Re-audit</button>
+            </div>
+        `;
+        card.querySelector('[data-fix-action="download"]').addEventListener('click', () => {
+            const name = report.metadata.source.split('/').pop();
+            downloadFile(/\.html?$/i.test(name) ? name : 'fixed.html', html, 'text/html');
+        });
+        card.querySelector('[data-fix-action="apply"]').addEventListener('click', () => applyFixedSource(report.metadata.source, html, report.metadata.mode));
+        elements.reportContainer.appendChild(card);
+    }
+
+    // Re-audit a source after its fixes were applied
+    function applyFixedSource(sourceName, html, mode) {
+        const report = engine.run(html, sourceName, { mode });
+        applyStoredBaseline(report);
+        currentSources.set(sourceName, html);
+        if (activeTab === 'raw') {
+            elements.htmlInput.value = html;
+            scheduleLiveAudit();
+        }
+
+        if (currentSite) {
+            const index = currentSite.reports.indexOf(currentReport);
+            currentSite.reports[index] = report;
+            const page = currentSite.pages.find(entry => entry.source === sourceName);
+            page.overallScore = report.overallScore;
+            page.issues = report.categories.reduce((sum, category) => sum + category.issues.length, 0);
+        }
+        currentReport = report;
+        recordHistory(report, html);
+        renderSiteSummary();
+        renderCurrentReport();
+    }
+
+    // --- Comparison ---
+    async function handleRunCompare() {
+        try {
+            engine.configure(elements.configInput.value);
+            const sides = [
+                await loadCompareSide('Before', elements.compareBeforeInput, elements.compareBeforeFile),
+                await loadCompareSide('After', elements.compareAfterInput, elements.compareAfterFile)
+            ];
+            // A multi-page export is narrowed down to the page the other side is about
+            const single = sides.find(side => side.reports.length === 1);
+            const source = single ? single.reports[0].metadata.source : null;
+            const [before, after] = sides.map(side => selectReport(side.reports, source, side.label));
+            showComparison(compareReports(before, after));
+        } catch (err) {
+            showError(err.message);
+        }
+    }
+
+    // Each side is an uploaded .html/.json file, or pasted HTML or JSON
+    async function loadCompareSide(label, textarea, fileInput) {
+        const file = fileInput.files[0];
+        const text = file ? await readFile(file) : textarea.value;
+        if (!text.trim()) throw new Error(`Please paste or upload the "${label}" document.`);
+
+        const isJson = file ? /\.json$/i.test(file.name) : text.trim().startsWith('{');
+        if (isJson) return { label: file ? file.name : label, reports: parseReportsJson(text) };
+        return { label, reports: [engine.run(text, file ? file.name : label, { mode: file ? modeForFile(file.name) : 'document' })] };
+    }
+
+    function showComparison(comparison) {
+        elements.inputSection.classList.add('hidden');
+        elements.resultsSection.classList.add('hidden');
+        elements.historySection.classList.add('hidden');
+        elements.compareSection.classList.remove('hidden');
+        elements.newAuditBtn.classList.remove('hidden');
+        hideError();
+        renderComparison(comparison);
+        window.scrollTo(0, 0);
+    }
+
+    function renderComparison(comparison) {
+        const { before, after, overall } = comparison;
+        const delta = value => {
+            if (value === null) return '<span class="delta">–</span>';
+            const cls = value > 0 ? 'delta-up' : value < 0 ? 'delta-down' : '';
+            return `<span class="delta ${cls}">${value > 0 ? '+' : ''}${escapeHtml(value)}</span>`;
+        };
+        const score = value => (value === null ? '–' : `<span style="font-weight:700; color:${getScoreColor(value)}">${escapeHtml(value)}</span>`);
+
+        const rows = comparison.categories.map(category => `
+            <tr>
+                <td>${escapeHtml(category.name)}</td>
+                <td>${score(category.before)}</td>
+                <td>${score(category.after)}</td>
+                <td>${delta(category.delta)}</td>
+            </tr>
+        `).join('');
+
+        const list = (issues, empty) => (issues.length === 0 ? `<div class="no-issues">${empty}</div>` : `
+            <ul class="site-issue-list">${issues.map(issue => `
+                <li class="site-issue">
+                    <code class="rule-id">${escapeHtml(issue.ruleId)}</code>
+                    <span>[${escapeHtml(issue.severity)}] ${escapeHtml(issue.description)}</span>
+                    <span class="site-issue-count">${escapeHtml(issue.category)}${issue.lineNumber ? ` · Line ${escapeHtml(issue.lineNumber)}` : ''}</span>
+                </li>
+            `).join('')}</ul>
+        `);
+
+        elements.compareContent.innerHTML = `
+            <div class="category-header">
+                <h3 class="category-title">Comparison</h3>
+                <span class="suppressed-count">${escapeHtml(before.source)} (${escapeHtml(before.date)}) → ${escapeHtml(after.source)} (${escapeHtml(after.date)})</span>
+            </div>
+            <div class="compare-overall">
+                Overall score ${score(overall.before)} → ${score(overall.after)} ${delta(overall.delta)}
+            </div>
+            <table class="site-pages compare-table">
+                <thead><tr><th>Category</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="compare-lists">
+                <div>
+                    <h4>Introduced (${comparison.introduced.length})</h4>
+                    ${list(comparison.introduced, 'No new issues.')}
+                </div>
+                <div>
+                    <h4>Resolved (${comparison.resolved.length})</h4>
+                    ${list(comparison.resolved, 'No issues resolved.')}
+                </div>
+            </div>
+            <details class="compare-persisting">
+                <summary>Persisting (${comparison.persisting.length})</summary>
+                ${list(comparison.persisting, 'No issues in both reports.')}
+            </details>
+        `;
+    }
+
+    // --- Audit History ---
+    // Every audit is kept in IndexedDB; without it (e.g. private browsing) there is no history
+    function recordHistory(report, html) {
+        if (!auditHistory.available) return;
+        auditHistory.save(report, html || null).catch(err => showError(`Could not save this audit to the history: ${err.message}`));
+    }
+
+    function showHistorySection(selectedSource) {
+        elements.inputSection.classList.add('hidden');
+        elements.resultsSection.classList.add('hidden');
+        elements.compareSection.classList.add('hidden');
+        elements.historySection.classList.remove('hidden');
+        elements.newAuditBtn.classList.remove('hidden');
+        hideError();
+        renderHistory(selectedSource);
+        window.scrollTo(0, 0);
+    }
+
+    async function renderHistory(selectedSource) {
+        let groups;
+        try {
+            groups = groupBySource(await auditHistory.list());
+        } catch (err) {
+            elements.historyContent.innerHTML = `<div class="no-issues">${escapeHtml(err.message)}</div>`;
+            return;
+        }
+        if (groups.length === 0) {
+            elements.historyContent.innerHTML = '<div class="no-issues">No audits saved yet. Every audit you run is kept here.</div>';
+            return;
+        }
+
+        const selected = groups.find(group => group.source === selectedSource) || groups[0];
+        const sources = groups.map(group => `
+            <li>
+                <button class="history-source${group === selected ? ' selected' : ''}" data-source="${escapeHtml(group.source)}">
+                    <span class="history-source-name">${escapeHtml(group.source)}</span>
+                    <span class="history-source-meta">${group.audits.length} ${group.audits.length === 1 ? 'audit' : 'audits'} · latest
+                        <strong style="color:${getScoreColor(group.latest.overallScore)}">${group.latest.overallScore}</strong></span>
+                </button>
+            </li>
+        `).join('');
+
+        const legend = trendSeries(selected.audits).map((series, index) => `
+            <span class="trend-legend-item">
+                <span class="trend-swatch" style="background:${series.overall ? 'currentColor' : SERIES_COLORS[(index - 1) % SERIES_COLORS.length]}"></span>${escapeHtml(series.name)}
+            </span>
+        `).join('');
+
+        const rows = [...selected.audits].reverse().map(audit => `
+            <tr>
+                <td><input type="checkbox" class="history-select" value="${audit.id}" aria-label="Select audit from ${formatDate(audit.savedAt)} for comparison"></td>
+                <td>${formatDate(audit.savedAt)}</td>
+                <td style="font-weight:700; color:${getScoreColor(audit.overallScore)}">${audit.overallScore}</td>
+                <td>${audit.issues.Critical} / ${audit.issues.Warning} / ${audit.issues.Info}</td>
+                <td class="history-actions">
+                    <button class="text-link history-open" data-id="${audit.id}">Open</button>
+                    <button class="text-link history-delete" data-id="${audit.id}">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+
+        elements.historyContent.innerHTML = `
+            <div class="history-layout">
+                <ul class="history-sources">${sources}</ul>
+                <div class="history-detail">
+                    <h4>${escapeHtml(selected.source)}</h4>
+                    ${createTrendChart(selected.audits)}
+                    <div class="trend-legend">${legend}</div>
+                    <table class="site-pages">
+                        <thead><tr><th></th><th>Date</th><th>Score</th><th>Critical / Warning / Info</th><th></th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <button id="history-compare-btn" class="btn secondary" disabled>Compare selected</button>
+                </div>
+            </div>
+        `;
+        elements.historyContent.querySelectorAll('.history-source').forEach(btn => {
+            btn.addEventListener('click', () => renderHistory(btn.dataset.source));
+        });
+        elements.historyContent.querySelectorAll('.history-open').forEach(btn => {
+            btn.addEventListener('click', () => openHistoryAudit(Number(btn.dataset.id)));
+        });
+        elements.historyContent.querySelectorAll('.history-delete').forEach(btn => {
+            btn.addEventListener('click', () => deleteHistoryAudit(Number(btn.dataset.id), selected.source));
+        });
+
+        const compareBtn = document.getElementById('history-compare-btn');
+        const checked = () => [...elements.historyContent.querySelectorAll('.history-select:checked')];
+        elements.historyContent.querySelectorAll('.history-select').forEach(box => {
+            box.addEventListener('change', () => {
+                compareBtn.disabled = checked().length !== 2;
+            });
+        });
+        compareBtn.addEventListener('click', () => compareHistoryAudits(checked().map(box => Number(box.value))));
+    }
+
+    async function compareHistoryAudits(ids) {
+        try {
+            // Ids grow with time, so the lower one is the older audit
+            const [before, after] = await Promise.all([...ids].sort((a, b) => a - b).map(id => auditHistory.get(id)));
+            if (!before || !after) throw new Error('One of these audits is no longer in the history.');
+            showComparison(compareReports(before.report, after.report));
+        } catch (err) {
+            showError(err.message);
+        }
+    }
+
+    async function openHistoryAudit(id) {
+        try {
+            const record = await auditHistory.get(id);
+            if (!record) throw new Error('This audit is no longer in the history.');
+            currentReport = record.report;
+            currentSite = null;
+            currentSources = record.html ? new Map([[record.report.metadata.source, record.html]]) : new Map();
+            elements.onlyNewToggle.checked = false;
+            renderSiteSummary();
+            renderCurrentReport();
+            showResultsSection();
+        } catch (err) {
+            renderHistory(null);
+            showError(`Could not open this audit: ${err.message}`);
+        }
+    }
+
+    async function deleteHistoryAudit(id, source) {
+        if (!confirm('Delete this audit from the history?')) return;
+        try {
+            await auditHistory.delete(id);
+        } catch (err) {
+            showError(`Could not delete this audit: ${err.message}`);
+        }
+        renderHistory(source);
+    }
+
+    function renderOutline(report) {
+        const outline = report.outline || [];
+        if (outline.length === 0) return;
+
+        // Issues reported on an outline node, matched by source position
+        const issuesAt = new Map();
+        report.categories.forEach(category => category.issues.forEach(issue => {
+            if (!issue.location) return;
+            const offset = issue.location.start.offset;
+            if (!issuesAt.has(offset)) issuesAt.set(offset, []);
+            issuesAt.get(offset).push(issue);
+        }));
+
+        const renderNodes = nodes => `<ul class="outline-list">${nodes.map(node => {
+            const issues = node.location ? issuesAt.get(node.location.start.offset) || [] : [];
+            const label = node.type === 'landmark'
+                ? `<span class="outline-role">${escapeHtml(node.role)}</span> ${escapeHtml(node.text)}`
+                : `<span class="outline-level">H${node.level}</span> ${node.text ? escapeHtml(node.text) : '<em>(empty)</em>'}`;
+            const links = issues.map(issue => `<a class="outline-issue" href="#issue-${escapeHtml(issue.fingerprint)}" title="${escapeHtml(issue.description)}">${escapeHtml(issue.ruleId)}</a>`).join('');
+            const classes = ['outline-node', `outline-${node.type === 'landmark' ? 'landmark' : 'heading'}`];
+            if (issues.length) classes.push('outline-problem');
+            if (node.hidden) classes.push('outline-hidden');
+            return `
+                <li>
+                    <div class="${classes.join(' ')}">${label}${links}</div>
+                    ${node.children.length ? renderNodes(node.children) : ''}
+                </li>
+            `;
+        }).join('')}</ul>`;
+
+        const card = document.createElement('details');
+        card.className = 'outline-card';
+        card.open = true;
+        card.innerHTML = `
+            <summary class="category-header">
+                <h3 class="category-title">Document Outline</h3>
+                <span class="suppressed-count">Headings and landmarks</span>
+            </summary>
+            ${renderNodes(outline)}
+        `;
+        elements.reportContainer.appendChild(card);
+    }
+
+    // Editor-style view of the audited markup, with a gutter marker on every line that has issues
+    function renderSource(report) {
+        const rawHtml = currentSources.get(report.metadata.source);
+        if (!rawHtml) return;
+
+        const issuesByLine = new Map();
+        report.categories.forEach(category => category.issues.forEach(issue => {
+            if (!issue.location) return;
+            const line = issue.location.start.line;
+            if (!issuesByLine.has(line)) issuesByLine.set(line, []);
+            issuesByLine.get(line).push(issue);
+        }));
+
+        const severityRank = ['Critical', 'Warning', 'Info'];
+        const lines = highlightLines(rawHtml).map((code, index) => {
+            const number = index + 1;
+            const issues = issuesByLine.get(number) || [];
+            let marker = '';
+            if (issues.length) {
+                const worst = severityRank.find(severity => issues.some(issue => issue.severity === severity)) || 'Info';
+                const tooltip = issues.map(issue => `
+                    <span class="gutter-issue">
+                        <strong>[${escapeHtml(issue.severity)}] ${escapeHtml(issue.description)}</strong>
+                        ${issue.suggestion ? `<span>Tip: ${escapeHtml(issue.suggestion)}</span>` : ''}
+                    </span>
+                `).join('');
+                marker = `<button class="gutter-marker marker-${escapeHtml(worst.toLowerCase())}" data-issue="${escapeHtml(issues[0].fingerprint)}" aria-label="${issues.length} ${issues.length === 1 ? 'issue' : 'issues'} on line ${number}"><span class="gutter-tooltip" role="tooltip">${tooltip}</span></button>`;
+            }
+            return `<div class="source-line" data-line="${number}"><span class="source-gutter">${marker}</span><span class="source-number">${number}</span><code class="source-code">${code || ' '}</code></div>`;
+        });
+
+        const marked = [...issuesByLine.values()].reduce((sum, issues) => sum + issues.length, 0);
+        const card = document.createElement('details');
+        card.className = 'source-card';
+        card.open = true;
+        card.innerHTML = `
+            <summary class="category-header">
+                <h3 class="category-title">Source</h3>
+                <span class="suppressed-count">${lines.length} lines · ${marked} ${marked === 1 ? 'issue' : 'issues'} marked</span>
+            </summary>
+            <div class="source-view">${lines.join('')}</div>
+        `;
+        card.querySelectorAll('.gutter-marker').forEach(marker => {
+            marker.addEventListener('click', () => {
+                const target = document.getElementById(`issue-${marker.dataset.issue}`);
+                if (!target) return;
+                target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                target.classList.add('issue-item-flash');
+                setTimeout(() => target.classList.remove('issue-item-flash'), 1500);
+            });
+        });
+        elements.reportContainer.appendChild(card);
+    }
+
+    // Mark the element's lines in the source view and scroll to them
+    function highlightSource(issue) {
+        const view = elements.reportContainer.querySelector('.source-view');
+        if (!view) return;
+        view.closest('details').open = true;
+        view.querySelectorAll('.source-line-active').forEach(line => line.classList.remove('source-line-active'));
+
+        const { start, end } = issue.location;
+        for (let number = start.line; number <= end.line; number++) {
+            const line = view.querySelector(`[data-line="${number}"]`);
+            if (line) line.classList.add('source-line-active');
+        }
+        const first = view.querySelector(`[data-line="${start.line}"]`);
+        if (first) {
+            view.scrollTop = first.offsetTop - view.clientHeight / 3;
+            view.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    function renderSuppressed(suppressed) {
+        if (suppressed.length === 0) return;
+
+        const card = document.createElement('details');
+        card.className = 'suppressed-card';
+
+        const items = suppressed.map(issue => {
+            const safeDesc = escapeHtml(issue.description);
+            const line = issue.lineNumber ? `<span class="meta-tag">Line ${issue.lineNumber}</span>` : '';
+            return `
+                <li class="suppressed-item">
+                    <code class="rule-id">${escapeHtml(issue.ruleId)}</code>
+                    <span>[${escapeHtml(issue.severity)}] ${safeDesc}</span>
+                    ${line}
+                </li>
+            `;
+        }).join('');
+
+        card.innerHTML = `
+            <summary class="category-header">
+                <h3 class="category-title">Suppressed Issues</h3>
+                <span class="suppressed-count">${suppressed.length} waived by markupaudit-disable comments</span>
+            </summary>
+            <ul class="suppressed-list">${items}</ul>
+        `;
+        elements.reportContainer.appendChild(card);
     }
 
     // --- Helpers ---
 
+    function escapeHtml(str) {
+        return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
     function getScoreColor(score) {
+        if (score === null) return 'var(--text-muted)'; // Not applicable
         if (score >= 90) return 'var(--severity-good-text)'; // Needs to be defined or hex
         if (score >= 70) return '#b45309'; // Warning
         return '#b91c1c'; // Critical
     }
 
+    // Categories with nothing to check have no score
+    function formatScore(score) {
+        return score === null ? 'N/A' : String(score);
+    }
+
     function updateScoreColor(element, score, isBg = false) {
         // Simple conic gradient manipulation
         const color = getScoreColor(score);
@@ -333,17 +1253,23 @@ document.addEventListener('DOMContentLoaded', () => {
             else if (index === 1) doc.setTextColor(147, 51, 234);
             else if (index === 2) doc.setTextColor(22, 163, 74);
             else if (index === 3) doc.setTextColor(234, 88, 12);
+            else if (index === 4) doc.setTextColor(219, 39, 119);
+            else if (index === 5) doc.setTextColor(13, 148, 136);
+            else if (index === 6) doc.setTextColor(79, 70, 229);
+            else if (index === 7) doc.setTextColor(101, 163, 13);
+            else if (index === 8) doc.setTextColor(2, 132, 199);
+            else if (index === 9) doc.setTextColor(225, 29, 72);
             else doc.setTextColor(0, 0, 0);
 
             doc.setFontSize(16);
-            doc.text(`${cat.name} (${cat.score})`, 20, y);
+            doc.text(`${cat.name} (${formatScore(cat.score)})`, 20, y);
             y += 8;
 
             doc.setFontSize(11);
             doc.setTextColor(0, 0, 0); // Reset to Black for content
             if (cat.issues.length === 0) {
                 doc.setTextColor(100, 100, 100);
-                doc.text("- No issues found.", 25, y);
+                doc.text(cat.score === null ? "- Nothing to check." : "- No issues found.", 25, y);
                 y += 8;
             } else {
                 cat.issues.forEach(issue => {
@@ -365,7 +1291,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     if (issue.context) {
                         doc.setTextColor(100, 116, 139); // Slate 500
                         doc.setFontSize(10);
-                        doc.text(`Code: ${issue.context.substring(0, 80)}`, 30, y);
+                        doc.text(`Code: ${issue.context.replace(/\s+/g, ' ').substring(0, 80)}`, 30, y);
                         doc.setFontSize(11); // Reset
                         y += 6;
                     }
@@ -384,27 +1310,129 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             y += 10;
         });
+
+        const suppressed = currentReport.suppressed || [];
+        if (suppressed.length > 0) {
+            if (y > 250) { doc.addPage(); y = 20; }
+            doc.setFontSize(16);
+            doc.setTextColor(100, 116, 139);
+            doc.text(`Suppressed Issues (${suppressed.length})`, 20, y);
+            y += 8;
+            doc.setFontSize(10);
+            suppressed.forEach(issue => {
+                if (y > 270) { doc.addPage(); y = 20; }
+                let text = `[${issue.ruleId}] ${issue.description}`;
+                if (issue.lineNumber) text += ` (Line ${issue.lineNumber})`;
+                doc.text(text, 25, y);
+                y += 6;
+            });
+        }
         doc.save("audit-report.pdf");
     }
 
+    async function exportFormat(format, options = {}) {
+        if (!currentReport) return;
+        const { extension, mimeType } = FORMATS[format];
+        // Site audits export every page, plus the site summary where the format supports it
+        const reports = currentSite ? currentSite.reports : [currentReport];
+        const stylesheet = format === 'html' ? await loadStylesheet() : undefined;
+        const content = formatReports(reports, format, { ...options, registry: engine.registry, site: currentSite, stylesheet });
+        downloadFile(`audit-report.${extension}`, content, mimeType);
+    }
+
+    // HTML exports inline this page's stylesheet so they look the same offline
+    async function loadStylesheet() {
+        try {
+            const response = await fetch('css/styles.css');
+            return response.ok ? await response.text() : undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    // --- Sharing ---
+    async function shareReport() {
+        if (!currentReport) return;
+        try {
+            const url = await createShareUrl(currentReport, window.location.href);
+            try {
+                await navigator.clipboard.writeText(url);
+                showShareStatus(`Link copied (${Math.round(url.length / 1024)} KB). Anyone with the link can open this report; nothing is uploaded.`);
+            } catch (err) {
+                // Clipboard access can be denied; let the user copy it by hand
+                window.prompt('Copy this link to share the report:', url);
+            }
+        } catch (err) {
+            showShareStatus(`Could not create a share link: ${err.message}`);
+        }
+    }
+
+    function showShareStatus(message) {
+        elements.shareStatus.textContent = message;
+        elements.shareStatus.classList.remove('hidden');
+    }
+
+    // Opening a share link shows the report it carries
+    async function openSharedReport() {
+        const encoded = readShareFragment(window.location.hash);
+        if (!encoded) return;
+        enterApp();
+        try {
+            currentReport = await decodeReport(encoded);
+            currentSite = null;
+            currentSources = new Map();
+            renderSiteSummary();
+            renderCurrentReport();
+            showResultsSection();
+        } catch (err) {
+            showError(err.message);
+        }
+    }
+
+    function downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     function clearInputs() {
         elements.htmlInput.value = '';
         elements.urlInput.value = '';
         elements.fileInput.value = '';
         elements.fileNameDisplay.textContent = '';
+        elements.siteFolderInput.value = '';
+        elements.siteFolderName.textContent = '';
+        elements.sitemapInput.value = '';
+        elements.compareBeforeInput.value = '';
+        elements.compareAfterInput.value = '';
+        elements.compareBeforeFile.value = '';
+        elements.compareAfterFile.value = '';
+        elements.compareBeforeName.textContent = '';
+        elements.compareAfterName.textContent = '';
         hideError();
+        scheduleLiveAudit();
     }
 
     function showInputSection() {
         elements.inputSection.classList.remove('hidden');
         elements.resultsSection.classList.add('hidden');
+        elements.historySection.classList.add('hidden');
+        elements.compareSection.classList.add('hidden');
         elements.newAuditBtn.classList.add('hidden');
     }
 
     function showResultsSection() {
         elements.inputSection.classList.add('hidden');
+        elements.historySection.classList.add('hidden');
+        elements.compareSection.classList.add('hidden');
         elements.resultsSection.classList.remove('hidden');
         elements.newAuditBtn.classList.remove('hidden');
+        hideError();
         window.scrollTo(0, 0);
     }
 
@@ -438,5 +1466,6 @@ document.addEventListener('DOMContentLoaded', () => {
     </div>
 </body>
 </html>`;
+        scheduleLiveAudit();
     }
 });
@@ -0,0 +1,272 @@
+/**
+ * MarkupAudit ARIA Data
+ * WAI-ARIA 1.2 roles and attributes used by the ARIA validity rules.
+ * Roles only list their role-specific attributes; attributes marked
+ * `global` apply to every role.
+ */
+
+/**
+ * Roles: required context (allowed parent roles), required owned roles,
+ * required states/properties and role-specific supported attributes
+ */
+export const ROLES = {
+    alert: {},
+    alertdialog: { supported: ['aria-modal'] },
+    application: { supported: ['aria-activedescendant', 'aria-expanded'] },
+    article: { supported: ['aria-posinset', 'aria-setsize'] },
+    banner: {},
+    blockquote: {},
+    button: { supported: ['aria-expanded', 'aria-pressed'] },
+    caption: { context: ['figure', 'grid', 'table', 'treegrid'] },
+    cell: { context: ['row'], supported: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan'] },
+    checkbox: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'] },
+    code: {},
+    columnheader: {
+        context: ['row'],
+        supported: ['aria-colindex', 'aria-colspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-rowindex', 'aria-rowspan', 'aria-selected', 'aria-sort']
+    },
+    combobox: {
+        required: ['aria-expanded'],
+        supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-expanded', 'aria-readonly', 'aria-required']
+    },
+    complementary: {},
+    contentinfo: {},
+    definition: {},
+    deletion: {},
+    dialog: { supported: ['aria-modal'] },
+    directory: {},
+    document: {},
+    emphasis: {},
+    feed: { owned: ['article'] },
+    figure: {},
+    form: {},
+    generic: {},
+    grid: {
+        owned: ['row', 'rowgroup'],
+        supported: ['aria-activedescendant', 'aria-colcount', 'aria-multiselectable', 'aria-readonly', 'aria-rowcount']
+    },
+    gridcell: {
+        context: ['row'],
+        supported: ['aria-colindex', 'aria-colspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-rowindex', 'aria-rowspan', 'aria-selected']
+    },
+    group: { supported: ['aria-activedescendant'] },
+    heading: { required: ['aria-level'], supported: ['aria-level'] },
+    img: {},
+    insertion: {},
+    link: { supported: ['aria-expanded'] },
+    list: { owned: ['listitem'] },
+    listbox: {
+        owned: ['group', 'option'],
+        supported: ['aria-activedescendant', 'aria-expanded', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required']
+    },
+    listitem: { context: ['list', 'directory'], supported: ['aria-level', 'aria-posinset', 'aria-setsize'] },
+    log: {},
+    main: {},
+    mark: {},
+    marquee: {},
+    math: {},
+    menu: {
+        owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'],
+        supported: ['aria-activedescendant', 'aria-orientation']
+    },
+    menubar: {
+        owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio'],
+        supported: ['aria-activedescendant', 'aria-orientation']
+    },
+    menuitem: { context: ['group', 'menu', 'menubar'], supported: ['aria-expanded', 'aria-posinset', 'aria-setsize'] },
+    menuitemcheckbox: {
+        context: ['group', 'menu', 'menubar'],
+        required: ['aria-checked'],
+        supported: ['aria-checked', 'aria-expanded', 'aria-posinset', 'aria-setsize']
+    },
+    menuitemradio: {
+        context: ['group', 'menu', 'menubar'],
+        required: ['aria-checked'],
+        supported: ['aria-checked', 'aria-expanded', 'aria-posinset', 'aria-setsize']
+    },
+    meter: { required: ['aria-valuenow'], supported: ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    navigation: {},
+    none: {},
+    note: {},
+    option: { context: ['group', 'listbox'], supported: ['aria-checked', 'aria-posinset', 'aria-selected', 'aria-setsize'] },
+    paragraph: {},
+    presentation: {},
+    progressbar: { supported: ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    radio: { required: ['aria-checked'], supported: ['aria-checked', 'aria-posinset', 'aria-setsize'] },
+    radiogroup: { supported: ['aria-activedescendant', 'aria-orientation', 'aria-readonly', 'aria-required'] },
+    region: {},
+    row: {
+        context: ['grid', 'rowgroup', 'table', 'treegrid'],
+        owned: ['cell', 'columnheader', 'gridcell', 'rowheader'],
+        supported: ['aria-activedescendant', 'aria-colindex', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-rowindex', 'aria-selected', 'aria-setsize']
+    },
+    rowgroup: { context: ['grid', 'table', 'treegrid'], owned: ['row'] },
+    rowheader: {
+        context: ['row'],
+        supported: ['aria-colindex', 'aria-colspan', 'aria-expanded', 'aria-readonly', 'aria-required', 'aria-rowindex', 'aria-rowspan', 'aria-selected', 'aria-sort']
+    },
+    scrollbar: {
+        required: ['aria-controls', 'aria-valuenow'],
+        supported: ['aria-orientation', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext']
+    },
+    search: {},
+    searchbox: {
+        supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required']
+    },
+    separator: { supported: ['aria-orientation', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'] },
+    slider: {
+        required: ['aria-valuenow'],
+        supported: ['aria-orientation', 'aria-readonly', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext']
+    },
+    spinbutton: {
+        supported: ['aria-activedescendant', 'aria-readonly', 'aria-required', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext']
+    },
+    status: {},
+    strong: {},
+    subscript: {},
+    superscript: {},
+    switch: { required: ['aria-checked'], supported: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'] },
+    tab: { context: ['tablist'], supported: ['aria-expanded', 'aria-posinset', 'aria-selected', 'aria-setsize'] },
+    table: { owned: ['row', 'rowgroup'], supported: ['aria-colcount', 'aria-rowcount'] },
+    tablist: { owned: ['tab'], supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation'] },
+    tabpanel: {},
+    term: {},
+    textbox: {
+        supported: ['aria-activedescendant', 'aria-autocomplete', 'aria-multiline', 'aria-placeholder', 'aria-readonly', 'aria-required']
+    },
+    time: {},
+    timer: {},
+    toolbar: { supported: ['aria-activedescendant', 'aria-orientation'] },
+    tooltip: {},
+    tree: {
+        owned: ['group', 'treeitem'],
+        supported: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation', 'aria-required']
+    },
+    treegrid: {
+        owned: ['row', 'rowgroup'],
+        supported: ['aria-activedescendant', 'aria-colcount', 'aria-multiselectable', 'aria-orientation', 'aria-readonly', 'aria-required', 'aria-rowcount']
+    },
+    treeitem: {
+        context: ['group', 'tree'],
+        supported: ['aria-checked', 'aria-expanded', 'aria-level', 'aria-posinset', 'aria-selected', 'aria-setsize']
+    }
+};
+
+// Abstract roles are for the ontology only and must not be used in content
+export const ABSTRACT_ROLES = [
+    'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section', 'sectionhead',
+    'select', 'structure', 'widget', 'window'
+];
+
+// Roles from the DPUB-ARIA and Graphics-ARIA modules are accepted without further checks
+export const MODULE_ROLE_PREFIXES = ['doc-', 'graphics-'];
+
+/**
+ * Attributes and their value types:
+ * boolean, tristate, true/false/undefined, idref, idrefs, integer, number,
+ * string, token (one of `values`) and tokens (space-separated `values`)
+ */
+export const ATTRIBUTES = {
+    'aria-activedescendant': { type: 'idref' },
+    'aria-atomic': { type: 'boolean', global: true },
+    'aria-autocomplete': { type: 'token', values: ['inline', 'list', 'both', 'none'] },
+    'aria-braillelabel': { type: 'string', global: true },
+    'aria-brailleroledescription': { type: 'string', global: true },
+    'aria-busy': { type: 'boolean', global: true },
+    'aria-checked': { type: 'tristate' },
+    'aria-colcount': { type: 'integer' },
+    'aria-colindex': { type: 'integer' },
+    'aria-colspan': { type: 'integer' },
+    'aria-controls': { type: 'idrefs', global: true },
+    'aria-current': { type: 'token', values: ['page', 'step', 'location', 'date', 'time', 'true', 'false'], global: true },
+    'aria-describedby': { type: 'idrefs', global: true },
+    'aria-description': { type: 'string', global: true },
+    'aria-details': { type: 'idrefs', global: true },
+    'aria-disabled': { type: 'boolean', global: true },
+    'aria-dropeffect': { type: 'tokens', values: ['copy', 'execute', 'link', 'move', 'none', 'popup'], global: true },
+    'aria-errormessage': { type: 'idrefs', global: true },
+    'aria-expanded': { type: 'true/false/undefined' },
+    'aria-flowto': { type: 'idrefs', global: true },
+    'aria-grabbed': { type: 'true/false/undefined', global: true },
+    'aria-haspopup': { type: 'token', values: ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'], global: true },
+    'aria-hidden': { type: 'true/false/undefined', global: true },
+    'aria-invalid': { type: 'token', values: ['grammar', 'false', 'spelling', 'true'], global: true },
+    'aria-keyshortcuts': { type: 'string', global: true },
+    'aria-label': { type: 'string', global: true },
+    'aria-labelledby': { type: 'idrefs', global: true },
+    'aria-level': { type: 'integer' },
+    'aria-live': { type: 'token', values: ['assertive', 'off', 'polite'], global: true },
+    'aria-modal': { type: 'boolean' },
+    'aria-multiline': { type: 'boolean' },
+    'aria-multiselectable': { type: 'boolean' },
+    'aria-orientation': { type: 'token', values: ['horizontal', 'undefined', 'vertical'] },
+    'aria-owns': { type: 'idrefs', global: true },
+    'aria-placeholder': { type: 'string' },
+    'aria-posinset': { type: 'integer' },
+    'aria-pressed': { type: 'tristate' },
+    'aria-readonly': { type: 'boolean' },
+    'aria-relevant': { type: 'tokens', values: ['additions', 'all', 'removals', 'text'], global: true },
+    'aria-required': { type: 'boolean' },
+    'aria-roledescription': { type: 'string', global: true },
+    'aria-rowcount': { type: 'integer' },
+    'aria-rowindex': { type: 'integer' },
+    'aria-rowspan': { type: 'integer' },
+    'aria-selected': { type: 'true/false/undefined' },
+    'aria-setsize': { type: 'integer' },
+    'aria-sort': { type: 'token', values: ['ascending', 'descending', 'none', 'other'] },
+    'aria-valuemax': { type: 'number' },
+    'aria-valuemin': { type: 'number' },
+    'aria-valuenow': { type: 'number' },
+    'aria-valuetext': { type: 'string' }
+};
+
+/**
+ * Whether a role token is a concrete role that may be used in content
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function isKnownRole(role) {
+    return Object.hasOwn(ROLES, role) || MODULE_ROLE_PREFIXES.some(prefix => role.startsWith(prefix));
+}
+
+/**
+ * Whether a value is valid for an attribute's type
+ * @param {string} name aria-* attribute name
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidAttributeValue(name, value) {
+    const attribute = ATTRIBUTES[name];
+    if (!attribute) return false;
+    const trimmed = value.trim();
+    // An empty value means "not set" for every type
+    if (trimmed === '') return true;
+
+    const lower = trimmed.toLowerCase();
+    switch (attribute.type) {
+        case 'boolean': return lower === 'true' || lower === 'false';
+        case 'tristate': return ['true', 'false', 'mixed'].includes(lower);
+        case 'true/false/undefined': return ['true', 'false', 'undefined'].includes(lower);
+        case 'idref': return !/\s/.test(trimmed);
+        case 'idrefs': return true;
+        case 'integer': return /^-?\d+$/.test(trimmed);
+        case 'number': return /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(trimmed);
+        case 'token': return attribute.values.includes(lower);
+        case 'tokens': return lower.split(/\s+/).every(token => attribute.values.includes(token));
+        default: return true;
+    }
+}
+
+/**
+ * Whether a role supports an attribute (global attributes are supported by all roles)
+ * @param {string} role
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function roleSupportsAttribute(role, name) {
+    const attribute = ATTRIBUTES[name];
+    if (!attribute) return false;
+    if (attribute.global) return true;
+    const data = ROLES[role];
+    return Boolean(data && data.supported && data.supported.includes(name));
+}
@@ -0,0 +1,114 @@
+/**
+ * MarkupAudit Baselines
+ * Saves the issues of a report so later audits can be classified as
+ * new, unchanged or fixed, matched by issue fingerprint.
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "created": "2026-01-07",
+ *   "documents": {
+ *     "index.html": [{ "fingerprint": "…", "ruleId": "img-alt", "severity": "Critical", "description": "…" }]
+ *   }
+ * }
+ */
+
+export const BASELINE_SCHEMA_VERSION = 1;
+
+/**
+ * @param {object[]} reports
+ * @returns {object} Baseline
+ */
+export function createBaseline(reports) {
+    const documents = {};
+    reports.forEach(report => {
+        documents[report.metadata.source] = allIssues(report).map(issue => ({
+            fingerprint: issue.fingerprint,
+            ruleId: issue.ruleId,
+            severity: issue.severity,
+            description: issue.description
+        }));
+    });
+
+    return {
+        schemaVersion: BASELINE_SCHEMA_VERSION,
+        created: new Date().toISOString().split('T')[0],
+        documents
+    };
+}
+
+/**
+ * Parse and validate baseline JSON
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseBaseline(text) {
+    let baseline;
+    try {
+        baseline = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid baseline: ${e.message}`);
+    }
+    if (!baseline || baseline.schemaVersion !== BASELINE_SCHEMA_VERSION || typeof baseline.documents !== 'object') {
+        throw new Error(`Invalid baseline: expected schemaVersion ${BASELINE_SCHEMA_VERSION} with a "documents" object.`);
+    }
+    return baseline;
+}
+
+/**
+ * Classify a report's issues against a baseline. Sets `baselineStatus`
+ * ('new' | 'unchanged') on every issue and attaches a `baseline` summary
+ * with the issues that have been fixed since.
+ * @param {object} report
+ * @param {object} baseline
+ * @returns {object} The same report
+ */
+export function applyBaseline(report, baseline) {
+    const known = baseline.documents[report.metadata.source] || [];
+    const remaining = new Map(known.map(entry => [entry.fingerprint, entry]));
+
+    let newCount = 0;
+    let unchangedCount = 0;
+    report.categories.forEach(category => {
+        category.issues.forEach(issue => {
+            if (remaining.has(issue.fingerprint)) {
+                remaining.delete(issue.fingerprint);
+                issue.baselineStatus = 'unchanged';
+                unchangedCount++;
+            } else {
+                issue.baselineStatus = 'new';
+                newCount++;
+            }
+        });
+    });
+
+    // Issues suppressed since the baseline are not "fixed"
+    (report.suppressed || []).forEach(issue => remaining.delete(issue.fingerprint));
+
+    report.baseline = {
+        created: baseline.created,
+        new: newCount,
+        unchanged: unchangedCount,
+        fixed: [...remaining.values()]
+    };
+    return report;
+}
+
+/**
+ * Copy of a report that only lists issues new since the baseline
+ * @param {object} report Report passed through applyBaseline()
+ * @returns {object}
+ */
+export function onlyNewIssues(report) {
+    return {
+        ...report,
+        onlyNew: true,
+        categories: report.categories.map(category => ({
+            ...category,
+            issues: category.issues.filter(issue => issue.baselineStatus !== 'unchanged')
+        }))
+    };
+}
+
+function allIssues(report) {
+    return [...report.categories.flatMap(category => category.issues), ...(report.suppressed || [])];
+}
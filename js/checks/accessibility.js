@@ -0,0 +1,117 @@
+/**
+ * 2. Accessibility Basics Rules
+ */
+
+import { setAttributeFix } from '../fixer.js';
+import { computeName, idRefs, isHiddenFromAT, isIconOnly } from '../accname.js';
+
+// Attributes that point at other elements by ID
+const ID_REFERENCE_ATTRIBUTES = [
+    'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant',
+    'aria-details', 'aria-errormessage', 'aria-flowto'
+];
+
+const BUTTON_SELECTOR = 'button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]';
+const LINK_SELECTOR = 'a[href], area[href], [role="link"]';
+
+/**
+ * Elements matching a selector that are exposed to assistive technology
+ */
+function exposed(doc, selector) {
+    return [...doc.querySelectorAll(selector)].filter(el => !isHiddenFromAT(el));
+}
+
+export const category = { id: 'accessibility', name: 'Accessibility Basics' };
+
+export const rules = [
+    {
+        id: 'img-alt',
+        category: 'accessibility',
+        severity: 'Critical',
+        wcag: ['1.1.1'],
+        description: 'Images must have an alt attribute.',
+        check({ doc, source, report }) {
+            doc.querySelectorAll('img').forEach(img => {
+                if (!img.hasAttribute('alt')) {
+                    const src = source.attributeText(img, 'src') || 'unknown';
+                    // alt="" marks the image as decorative; it is a placeholder to fill in
+                    const fix = setAttributeFix(source, img, 'alt', '', 'Add an empty alt="" placeholder');
+                    report({ element: img, message: `Image missing 'alt' attribute (src="${src}").`, suggestion: `Add alt="..." describing the image content (e.g., alt="Company Logo").`, fix });
+                }
+            });
+        }
+    },
+    {
+        id: 'html-lang',
+        category: 'accessibility',
+        severity: 'Critical',
+        wcag: ['3.1.1'],
+        description: 'The <html> element must have a lang attribute.',
+        scope: 'document',
+        check({ doc, source, report }) {
+            const html = doc.querySelector('html');
+            if (!html || !html.hasAttribute('lang') || !html.getAttribute('lang').trim()) {
+                const fix = html ? setAttributeFix(source, html, 'lang', 'en', 'Add lang="en" to <html>') : null;
+                report({ message: '<html> element missing "lang" attribute (e.g., lang="en").', suggestion: 'Add lang="en" (or your language code) to the <html> tag.', fix });
+            }
+        }
+    },
+    {
+        id: 'button-name',
+        category: 'accessibility',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'Buttons must have discernible text.',
+        check({ doc, report }) {
+            exposed(doc, BUTTON_SELECTOR).forEach(btn => {
+                // Icon-only buttons are reported by icon-only-control
+                if (!computeName(btn).name && !isIconOnly(btn)) {
+                    report({ element: btn, message: `Button has no text content or aria-label.`, suggestion: `Add text content inside the button or use aria-label="..." to describe its action.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'icon-only-control',
+        category: 'accessibility',
+        severity: 'Critical',
+        wcag: ['1.1.1', '4.1.2'],
+        description: 'Icon-only buttons and links must have an accessible name.',
+        check({ doc, report }) {
+            exposed(doc, `${BUTTON_SELECTOR}, ${LINK_SELECTOR}`).filter(isIconOnly).forEach(control => {
+                const { name, source } = computeName(control);
+                const kind = control.matches(LINK_SELECTOR) ? 'link' : 'button';
+                if (!name) {
+                    report({ element: control, message: `Icon-only ${kind} has no accessible name.`, suggestion: 'Add aria-label="..." describing the action, or visually hidden text. Mark the icon itself aria-hidden="true".' });
+                } else if (source === 'title') {
+                    report({ element: control, severity: 'Info', message: `Icon-only ${kind} is only named by its title attribute.`, suggestion: 'title is not reliably announced and never shown on touch devices; use aria-label or visually hidden text instead.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'broken-id-reference',
+        category: 'accessibility',
+        severity: 'Warning',
+        wcag: ['1.3.1', '4.1.2'],
+        description: 'ID references (aria-labelledby, label for, ...) must point to existing elements.',
+        check({ doc, source, report }) {
+            const selector = ID_REFERENCE_ATTRIBUTES.map(attr => `[${attr}]`).join(', ');
+            doc.querySelectorAll(selector).forEach(el => {
+                ID_REFERENCE_ATTRIBUTES.forEach(attr => {
+                    if (source.isTemplateValue(el, attr)) return;
+                    const missing = idRefs(el, attr).filter(id => !doc.getElementById(id));
+                    if (missing.length > 0) {
+                        report({ element: el, message: `${attr} references missing ID${missing.length > 1 ? 's' : ''} ${missing.map(id => `"${id}"`).join(', ')}.`, suggestion: `Point ${attr} at the id of an element on the page, or remove the reference.` });
+                    }
+                });
+            });
+            doc.querySelectorAll('label[for]').forEach(label => {
+                const id = label.getAttribute('for');
+                if (id && !doc.getElementById(id) && !source.isTemplateValue(label, 'for')) {
+                    report({ element: label, message: `<label for="${id}"> points to a missing ID.`, suggestion: 'Set "for" to the id of the form control this label describes.' });
+                }
+            });
+        }
+    }
+];
@@ -0,0 +1,287 @@
+/**
+ * 5. ARIA Validity Rules
+ * Checked against the WAI-ARIA 1.2 data in ../aria-data.js.
+ */
+
+import { ABSTRACT_ROLES, ATTRIBUTES, ROLES, isKnownRole, isValidAttributeValue, roleSupportsAttribute } from '../aria-data.js';
+import { getRole, idRefs, implicitRole } from '../accname.js';
+import { removeAttributeFix } from '../fixer.js';
+
+export const category = {
+    id: 'aria',
+    name: 'ARIA Validity',
+    // Only pages that use roles or aria-* attributes have anything to validate
+    applies: doc => [...doc.querySelectorAll('*')].some(el => el.hasAttribute('role') || [...el.attributes].some(attr => attr.name.startsWith('aria-')))
+};
+
+// Roles that do not count as a parent or child when checking required context/owned roles
+const TRANSPARENT_ROLES = [null, 'generic', 'none', 'presentation'];
+
+// Native elements whose states (checked, value, level) come from HTML, not aria-*
+const NATIVE_STATE_TAGS = ['input', 'meter', 'progress', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable], audio[controls], video[controls]';
+
+/**
+ * The explicit role of an element, if it has a valid one
+ */
+function explicitRole(el) {
+    if (!el.hasAttribute('role')) return null;
+    return (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).find(isKnownRole) || null;
+}
+
+function ariaAttributes(el) {
+    return [...el.attributes].filter(attr => attr.name.startsWith('aria-'));
+}
+
+function isFocusable(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.hasAttribute('disabled') && ['button', 'input', 'select', 'textarea'].includes(tag)) return false;
+    if (tag === 'input' && (el.getAttribute('type') || '').toLowerCase() === 'hidden') return false;
+    if (el.getAttribute('contenteditable') === 'false' || el.closest('[inert]')) return false;
+    const tabindex = parseInt(el.getAttribute('tabindex'), 10);
+    return !(tabindex < 0);
+}
+
+/**
+ * Owner of an element: the element whose aria-owns lists it, else its parent
+ */
+function owner(el, ownedBy) {
+    return (el.id && ownedBy.get(el.id)) || el.parentElement;
+}
+
+function ownsMap(doc) {
+    const ownedBy = new Map();
+    doc.querySelectorAll('[aria-owns]').forEach(el => {
+        idRefs(el, 'aria-owns').forEach(id => ownedBy.set(id, el));
+    });
+    return ownedBy;
+}
+
+/**
+ * Closest edit distance match, for "did you mean" suggestions
+ */
+function closestMatch(value, candidates) {
+    let best = null;
+    let bestDistance = 3;
+    candidates.forEach(candidate => {
+        const distance = editDistance(value, candidate);
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+export const rules = [
+    {
+        id: 'aria-role-valid',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'role attributes must use valid, non-abstract WAI-ARIA roles.',
+        check({ doc, report }) {
+            doc.querySelectorAll('[role]').forEach(el => {
+                const tokens = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+                tokens.filter(token => !isKnownRole(token)).forEach(token => {
+                    if (ABSTRACT_ROLES.includes(token)) {
+                        report({ element: el, message: `Abstract role "${token}" used.`, suggestion: 'Abstract roles only exist in the ARIA taxonomy; use a concrete role such as "region" or "button".' });
+                    } else {
+                        const guess = closestMatch(token, Object.keys(ROLES));
+                        report({ element: el, message: `Unknown role "${token}".`, suggestion: guess ? `Did you mean role="${guess}"?` : 'Use a role defined by WAI-ARIA, or remove the attribute.' });
+                    }
+                });
+            });
+        }
+    },
+    {
+        id: 'aria-attr-valid',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'aria-* attributes must be defined by WAI-ARIA.',
+        check({ doc, report }) {
+            doc.querySelectorAll('*').forEach(el => {
+                ariaAttributes(el).filter(attr => !ATTRIBUTES[attr.name]).forEach(attr => {
+                    const guess = closestMatch(attr.name, Object.keys(ATTRIBUTES));
+                    report({ element: el, message: `Unknown ARIA attribute "${attr.name}".`, suggestion: guess ? `Did you mean "${guess}"?` : 'Check the attribute name against the WAI-ARIA specification.' });
+                });
+            });
+        }
+    },
+    {
+        id: 'aria-attr-value',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'ARIA attributes must have valid values.',
+        check({ doc, source, report }) {
+            doc.querySelectorAll('*').forEach(el => {
+                // Values bound in a template are only known at runtime
+                ariaAttributes(el)
+                    .filter(attr => ATTRIBUTES[attr.name] && !isValidAttributeValue(attr.name, attr.value) && !source.isTemplateValue(el, attr.name))
+                    .forEach(attr => {
+                        const { type, values } = ATTRIBUTES[attr.name];
+                        const expected = values ? values.map(v => `"${v}"`).join(', ') : {
+                            boolean: '"true" or "false"',
+                            tristate: '"true", "false" or "mixed"',
+                            'true/false/undefined': '"true", "false" or "undefined"',
+                            idref: 'a single ID',
+                            integer: 'an integer',
+                            number: 'a number'
+                        }[type];
+                        report({ element: el, message: `Invalid value "${attr.value}" for ${attr.name}.`, suggestion: `${attr.name} accepts ${expected}.` });
+                    });
+            });
+        }
+    },
+    {
+        id: 'aria-attr-allowed',
+        category: 'aria',
+        severity: 'Warning',
+        wcag: ['4.1.2'],
+        description: 'ARIA attributes must be supported by the element\'s role.',
+        check({ doc, report }) {
+            doc.querySelectorAll('*').forEach(el => {
+                const tag = el.tagName.toLowerCase();
+                let role = getRole(el);
+                // Only judge generic elements we know are generic
+                if (!role) {
+                    if (tag !== 'div' && tag !== 'span') return;
+                    role = 'generic';
+                }
+                if (!ROLES[role]) return;
+                ariaAttributes(el)
+                    .filter(attr => ATTRIBUTES[attr.name] && !roleSupportsAttribute(role, attr.name))
+                    .forEach(attr => {
+                        report({ element: el, message: `${attr.name} is not supported on role "${role}".`, suggestion: `Remove ${attr.name}, or give the element a role that supports it.` });
+                    });
+            });
+        }
+    },
+    {
+        id: 'aria-required-attr',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'Elements with an ARIA role must have the states and properties it requires.',
+        check({ doc, report }) {
+            doc.querySelectorAll('[role]').forEach(el => {
+                const role = explicitRole(el);
+                if (!role || !ROLES[role] || !ROLES[role].required) return;
+                if (NATIVE_STATE_TAGS.includes(el.tagName.toLowerCase())) return;
+                const missing = ROLES[role].required.filter(name => !el.hasAttribute(name));
+                if (missing.length > 0) {
+                    report({ element: el, message: `role="${role}" is missing ${missing.join(', ')}.`, suggestion: `Add ${missing.map(name => `${name}="..."`).join(' ')} and keep it in sync with the element's state.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'aria-required-parent',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['1.3.1'],
+        description: 'Roles such as listitem, option or tab must be inside their required parent role.',
+        check({ doc, report }) {
+            const ownedBy = ownsMap(doc);
+            doc.querySelectorAll('[role]').forEach(el => {
+                const role = explicitRole(el);
+                const context = role && ROLES[role] ? ROLES[role].context : null;
+                if (!context) return;
+
+                let parent = owner(el, ownedBy);
+                while (parent && TRANSPARENT_ROLES.includes(getRole(parent))) parent = owner(parent, ownedBy);
+                const parentRole = parent ? getRole(parent) : null;
+                if (!context.includes(parentRole)) {
+                    report({
+                        element: el,
+                        message: `role="${role}" is not inside ${context.map(r => `role="${r}"`).join(' or ')}${parentRole ? ` (parent role is "${parentRole}")` : ''}.`,
+                        suggestion: `Wrap it in an element with role="${context.find(r => r !== 'group')}", or use the native HTML element instead.`
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'aria-required-children',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['1.3.1'],
+        description: 'Roles such as list, listbox or tablist must own elements with their required child roles.',
+        check({ doc, report }) {
+            const ownedBy = ownsMap(doc);
+            doc.querySelectorAll('[role]').forEach(el => {
+                const role = explicitRole(el);
+                const required = role && ROLES[role] ? ROLES[role].owned : null;
+                if (!required || el.getAttribute('aria-busy') === 'true') return;
+
+                const owned = [];
+                const collect = node => {
+                    [...node.children].forEach(child => {
+                        if (child.id && ownedBy.has(child.id) && ownedBy.get(child.id) !== el) return;
+                        if (TRANSPARENT_ROLES.includes(getRole(child))) collect(child);
+                        else owned.push(child);
+                    });
+                };
+                collect(el);
+                idRefs(el, 'aria-owns').forEach(id => {
+                    const target = doc.getElementById(id);
+                    if (target) owned.push(target);
+                });
+
+                if (!owned.some(child => required.includes(getRole(child)))) {
+                    report({ element: el, message: `role="${role}" has no children with role ${required.map(r => `"${r}"`).join(' or ')}.`, suggestion: `Give its items role="${required.find(r => r !== 'group')}", or use the equivalent native HTML element.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'aria-redundant-role',
+        category: 'aria',
+        severity: 'Info',
+        description: 'Native elements should not repeat their implicit role.',
+        check({ doc, source, report }) {
+            doc.querySelectorAll('[role]').forEach(el => {
+                const role = explicitRole(el);
+                if (role && role === implicitRole(el)) {
+                    const tag = el.tagName.toLowerCase();
+                    const fix = removeAttributeFix(source, el, 'role', `Remove the redundant role from <${tag}>`);
+                    report({ element: el, message: `Redundant role="${role}" on <${tag}>.`, suggestion: `<${tag}> already has the role "${role}"; remove the role attribute.`, fix });
+                }
+            });
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        category: 'aria',
+        severity: 'Critical',
+        wcag: ['4.1.2'],
+        description: 'aria-hidden="true" content must not be focusable.',
+        check({ doc, report }) {
+            doc.querySelectorAll('[aria-hidden="true"]').forEach(el => {
+                // Nested aria-hidden regions are reported once, at the outermost one
+                if (el.parentElement && el.parentElement.closest('[aria-hidden="true"]')) return;
+                const focusable = [el, ...el.querySelectorAll(FOCUSABLE_SELECTOR)]
+                    .filter(node => node.matches(FOCUSABLE_SELECTOR) && isFocusable(node));
+                if (focusable.length > 0) {
+                    const what = focusable.length === 1 ? 'a focusable element' : `${focusable.length} focusable elements`;
+                    report({ element: el, message: `aria-hidden="true" content contains ${what}.`, suggestion: 'Keyboard users can still reach it while screen readers announce nothing. Remove aria-hidden, or take the content out of the tab order (tabindex="-1", disabled or inert).' });
+                }
+            });
+        }
+    }
+];
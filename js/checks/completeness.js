@@ -0,0 +1,66 @@
+/**
+ * 4. Document Completeness Rules
+ */
+
+import { insertInHeadFix } from '../fixer.js';
+
+export const category = { id: 'completeness', name: 'Document Completeness' };
+
+export const rules = [
+    {
+        id: 'title',
+        category: 'completeness',
+        severity: 'Critical',
+        wcag: ['2.4.2'],
+        description: 'The document must have a non-empty <title>.',
+        scope: 'document',
+        check({ doc, report }) {
+            const title = doc.querySelector('title');
+            if (!title || !title.textContent.trim()) {
+                report({ message: 'Missing or empty <title> tag.', suggestion: 'Add a descriptive <title> in the <head> section.' });
+            }
+        }
+    },
+    {
+        id: 'meta-viewport',
+        category: 'completeness',
+        severity: 'Critical',
+        description: 'The document must declare a viewport meta tag.',
+        scope: 'document',
+        check({ doc, source, report }) {
+            if (!doc.querySelector('meta[name="viewport"]')) {
+                const fix = insertInHeadFix(source, doc, '<meta name="viewport" content="width=device-width, initial-scale=1.0">', 'Add a viewport meta tag');
+                report({ message: 'Missing <meta name="viewport"> tag.', suggestion: 'Add <meta name="viewport" content="width=device-width, initial-scale=1.0"> for mobile responsiveness.', fix });
+            }
+        }
+    },
+    {
+        id: 'open-graph',
+        category: 'completeness',
+        severity: 'Info',
+        description: 'The document should declare og:title and og:image.',
+        scope: 'document',
+        check({ doc, report }) {
+            const ogTitle = doc.querySelector('meta[property="og:title"]');
+            const ogImage = doc.querySelector('meta[property="og:image"]');
+            if (!ogTitle || !ogImage) {
+                report({ message: 'Missing Open Graph meta tags (og:title, og:image).', suggestion: 'Add <meta property="og:title" ...> and og:image to improve social sharing previews.' });
+            }
+        }
+    },
+    {
+        id: 'deprecated-tag',
+        category: 'completeness',
+        severity: 'Warning',
+        description: 'Deprecated presentational elements should not be used.',
+        check({ doc, report }) {
+            const deprecated = ['font', 'center', 'strike', 'marquee', 'blink'];
+            deprecated.forEach(tag => {
+                const found = doc.querySelectorAll(tag);
+                if (found.length > 0) {
+                    report({ element: found[0], message: `Deprecated HTML tag <${tag}> found.`, suggestion: `Remove <${tag}> and use modern CSS property instead.` });
+                }
+            });
+        }
+    }
+];
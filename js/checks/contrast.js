@@ -0,0 +1,95 @@
+/**
+ * 6. Color Contrast Rules
+ * Colours come from inline styles and <style> blocks; see ../contrast.js.
+ */
+
+import { StyleResolver, formatRatio, toHex } from '../contrast.js';
+import { isHiddenFromAT } from '../accname.js';
+
+export const category = {
+    id: 'contrast',
+    name: 'Color Contrast',
+    applies: doc => textSamples(doc).length > 0
+};
+
+// WCAG AA thresholds, normal and large text
+const AA = { normal: 4.5, large: 3 };
+
+const NON_TEXT_TAGS = ['script', 'style', 'noscript', 'template', 'title', 'head', 'svg', 'math'];
+
+// Both rules read the same resolved styles
+const samplesByDoc = new WeakMap();
+
+/**
+ * Elements with their own visible text, with the contrast of that text
+ */
+function textSamples(doc) {
+    if (samplesByDoc.has(doc)) return samplesByDoc.get(doc);
+
+    const resolver = new StyleResolver(doc);
+    const samples = [];
+    if (doc.body) {
+        [doc.body, ...doc.body.querySelectorAll('*')].forEach(el => {
+            if (el.closest(NON_TEXT_TAGS.join(', '))) return;
+            const hasText = [...el.childNodes].some(node => node.nodeType === 3 && node.textContent.trim());
+            if (!hasText || isHiddenFromAT(el)) return;
+            // Text of disabled controls is exempt from the contrast requirement
+            if (el.closest('button[disabled], fieldset[disabled], [aria-disabled="true"]')) return;
+            const contrast = resolver.textContrast(el);
+            if (contrast) samples.push({ element: el, ...contrast });
+        });
+    }
+    samplesByDoc.set(doc, samples);
+    return samples;
+}
+
+function describe(sample) {
+    const size = `${Math.round(sample.fontSize * 10) / 10}px${sample.bold ? ' bold' : ''}`;
+    return `${formatRatio(sample.ratio)} (${toHex(sample.foreground)} on ${toHex(sample.background)}, ${size})`;
+}
+
+export const rules = [
+    {
+        id: 'color-contrast',
+        category: 'contrast',
+        severity: 'Critical',
+        wcag: ['1.4.3'],
+        description: 'Text must have a contrast ratio of at least 4.5:1 (3:1 for large text) against its background (WCAG AA).',
+        options: { ...AA },
+        check({ doc, report, options }) {
+            textSamples(doc).forEach(sample => {
+                const required = sample.large ? options.large : options.normal;
+                if (sample.ratio < required) {
+                    report({
+                        element: sample.element,
+                        message: `Low contrast ${describe(sample)} on <${sample.element.tagName.toLowerCase()}>.`,
+                        suggestion: `AA requires ${required}:1 for ${sample.large ? 'large' : 'normal'} text. Darken the text or lighten the background.`
+                    });
+                }
+            });
+        }
+    },
+    {
+        id: 'color-contrast-enhanced',
+        category: 'contrast',
+        severity: 'Info',
+        wcag: ['1.4.6'],
+        description: 'Text should have a contrast ratio of at least 7:1 (4.5:1 for large text) for WCAG AAA.',
+        options: { normal: 7, large: 4.5 },
+        check({ doc, report, options, ruleSettings }) {
+            // Text failing the configured AA thresholds is already reported by color-contrast
+            const aa = ruleSettings('color-contrast');
+            const reported = aa && aa.enabled ? aa.options : { normal: 0, large: 0 };
+            textSamples(doc).forEach(sample => {
+                const required = sample.large ? options.large : options.normal;
+                if (sample.ratio < required && sample.ratio >= (sample.large ? reported.large : reported.normal)) {
+                    report({
+                        element: sample.element,
+                        message: `Contrast ${describe(sample)} passes AA but not AAA.`,
+                        suggestion: `AAA requires ${required}:1 for ${sample.large ? 'large' : 'normal'} text.`
+                    });
+                }
+            });
+        }
+    }
+];
@@ -0,0 +1,273 @@
+/**
+ * 7. Forms Rules
+ * Labels, grouping, autocomplete, required fields and error messages.
+ */
+
+import { computeName, idRefs, isHiddenFromAT } from '../accname.js';
+
+// Inputs that take typed or chosen values (not buttons or hidden fields)
+const FIELD_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"])';
+const TEXT_TYPES = ['', 'text', 'email', 'tel', 'url', 'search', 'number', 'date', 'month'];
+
+// Autocomplete field names (HTML Living Standard, "autofill field names")
+const AUTOFILL_FIELDS = new Set([
+    'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix', 'nickname',
+    'username', 'new-password', 'current-password', 'one-time-code', 'organization-title', 'organization',
+    'street-address', 'address-line1', 'address-line2', 'address-line3',
+    'address-level4', 'address-level3', 'address-level2', 'address-level1',
+    'country', 'country-name', 'postal-code',
+    'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
+    'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type',
+    'transaction-currency', 'transaction-amount', 'language',
+    'bday', 'bday-day', 'bday-month', 'bday-year', 'sex', 'url', 'photo'
+]);
+// Field names that may follow home, work, mobile, fax or pager
+const AUTOFILL_CONTACT_FIELDS = new Set([
+    'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
+    'tel-local-prefix', 'tel-local-suffix', 'tel-extension', 'email', 'impp'
+]);
+const AUTOFILL_CONTACT_TYPES = ['home', 'work', 'mobile', 'fax', 'pager'];
+
+// Personal-data fields recognised by name or id, with the token they should use
+const PERSONAL_FIELDS = [
+    [/e-?mail/, 'email'],
+    [/phone|mobile|^tel$/, 'tel'],
+    [/first.?name|given.?name|fname/, 'given-name'],
+    [/last.?name|family.?name|surname|lname/, 'family-name'],
+    [/full.?name|^name$|your.?name/, 'name'],
+    [/user.?name|login/, 'username'],
+    [/street|address/, 'street-address'],
+    [/city|town/, 'address-level2'],
+    [/zip|postal|postcode/, 'postal-code'],
+    [/country/, 'country-name'],
+    [/organi[sz]ation|company/, 'organization'],
+    [/birth|bday|dob/, 'bday'],
+    [/card.?num|cc.?num/, 'cc-number']
+];
+
+const ERROR_PATTERN = /(^|[-_\s])(error|errors|invalid|err)([-_\s]|$)|error-?message/i;
+
+/**
+ * An element styled as an error message, rather than a field wrapper with an error state
+ */
+function isErrorText(el) {
+    if (!el || el.nodeType !== 1) return false;
+    const hint = `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''}`;
+    return ERROR_PATTERN.test(hint) && !el.querySelector('input, select, textarea, button');
+}
+
+function exposed(doc, selector) {
+    return [...doc.querySelectorAll(selector)].filter(el => !isHiddenFromAT(el));
+}
+
+function typeOf(el) {
+    return (el.getAttribute('type') || '').trim().toLowerCase();
+}
+
+/**
+ * Whether an autocomplete value is a valid token list: [section-*] [shipping|billing]
+ * [home|work|mobile|fax|pager] field [webauthn], or just "on"/"off"
+ */
+function isValidAutocomplete(value) {
+    const tokens = value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 1 && (tokens[0] === 'on' || tokens[0] === 'off')) return true;
+    if (tokens[tokens.length - 1] === 'webauthn') tokens.pop();
+    if (tokens.length > 0 && tokens[0].startsWith('section-')) tokens.shift();
+    if (tokens.length > 0 && (tokens[0] === 'shipping' || tokens[0] === 'billing')) tokens.shift();
+    if (tokens.length === 2 && AUTOFILL_CONTACT_TYPES.includes(tokens[0])) {
+        return AUTOFILL_CONTACT_FIELDS.has(tokens[1]);
+    }
+    return tokens.length === 1 && (AUTOFILL_FIELDS.has(tokens[0]) || AUTOFILL_CONTACT_FIELDS.has(tokens[0]));
+}
+
+/**
+ * The autocomplete token a field's name or id suggests, if it collects personal data
+ */
+function personalToken(el) {
+    const hints = [el.getAttribute('name'), el.getAttribute('id')].filter(Boolean).map(hint => hint.toLowerCase());
+    if (typeOf(el) === 'email') return 'email';
+    if (typeOf(el) === 'tel') return 'tel';
+    const match = PERSONAL_FIELDS.find(([pattern]) => hints.some(hint => pattern.test(hint)));
+    return match ? match[1] : null;
+}
+
+/**
+ * Whether radios or checkboxes sharing a name are grouped with a visible caption:
+ * a <fieldset> with a <legend>, or a named group/radiogroup
+ */
+function isLabelledGroup(control) {
+    const fieldset = control.closest('fieldset');
+    if (fieldset) {
+        const legend = [...fieldset.children].find(child => child.tagName.toLowerCase() === 'legend');
+        if (legend && legend.textContent.trim()) return true;
+    }
+    const group = control.closest('[role="group"], [role="radiogroup"]');
+    return Boolean(group && computeName(group).name);
+}
+
+export const category = {
+    id: 'forms',
+    name: 'Forms',
+    applies: doc => doc.querySelector('form, input, select, textarea') !== null
+};
+
+export const rules = [
+    {
+        id: 'input-label',
+        category: 'forms',
+        severity: 'Critical',
+        wcag: ['1.3.1', '4.1.2'],
+        description: 'Form inputs must have an associated label.',
+        check({ doc, report }) {
+            exposed(doc, FIELD_SELECTOR).forEach(input => {
+                if (!computeName(input).name) {
+                    report({ element: input, message: `Input missing associated <label> or aria-label.`, suggestion: `Link a <label for="id"> to this input, or add an aria-label attribute.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'select-label',
+        category: 'forms',
+        severity: 'Critical',
+        wcag: ['1.3.1', '4.1.2'],
+        description: 'Select menus must have an associated label.',
+        check({ doc, report }) {
+            exposed(doc, 'select').forEach(select => {
+                if (!computeName(select).name) {
+                    report({ element: select, message: '<select> missing associated <label> or aria-label.', suggestion: 'Link a <label for="id"> to this select menu, or add an aria-label attribute.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'textarea-label',
+        category: 'forms',
+        severity: 'Critical',
+        wcag: ['1.3.1', '4.1.2'],
+        description: 'Text areas must have an associated label.',
+        check({ doc, report }) {
+            exposed(doc, 'textarea').forEach(textarea => {
+                if (!computeName(textarea).name) {
+                    report({ element: textarea, message: '<textarea> missing associated <label> or aria-label.', suggestion: 'Link a <label for="id"> to this text area, or add an aria-label attribute.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'placeholder-label',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['1.3.1', '3.3.2'],
+        description: 'Placeholder text must not be the only label of a field.',
+        check({ doc, source, report }) {
+            exposed(doc, `${FIELD_SELECTOR}, textarea`).forEach(field => {
+                if (computeName(field).source === 'placeholder') {
+                    report({ element: field, message: `Field is only labelled by its placeholder ("${source.attributeText(field, 'placeholder').trim()}").`, suggestion: 'Placeholders disappear while typing and are often low contrast; add a visible <label> as well.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'form-group-label',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['1.3.1', '3.3.2'],
+        description: 'Groups of radio buttons and checkboxes must be in a <fieldset> with a <legend>.',
+        check({ doc, source, report }) {
+            const groups = new Map();
+            exposed(doc, 'input[type="radio"][name], input[type="checkbox"][name]').forEach(control => {
+                const form = control.closest('form');
+                const key = `${typeOf(control)}|${control.getAttribute('name')}`;
+                if (!groups.has(form)) groups.set(form, new Map());
+                const byName = groups.get(form);
+                if (!byName.has(key)) byName.set(key, []);
+                byName.get(key).push(control);
+            });
+            groups.forEach(byName => byName.forEach(controls => {
+                if (controls.length < 2 || controls.every(isLabelledGroup)) return;
+                const kind = typeOf(controls[0]) === 'radio' ? 'radio buttons' : 'checkboxes';
+                report({ element: controls[0], message: `Group of ${controls.length} ${kind} (name="${source.attributeText(controls[0], 'name')}") has no <fieldset> and <legend>.`, suggestion: 'Wrap the group in a <fieldset> whose <legend> asks the question, or use role="radiogroup"/"group" with aria-labelledby.' });
+            }));
+        }
+    },
+    {
+        id: 'autocomplete-valid',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['1.3.5'],
+        description: 'autocomplete attributes must use valid tokens.',
+        check({ doc, source, report }) {
+            exposed(doc, 'input[autocomplete], select[autocomplete], textarea[autocomplete]').forEach(field => {
+                const value = field.getAttribute('autocomplete');
+                if (value.trim() && !isValidAutocomplete(value) && !source.isTemplateValue(field, 'autocomplete')) {
+                    report({ element: field, message: `Invalid autocomplete value "${value.trim()}".`, suggestion: 'Use a token from the HTML autofill list, such as "email", "given-name" or "postal-code".' });
+                }
+            });
+        }
+    },
+    {
+        id: 'autocomplete-personal',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['1.3.5'],
+        description: 'Fields collecting personal data should identify their purpose with autocomplete.',
+        check({ doc, source, report }) {
+            exposed(doc, `${FIELD_SELECTOR}, select`).forEach(field => {
+                if (field.hasAttribute('autocomplete')) return;
+                if (field.tagName.toLowerCase() === 'input' && !TEXT_TYPES.includes(typeOf(field))) return;
+                const token = personalToken(field);
+                if (token) {
+                    const label = source.attributeText(field, 'name') || source.attributeText(field, 'id');
+                    report({ element: field, message: `Personal-data field "${label}" has no autocomplete attribute.`, suggestion: `Add autocomplete="${token}" so browsers and assistive technology can fill it in.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'required-indication',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['1.3.1', '3.3.2'],
+        description: 'Fields marked as required in their label must also be required programmatically.',
+        check({ doc, report }) {
+            exposed(doc, `${FIELD_SELECTOR}, select, textarea`).forEach(field => {
+                if (field.hasAttribute('required') || field.getAttribute('aria-required') === 'true') return;
+                const { name, source } = computeName(field);
+                if ((source === 'label' || source === 'aria-labelledby') && (/\*/.test(name) || /\brequired\b/i.test(name))) {
+                    report({ element: field, message: `Field "${name.trim()}" looks required but is not marked as required.`, suggestion: 'Add the required attribute (or aria-required="true") so the requirement is announced, not only shown.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'form-error-message',
+        category: 'forms',
+        severity: 'Warning',
+        wcag: ['3.3.1'],
+        description: 'Error messages must be linked to their fields with aria-describedby or aria-errormessage.',
+        check({ doc, report }) {
+            const referenced = new Set();
+            doc.querySelectorAll('[aria-describedby], [aria-errormessage], [aria-labelledby]').forEach(el => {
+                ['aria-describedby', 'aria-errormessage', 'aria-labelledby'].forEach(attr => idRefs(el, attr).forEach(id => referenced.add(id)));
+            });
+
+            exposed(doc, `${FIELD_SELECTOR}, select, textarea`).forEach(field => {
+                if (field.getAttribute('aria-invalid') !== 'true') return;
+                const linked = ['aria-describedby', 'aria-errormessage'].some(attr => idRefs(field, attr).some(id => doc.getElementById(id)));
+                if (!linked) {
+                    report({ element: field, message: 'Field is marked aria-invalid="true" but no error message is linked to it.', suggestion: 'Point aria-describedby (or aria-errormessage) at the element that explains the error.' });
+                }
+            });
+
+            // Visible error text inside a form that no field points to
+            doc.querySelectorAll('form *').forEach(el => {
+                // Only the outermost element of a nested error message is reported
+                if (!isErrorText(el) || isErrorText(el.parentElement) || isHiddenFromAT(el)) return;
+                const text = el.textContent.trim();
+                if (!text || (el.id && referenced.has(el.id))) return;
+                report({ element: el, message: `Error message "${text.length > 60 ? `${text.slice(0, 57)}...` : text}" is not linked to a field.`, suggestion: 'Give it an id and reference it from the field\'s aria-describedby, so it is announced with the field.' });
+            });
+        }
+    }
+];
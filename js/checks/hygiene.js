@@ -0,0 +1,65 @@
+/**
+ * 3. UI & Markup Hygiene Rules
+ */
+
+export const category = { id: 'hygiene', name: 'UI & Markup Hygiene' };
+
+export const rules = [
+    {
+        id: 'inline-style',
+        category: 'hygiene',
+        severity: 'Warning',
+        description: 'Avoid inline style attributes.',
+        options: { maxExamples: 3 },
+        check({ doc, report, options }) {
+            const elementsWithStyle = doc.querySelectorAll('[style]');
+            // Just show the first few as examples to avoid spam
+            for (let i = 0; i < Math.min(elementsWithStyle.length, options.maxExamples); i++) {
+                const el = elementsWithStyle[i];
+                report({ element: el, message: `Inline style used on <${el.tagName.toLowerCase()}>.`, suggestion: 'Move CSS to an external stylesheet or <style> block using classes.' });
+            }
+            if (elementsWithStyle.length > options.maxExamples) {
+                report({ message: `...and ${elementsWithStyle.length - options.maxExamples} more elements with inline styles.`, suggestion: 'Refactor styles into CSS classes to improve maintainability.' });
+            }
+        }
+    },
+    {
+        id: 'nesting-depth',
+        category: 'hygiene',
+        severity: 'Warning',
+        description: 'Avoid excessively deep DOM nesting.',
+        options: { maxDepth: 8 },
+        check({ doc, report, options }) {
+            let maxDepth = 0;
+            const checkDepth = (node, depth) => {
+                if (depth > maxDepth) maxDepth = depth;
+                for (let i = 0; i < node.children.length; i++) {
+                    checkDepth(node.children[i], depth + 1);
+                }
+            };
+            if (doc.body) checkDepth(doc.body, 0);
+
+            if (maxDepth > options.maxDepth) {
+                report({ message: `Excessive DOM nesting detected (Depth: ${maxDepth}).`, suggestion: 'Flatten your HTML structure. Remove unnecessary wrapper divs.' });
+            }
+        }
+    },
+    {
+        id: 'div-soup',
+        category: 'hygiene',
+        severity: 'Info',
+        description: 'Avoid wrapper <div> elements that only contain another <div>.',
+        options: { maxExamples: 3 },
+        check({ doc, report, options }) {
+            let divSoupCount = 0;
+            doc.querySelectorAll('div').forEach(div => {
+                if (div.children.length === 1 && div.children[0].tagName === 'DIV') {
+                    divSoupCount++;
+                    if (divSoupCount <= options.maxExamples) {
+                        report({ element: div, message: 'Potential "Div Soup" (nested container).', suggestion: 'Remove this wrapper if it serves no styling or layout purpose.' });
+                    }
+                }
+            });
+        }
+    }
+];
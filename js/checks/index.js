@@ -0,0 +1,21 @@
+/**
+ * Core rule pack: the built-in MarkupAudit checks, in report order.
+ */
+
+import * as semantics from './semantics.js';
+import * as accessibility from './accessibility.js';
+import * as hygiene from './hygiene.js';
+import * as completeness from './completeness.js';
+import * as aria from './aria.js';
+import * as contrast from './contrast.js';
+import * as forms from './forms.js';
+import * as tables from './tables.js';
+import * as links from './links.js';
+import * as validity from './validity.js';
+
+const modules = [semantics, accessibility, hygiene, completeness, aria, contrast, forms, tables, links, validity];
+
+export const corePack = {
+    categories: modules.map(m => m.category),
+    rules: modules.flatMap(m => m.rules)
+};
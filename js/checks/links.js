@@ -0,0 +1,202 @@
+/**
+ * 9. Links & Navigation Rules
+ * Link text and targets, pseudo-links, skip links and navigation landmarks.
+ */
+
+import { computeName, getRole, isHiddenFromAT, isIconOnly } from '../accname.js';
+
+const LINK_SELECTOR = 'a[href], area[href], [role="link"]';
+
+// Link text that says nothing about the destination on its own
+const AMBIGUOUS_TEXT = new Set([
+    'click here', 'click', 'here', 'read more', 'more', 'learn more', 'more info', 'more information',
+    'info', 'details', 'link', 'this link', 'this', 'continue', 'go', 'see more', 'view more', 'find out more'
+]);
+
+// Words in link text or its description that warn about a new window or tab
+const NEW_WINDOW_HINT = /new (window|tab)|external|opens in/i;
+
+function exposed(doc, selector) {
+    return [...doc.querySelectorAll(selector)].filter(el => !isHiddenFromAT(el));
+}
+
+function href(link) {
+    return (link.getAttribute('href') || '').trim();
+}
+
+/**
+ * Target of an in-page link ("#id"), or undefined when it is not one
+ */
+function fragmentTarget(doc, link) {
+    const value = href(link);
+    if (!value.startsWith('#') || value.length < 2) return undefined;
+    let id = value.slice(1);
+    try {
+        id = decodeURIComponent(id);
+    } catch (e) {
+        // Keep malformed escapes as written
+    }
+    return doc.getElementById(id) || [...doc.querySelectorAll('a[name]')].find(a => a.getAttribute('name') === id) || null;
+}
+
+/**
+ * Whether a link's text comes from template syntax ({{ label }}, aria-label={label}),
+ * so the text it renders is unknown
+ */
+function hasTemplateText(link, source) {
+    return source.hasTemplateContent(link) || ['aria-label', 'aria-labelledby', 'title'].some(attr => source.isTemplateValue(link, attr));
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
+export const category = {
+    id: 'links',
+    name: 'Links & Navigation',
+    applies: doc => doc.querySelector('a, area, nav, [role="link"], [role="navigation"]') !== null
+};
+
+export const rules = [
+    {
+        id: 'link-name',
+        category: 'links',
+        severity: 'Critical',
+        wcag: ['2.4.4', '4.1.2'],
+        description: 'Links must have discernible text.',
+        check({ doc, source, report }) {
+            exposed(doc, LINK_SELECTOR).forEach(link => {
+                // Icon-only links are reported by icon-only-control
+                if (!computeName(link).name && !isIconOnly(link) && !hasTemplateText(link, source)) {
+                    report({ element: link, message: 'Link has no text content or aria-label.', suggestion: 'Add link text that describes its destination, or use aria-label="...".' });
+                }
+            });
+        }
+    },
+    {
+        id: 'link-text-ambiguous',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['2.4.4'],
+        description: 'Link text should describe the destination, not just "click here" or "read more".',
+        check({ doc, source, report }) {
+            exposed(doc, LINK_SELECTOR).forEach(link => {
+                const { name } = computeName(link);
+                if (!AMBIGUOUS_TEXT.has(normalizeText(name)) || hasTemplateText(link, source)) return;
+                // aria-describedby gives the link its context
+                if (link.hasAttribute('aria-describedby')) return;
+                report({ element: link, message: `Ambiguous link text "${name.trim()}".`, suggestion: 'Say where the link goes (e.g. "Read more about pricing"), or add context with aria-label or aria-describedby.' });
+            });
+        }
+    },
+    {
+        id: 'link-new-window',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['3.2.5'],
+        description: 'Links that open a new window or tab should say so.',
+        check({ doc, source, report }) {
+            exposed(doc, 'a[href][target="_blank"], area[href][target="_blank"]').forEach(link => {
+                const { name } = computeName(link);
+                const describedBy = (link.getAttribute('aria-describedby') || '').trim();
+                if (NEW_WINDOW_HINT.test(name) || NEW_WINDOW_HINT.test(link.getAttribute('title') || '') || describedBy) return;
+                // The rendered text may well say so
+                if (hasTemplateText(link, source)) return;
+                report({ element: link, message: `Link "${name.trim() || source.attributeText(link, 'href').trim()}" opens a new window without warning.`, suggestion: 'Add "(opens in a new tab)" to the link text (visually hidden text is fine), or drop target="_blank".' });
+            });
+        }
+    },
+    {
+        id: 'link-noopener',
+        category: 'links',
+        severity: 'Info',
+        description: 'Links with target="_blank" should have rel="noopener".',
+        check({ doc, source, report }) {
+            doc.querySelectorAll('a[href][target="_blank"], area[href][target="_blank"]').forEach(link => {
+                const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+                if (!rel.includes('noopener') && !rel.includes('noreferrer') && /^(https?:)?\/\//i.test(href(link))) {
+                    report({ element: link, message: `target="_blank" link to ${source.attributeText(link, 'href').trim()} has no rel="noopener".`, suggestion: 'Add rel="noopener" so the opened page cannot reach this one through window.opener (older browsers do not imply it).' });
+                }
+            });
+        }
+    },
+    {
+        id: 'link-as-button',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['4.1.2'],
+        description: 'Links with href="#" or javascript: URLs should be buttons.',
+        check({ doc, report }) {
+            exposed(doc, 'a').forEach(link => {
+                if (getRole(link) === 'button') return;
+                const value = href(link);
+                if (value === '#' || /^javascript:/i.test(value)) {
+                    report({ element: link, message: `Link with href="${value.length > 30 ? `${value.slice(0, 27)}...` : value}" is used as a button.`, suggestion: 'Use <button type="button"> for actions; links are announced as navigation and do not respond to the Space key.' });
+                } else if (!link.hasAttribute('href') && link.hasAttribute('onclick')) {
+                    report({ element: link, message: '<a> without href has a click handler.', suggestion: 'An <a> without href is not focusable. Use <button type="button"> for actions, or give the link a real href.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'link-fragment-target',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['2.4.1'],
+        description: 'In-page links must point to an existing ID.',
+        scope: 'document',
+        check({ doc, source, report }) {
+            exposed(doc, 'a[href^="#"], area[href^="#"]').forEach(link => {
+                const value = href(link);
+                // "#top" scrolls to the top without a target; "#!" and "#/" are client-side routes
+                if (/^#(top$|!|\/)/i.test(value) || source.isTemplateValue(link, 'href')) return;
+                if (fragmentTarget(doc, link) === null) {
+                    report({ element: link, message: `In-page link "${value}" points to a missing ID.`, suggestion: `Add id="${value.slice(1)}" to the element the link should move to, or fix the href.` });
+                }
+            });
+        }
+    },
+    {
+        id: 'skip-link',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['2.4.1'],
+        description: 'Pages with navigation should start with a link that skips to the main content.',
+        scope: 'document',
+        check({ doc, report }) {
+            if (!doc.body) return;
+            const navLinks = [...doc.querySelectorAll('nav a[href], header a[href], [role="navigation"] a[href]')];
+            if (navLinks.length === 0) return;
+            // Any of the first few links may be the skip link
+            const skip = [...doc.body.querySelectorAll('a[href]')].slice(0, 3).find(link => {
+                const target = fragmentTarget(doc, link);
+                if (!target) return false;
+                return /skip|jump|main content/i.test(computeName(link).name) || target.tagName.toLowerCase() === 'main' || Boolean(target.closest('main'));
+            });
+            if (!skip) {
+                report({ message: `No skip link before the ${navLinks.length} navigation ${navLinks.length === 1 ? 'link' : 'links'}.`, suggestion: 'Add <a href="#main">Skip to main content</a> as the first focusable element, and id="main" on <main>. It may be visually hidden until focused.' });
+            }
+        }
+    },
+    {
+        id: 'nav-label',
+        category: 'links',
+        severity: 'Warning',
+        wcag: ['1.3.1', '2.4.1'],
+        description: 'Multiple navigation landmarks must have distinct labels.',
+        check({ doc, report }) {
+            const navs = exposed(doc, 'nav, [role="navigation"]').filter(nav => getRole(nav) === 'navigation');
+            if (navs.length < 2) return;
+            const seen = new Set();
+            navs.forEach(nav => {
+                const name = computeName(nav).name.trim();
+                if (!name) {
+                    report({ element: nav, message: `One of ${navs.length} navigation landmarks has no label.`, suggestion: 'Add aria-label (e.g. "Main", "Footer") or aria-labelledby so screen reader users can tell the navigations apart.' });
+                } else if (seen.has(name.toLowerCase())) {
+                    report({ element: nav, message: `Navigation label "${name}" is used more than once.`, suggestion: 'Give each navigation landmark a label that describes its purpose.' });
+                }
+                seen.add(name.toLowerCase());
+            });
+        }
+    }
+];
@@ -0,0 +1,165 @@
+/**
+ * 1. Semantic Structure Rules
+ */
+
+import { renameElementFix, setAttributeFix } from '../fixer.js';
+import { getHeadings } from '../outline.js';
+
+export const category = { id: 'semantics', name: 'Semantic Structure' };
+
+export const rules = [
+    {
+        id: 'main-missing',
+        category: 'semantics',
+        severity: 'Critical',
+        wcag: ['1.3.1'],
+        description: 'The page must have a <main> landmark.',
+        scope: 'document',
+        check({ doc, report }) {
+            if (!doc.querySelector('main')) {
+                report({ message: 'Missing <main> landmark.', suggestion: 'Wrap your primary content in a <main> tag to help screen readers identify the core content.' });
+            }
+        }
+    },
+    {
+        id: 'main-multiple',
+        category: 'semantics',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'The page should have only one visible <main> landmark.',
+        check({ doc, report }) {
+            const mains = doc.querySelectorAll('main');
+            if (mains.length > 1) {
+                report({ element: mains[1], message: 'Multiple <main> landmarks found.', suggestion: 'Ensure only one <main> element exists per page, or use the "hidden" attribute on others.' });
+            }
+        }
+    },
+    {
+        id: 'h1-missing',
+        category: 'semantics',
+        severity: 'Critical',
+        wcag: ['2.4.6'],
+        description: 'The page must have an <h1> heading.',
+        scope: 'document',
+        check({ doc, report }) {
+            if (doc.querySelectorAll('h1').length === 0) {
+                report({ message: 'Missing <h1> heading.', suggestion: 'Add a single <h1> heading to describe the page topic.' });
+            }
+        }
+    },
+    {
+        id: 'h1-multiple',
+        category: 'semantics',
+        severity: 'Warning',
+        description: 'The page should have a single <h1> heading.',
+        check({ doc, report }) {
+            const h1s = doc.querySelectorAll('h1');
+            if (h1s.length > 1) {
+                report({ element: h1s[1], message: 'Multiple <h1> tags found.', suggestion: 'Use only one <h1> per page for the main title, and use <h2>-<h6> for subsections.' });
+            }
+        }
+    },
+    {
+        id: 'heading-order',
+        category: 'semantics',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'Heading levels should only increase by one.',
+        check({ doc, report }) {
+            let previous = null;
+            getHeadings(doc).filter(heading => !heading.hidden).forEach(heading => {
+                if (previous && heading.level > previous.level + 1) {
+                    report({
+                        element: heading.element,
+                        message: `Heading level skipped: h${heading.level} follows h${previous.level}.`,
+                        suggestion: `Use an h${previous.level + 1} here, or style the heading with CSS instead of picking a level for its size.`
+                    });
+                }
+                previous = heading;
+            });
+        }
+    },
+    {
+        id: 'heading-empty',
+        category: 'semantics',
+        severity: 'Warning',
+        wcag: ['1.3.1', '2.4.6'],
+        description: 'Headings must have text content.',
+        check({ doc, report }) {
+            getHeadings(doc).filter(heading => !heading.hidden && !heading.text).forEach(heading => {
+                report({ element: heading.element, message: `Empty <${heading.element.tagName.toLowerCase()}> heading.`, suggestion: 'Give the heading text, or remove it if it is only used for spacing.' });
+            });
+        }
+    },
+    {
+        id: 'heading-hidden',
+        category: 'semantics',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'Visible headings should not be hidden from assistive technology.',
+        check({ doc, report }) {
+            doc.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(el => {
+                const tag = el.tagName.toLowerCase();
+                const role = (el.getAttribute('role') || '').trim().toLowerCase();
+                if (role === 'presentation' || role === 'none') {
+                    report({ element: el, message: `<${tag}> has role="${role}", which removes it from the heading structure.`, suggestion: 'Remove the role, or use a non-heading element if this is not a heading.' });
+                } else if (el.closest('[aria-hidden="true"]')) {
+                    report({ element: el, message: `<${tag}> is hidden from assistive technology by aria-hidden.`, suggestion: 'Remove aria-hidden="true" so screen reader users can navigate by this heading, or hide it from everyone.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'landmarks-missing',
+        category: 'semantics',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'The page should use semantic landmark elements.',
+        scope: 'document',
+        check({ doc, report }) {
+            const landmarks = ['header', 'nav', 'footer', 'section', 'article', 'aside'];
+            const foundLandmarks = landmarks.filter(l => doc.querySelector(l));
+            if (foundLandmarks.length === 0) {
+                report({ message: 'No semantic landmarks (<header>, <nav>, etc.) found.', suggestion: 'Replace generic <div> wrappers with semantic tags like <header>, <nav>, or <footer> where appropriate.' });
+            }
+        }
+    },
+    {
+        id: 'duplicate-id',
+        category: 'semantics',
+        severity: 'Critical',
+        wcag: ['4.1.1'],
+        description: 'ID attribute values must be unique.',
+        check({ doc, source, report }) {
+            const taken = new Set([...doc.querySelectorAll('*[id]')].map(el => el.id));
+            const ids = new Set();
+            doc.querySelectorAll('*[id]').forEach(el => {
+                // id={item.id} in a template renders a different value each time
+                if (source.isTemplateValue(el, 'id')) return;
+                if (ids.has(el.id)) {
+                    let n = 2;
+                    while (taken.has(`${el.id}-${n}`)) n++;
+                    const newId = `${el.id}-${n}`;
+                    taken.add(newId);
+                    const fix = setAttributeFix(source, el, 'id', newId, `Rename the duplicate ID "${el.id}" to "${newId}"`);
+                    report({ element: el, message: `Duplicate ID found: "${el.id}".`, suggestion: `Rename the ID "${el.id}" to be unique on the page. IDs must not be repeated.`, fix });
+                }
+                ids.add(el.id);
+            });
+        }
+    },
+    {
+        id: 'div-role-main',
+        category: 'semantics',
+        severity: 'Info',
+        description: 'Prefer the native <main> element over role="main".',
+        check({ doc, source, report }) {
+            const divMain = doc.querySelector('div[role="main"]');
+            if (divMain) {
+                // Only safe while there is no other <main> to clash with
+                const fix = doc.querySelector('main') ? null : renameElementFix(source, divMain, 'main', ['role'], 'Replace <div role="main"> with <main>');
+                report({ element: divMain, message: 'Found <div role="main">.', suggestion: 'Replace <div role="main"> with the native <main> element for better standard compliance.', fix });
+            }
+        }
+    }
+];
@@ -0,0 +1,171 @@
+/**
+ * 8. Tables Rules
+ * Data tables need header cells, associations and a caption; layout tables
+ * must not pretend to be data tables.
+ */
+
+import { computeName, idRefs, isHiddenFromAT } from '../accname.js';
+
+const VALID_SCOPES = ['row', 'col', 'rowgroup', 'colgroup'];
+
+// Structure shared by all table rules, computed once per document
+const tablesByDoc = new WeakMap();
+
+function isPresentational(table) {
+    const role = (table.getAttribute('role') || '').trim().toLowerCase();
+    return role === 'presentation' || role === 'none';
+}
+
+/**
+ * Rows and cells that belong to this table, not to tables nested in it
+ */
+function describeTable(table) {
+    const rows = [...table.querySelectorAll('tr')].filter(row => row.closest('table') === table);
+    const cells = rows.map(row => [...row.children].filter(cell => /^t[hd]$/i.test(cell.tagName)));
+    const span = cell => Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+    const columns = Math.max(0, ...cells.map(row => row.reduce((sum, cell) => sum + span(cell), 0)));
+    const flat = cells.flat();
+    const headers = flat.filter(cell => cell.tagName.toLowerCase() === 'th' || /^(columnheader|rowheader)$/.test(cell.getAttribute('role') || ''));
+    return {
+        table,
+        rows,
+        cells,
+        columns,
+        headers,
+        dataCells: flat.filter(cell => !headers.includes(cell)),
+        nested: Boolean(table.querySelector('table'))
+    };
+}
+
+function tables(doc) {
+    if (tablesByDoc.has(doc)) return tablesByDoc.get(doc);
+    const described = [...doc.querySelectorAll('table')].filter(table => !isHiddenFromAT(table)).map(describeTable);
+    tablesByDoc.set(doc, described);
+    return described;
+}
+
+/**
+ * A table used for data: not marked presentational, at least two rows and
+ * two columns, and not a wrapper around other tables
+ */
+function isDataTable(info) {
+    return !isPresentational(info.table) && info.rows.length >= 2 && info.columns >= 2 && !info.nested;
+}
+
+/**
+ * Complex tables have headers that a screen reader cannot pair with cells by
+ * position alone: several header rows, spanning headers, or header cells
+ * after the first column of a body row
+ */
+function isComplex(info) {
+    const headerRows = info.cells.filter(row => row.length > 0 && row.every(cell => info.headers.includes(cell))).length;
+    const spanning = info.headers.some(cell => Number(cell.getAttribute('colspan')) > 1 || Number(cell.getAttribute('rowspan')) > 1);
+    const rowHeaders = info.cells.slice(1).some(row => row.slice(1).some(cell => info.headers.includes(cell)));
+    return headerRows > 1 || spanning || rowHeaders;
+}
+
+function size(info) {
+    return `${info.rows.length}×${info.columns}`;
+}
+
+export const category = {
+    id: 'tables',
+    name: 'Tables',
+    applies: doc => doc.querySelector('table') !== null
+};
+
+export const rules = [
+    {
+        id: 'table-header',
+        category: 'tables',
+        severity: 'Critical',
+        wcag: ['1.3.1'],
+        description: 'Data tables must mark their header cells with <th>.',
+        check({ doc, report }) {
+            tables(doc).filter(isDataTable).forEach(info => {
+                if (info.headers.length === 0) {
+                    report({ element: info.table, message: `Data table (${size(info)}) has no header cells.`, suggestion: 'Mark row and column headers with <th>. If the table only arranges content, add role="presentation" or use CSS layout instead.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'table-header-scope',
+        category: 'tables',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'Header cells in complex tables must have a scope, or data cells must reference them with headers.',
+        check({ doc, source, report }) {
+            tables(doc).filter(isDataTable).forEach(info => {
+                info.headers.forEach(th => {
+                    const scope = th.getAttribute('scope');
+                    if (scope !== null && !VALID_SCOPES.includes(scope.trim().toLowerCase()) && !source.isTemplateValue(th, 'scope')) {
+                        report({ element: th, message: `Invalid scope="${scope}" on <th>.`, suggestion: `Use one of ${VALID_SCOPES.map(s => `scope="${s}"`).join(', ')}.` });
+                    }
+                });
+
+                if (!isComplex(info) || info.dataCells.some(cell => cell.hasAttribute('headers'))) return;
+                const unscoped = info.headers.filter(th => !th.hasAttribute('scope'));
+                if (unscoped.length > 0) {
+                    report({ element: unscoped[0], message: `Complex table (${size(info)}) has ${unscoped.length} header ${unscoped.length === 1 ? 'cell' : 'cells'} without scope.`, suggestion: 'Add scope="col" or scope="row" (colgroup/rowgroup for spanning headers), or list the header ids in each data cell\'s headers attribute.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'table-caption',
+        category: 'tables',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'Data tables should have a <caption> (or an accessible name) describing them.',
+        check({ doc, report }) {
+            tables(doc).filter(isDataTable).forEach(info => {
+                if (!computeName(info.table).name) {
+                    report({ element: info.table, message: `Data table (${size(info)}) has no <caption>.`, suggestion: 'Add a <caption> as the first child of the table, or name it with aria-labelledby pointing at a nearby heading.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'layout-table',
+        category: 'tables',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'Layout tables must not use data table markup.',
+        check({ doc, report }) {
+            tables(doc).filter(info => isPresentational(info.table)).forEach(info => {
+                const table = info.table;
+                const semantics = [
+                    info.headers.length > 0 && '<th>',
+                    [...table.children].some(child => child.tagName.toLowerCase() === 'caption') && '<caption>',
+                    [...table.children].some(child => /^(thead|tfoot)$/i.test(child.tagName)) && '<thead>/<tfoot>',
+                    table.hasAttribute('summary') && 'summary',
+                    info.cells.flat().some(cell => cell.hasAttribute('scope') || cell.hasAttribute('headers')) && 'scope/headers'
+                ].filter(Boolean);
+                if (semantics.length > 0) {
+                    report({ element: table, message: `Layout table (role="${table.getAttribute('role').trim()}") uses data table markup: ${semantics.join(', ')}.`, suggestion: 'Remove the data table markup, or drop role="presentation" if this really is a data table.' });
+                }
+            });
+        }
+    },
+    {
+        id: 'table-headers-ref',
+        category: 'tables',
+        severity: 'Warning',
+        wcag: ['1.3.1'],
+        description: 'headers attributes must point at header cells in the same table.',
+        check({ doc, report }) {
+            tables(doc).forEach(info => {
+                info.cells.flat().filter(cell => cell.hasAttribute('headers')).forEach(cell => {
+                    const invalid = idRefs(cell, 'headers').filter(id => {
+                        const target = doc.getElementById(id);
+                        return !target || target === cell || target.closest('table') !== info.table || !/^t[hd]$/i.test(target.tagName);
+                    });
+                    if (invalid.length > 0) {
+                        report({ element: cell, message: `headers references ${invalid.map(id => `"${id}"`).join(', ')}, which ${invalid.length === 1 ? 'is not a cell' : 'are not cells'} of this table.`, suggestion: 'List the ids of the <th> cells in the same table that describe this cell.' });
+                    }
+                });
+            });
+        }
+    }
+];
@@ -0,0 +1,78 @@
+/**
+ * 10. Markup Validity Rules
+ * Parse errors and content-model violations found in the source, before
+ * DOMParser repairs them; see ../validator.js.
+ */
+
+import { validateMarkup } from '../validator.js';
+
+// All rules read the same validation pass
+const errorsBySource = new WeakMap();
+
+function errorsOf(source, input, type) {
+    if (!errorsBySource.has(source)) {
+        errorsBySource.set(source, validateMarkup(source.rawHtml, source.tokens, { fragment: input.fragment, components: input.components }));
+    }
+    return errorsBySource.get(source).filter(error => error.type === type);
+}
+
+function reportAll(source, input, report, type) {
+    errorsOf(source, input, type).forEach(error => {
+        report({ range: error, message: error.message, suggestion: error.suggestion });
+    });
+}
+
+export const category = { id: 'validity', name: 'Markup Validity' };
+
+export const rules = [
+    {
+        id: 'unclosed-element',
+        category: 'validity',
+        severity: 'Warning',
+        wcag: ['4.1.1'],
+        description: 'Elements without an optional end tag must be closed.',
+        check({ source, input, report }) {
+            reportAll(source, input, report, 'unclosed');
+        }
+    },
+    {
+        id: 'misnested-element',
+        category: 'validity',
+        severity: 'Warning',
+        wcag: ['4.1.1'],
+        description: 'Elements must be closed in the order they were opened.',
+        check({ source, input, report }) {
+            reportAll(source, input, report, 'misnested');
+        }
+    },
+    {
+        id: 'stray-end-tag',
+        category: 'validity',
+        severity: 'Warning',
+        wcag: ['4.1.1'],
+        description: 'End tags must match an open element.',
+        check({ source, input, report }) {
+            reportAll(source, input, report, 'stray-end-tag');
+        }
+    },
+    {
+        id: 'duplicate-attribute',
+        category: 'validity',
+        severity: 'Warning',
+        wcag: ['4.1.1'],
+        description: 'Elements must not repeat an attribute.',
+        check({ source, input, report }) {
+            reportAll(source, input, report, 'duplicate-attribute');
+        }
+    },
+    {
+        id: 'content-model',
+        category: 'validity',
+        severity: 'Warning',
+        wcag: ['1.3.1', '4.1.1'],
+        description: 'Elements must only appear where their parent allows them (e.g. no <div> in <p>, no <li> outside a list).',
+        check({ source, input, report }) {
+            reportAll(source, input, report, 'content-model');
+        }
+    }
+];
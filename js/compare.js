@@ -0,0 +1,157 @@
+/**
+ * MarkupAudit Report Comparison
+ * Compares two reports, typically of the same document before and after a
+ * change: score deltas per category, and the issues introduced, resolved and
+ * persisting between them.
+ *
+ * Issues are matched by fingerprint first, then by rule and message (numbers
+ * ignored), so markup that merely moved is not listed as resolved and
+ * introduced at the same time.
+ */
+
+import { SEVERITIES } from './registry.js';
+import { SCHEMA_VERSION } from './reporters/json.js';
+
+/**
+ * @param {object} before Report returned by AuditEngine.run() (or read from a JSON export)
+ * @param {object} after
+ * @returns {{
+ *   before: { source: string, date: string, overallScore: number },
+ *   after: { source: string, date: string, overallScore: number },
+ *   overall: { before: number, after: number, delta: number },
+ *   categories: { id: string, name: string, before: number|null, after: number|null, delta: number|null }[],
+ *   introduced: object[], resolved: object[], persisting: object[]
+ * }}
+ */
+export function compareReports(before, after) {
+    const oldIssues = issuesOf(before);
+    const newIssues = issuesOf(after);
+
+    const persisting = [];
+    const unmatched = new Set(oldIssues);
+    const matchBy = (key, candidates) => {
+        const index = new Map();
+        [...unmatched].forEach(issue => {
+            const k = key(issue);
+            if (!index.has(k)) index.set(k, []);
+            index.get(k).push(issue);
+        });
+        return candidates.filter(issue => {
+            const previous = (index.get(key(issue)) || []).shift();
+            if (!previous) return true;
+            unmatched.delete(previous);
+            persisting.push({ ...issue, previousLine: previous.lineNumber });
+            return false;
+        });
+    };
+
+    let introduced = matchBy(issue => issue.fingerprint, newIssues);
+    introduced = matchBy(looseKey, introduced);
+
+    const ids = [...new Set([...before.categories, ...after.categories].map(category => category.id))];
+    const categories = ids.map(id => {
+        const a = before.categories.find(category => category.id === id);
+        const b = after.categories.find(category => category.id === id);
+        return {
+            id,
+            name: (b || a).name,
+            before: a ? a.score : null,
+            after: b ? b.score : null,
+            delta: a && b && a.score !== null && b.score !== null ? b.score - a.score : null
+        };
+    });
+
+    return {
+        before: summary(before),
+        after: summary(after),
+        overall: { before: before.overallScore, after: after.overallScore, delta: after.overallScore - before.overallScore },
+        categories,
+        introduced,
+        resolved: [...unmatched],
+        persisting
+    };
+}
+
+/**
+ * Read the reports from MarkupAudit JSON: an export written by the JSON
+ * reporter, or a single report object. Exports can come from anyone, so
+ * severities are checked and scores and line numbers made numbers.
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseReportsJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid report JSON: ${e.message}`);
+    }
+    if (data && Array.isArray(data.reports)) {
+        if (data.schemaVersion !== SCHEMA_VERSION) {
+            throw new Error(`Unsupported report JSON: expected schemaVersion ${SCHEMA_VERSION}.`);
+        }
+        return data.reports.map(normalizeReport);
+    }
+    if (data && Array.isArray(data.categories) && data.metadata) return [normalizeReport(data)];
+    throw new Error('Not a MarkupAudit report: expected a JSON export or a single report.');
+}
+
+function normalizeReport(report) {
+    if (!report || !report.metadata || !Array.isArray(report.categories)) {
+        throw new Error('Invalid report JSON: every report needs metadata and categories.');
+    }
+    const overallScore = toNumber(report.overallScore);
+    if (overallScore === null) {
+        throw new Error('Invalid report JSON: overallScore must be a number.');
+    }
+    const normalizeIssue = issue => {
+        if (!issue || !SEVERITIES.includes(issue.severity)) {
+            throw new Error(`Invalid report JSON: unknown severity "${issue ? issue.severity : issue}".`);
+        }
+        return { ...issue, ruleId: String(issue.ruleId || ''), description: String(issue.description || ''), lineNumber: toNumber(issue.lineNumber) };
+    };
+    return {
+        ...report,
+        metadata: { ...report.metadata, source: String(report.metadata.source || ''), date: String(report.metadata.date || '') },
+        overallScore,
+        categories: report.categories.map(category => ({
+            ...category,
+            name: String(category.name || category.id || ''),
+            score: toNumber(category.score),
+            issues: (Array.isArray(category.issues) ? category.issues : []).map(normalizeIssue)
+        }))
+    };
+}
+
+// Missing or non-numeric values become null
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Pick one report from an export: the only one, or the one for `source`
+ * @param {object[]} reports
+ * @param {string|null} source
+ * @param {string} label Name of the export, for error messages
+ * @returns {object}
+ */
+export function selectReport(reports, source, label) {
+    if (reports.length === 1) return reports[0];
+    const match = reports.find(report => report.metadata.source === source);
+    if (match) return match;
+    throw new Error(`${label} contains ${reports.length} reports; export a single page to compare it.`);
+}
+
+function issuesOf(report) {
+    return report.categories.flatMap(category => category.issues.map(issue => ({ ...issue, category: category.name })));
+}
+
+function looseKey(issue) {
+    return `${issue.ruleId}|${issue.description.replace(/\d+(\.\d+)?/g, '#')}`;
+}
+
+function summary(report) {
+    return { source: report.metadata.source, date: report.metadata.date, overallScore: report.overallScore };
+}
@@ -0,0 +1,136 @@
+/**
+ * MarkupAudit Configuration
+ * Parses and validates .markupauditrc (JSON) files.
+ *
+ * {
+ *   "rules": {
+ *     "inline-style": "off",                         // disable a rule
+ *     "open-graph": "Warning",                       // override severity
+ *     "nesting-depth": { "options": { "maxDepth": 10 } },
+ *     "div-soup": { "severity": "Info", "options": { "maxExamples": 5 } }
+ *   },
+ *   "scoring": {
+ *     "severities": { "Critical": 20, "Warning": 5, "Info": 0 },  // points per issue
+ *     "decay": 0.75,                                  // cost factor for each repeat of a rule
+ *     "categories": { "accessibility": 2 },            // category weights
+ *     "rules": { "inline-style": 0.5 }                 // rule weights
+ *   }
+ * }
+ */
+
+import { SEVERITIES } from './registry.js';
+
+export const CONFIG_FILE_NAMES = ['.markupauditrc', '.markupauditrc.json'];
+
+/**
+ * Parse a configuration file's text
+ * @param {string} text JSON source
+ * @returns {object} Normalized configuration
+ */
+export function parseConfig(text) {
+    if (!text || !text.trim()) return normalizeConfig({});
+
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid configuration: ${e.message}`);
+    }
+    return normalizeConfig(raw);
+}
+
+/**
+ * Normalize a raw configuration object into
+ * { rules: { [id]: { enabled?: boolean, severity?: string, options?: object } }, scoring: object }
+ * @param {object} raw
+ * @returns {object}
+ */
+export function normalizeConfig(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Invalid configuration: expected a JSON object.');
+    }
+    if (raw.rules !== undefined && (typeof raw.rules !== 'object' || Array.isArray(raw.rules) || raw.rules === null)) {
+        throw new Error('Invalid configuration: "rules" must be an object keyed by rule id.');
+    }
+
+    const rules = {};
+    Object.entries(raw.rules || {}).forEach(([id, value]) => {
+        rules[id] = normalizeRuleSetting(id, value);
+    });
+
+    return { rules, scoring: normalizeScoring(raw.scoring) };
+}
+
+function normalizeScoring(raw) {
+    if (raw === undefined) return {};
+    if (!isPlainObject(raw)) {
+        throw new Error('Invalid configuration: "scoring" must be an object.');
+    }
+
+    const scoring = {};
+    if (raw.decay !== undefined) {
+        if (typeof raw.decay !== 'number' || raw.decay <= 0 || raw.decay > 1) {
+            throw new Error('Invalid configuration: "scoring.decay" must be a number greater than 0 and at most 1.');
+        }
+        scoring.decay = raw.decay;
+    }
+    if (raw.severities !== undefined) {
+        scoring.severities = normalizeWeights('severities', raw.severities);
+        Object.keys(scoring.severities).forEach(name => {
+            if (!SEVERITIES.includes(name)) {
+                throw new Error(`Invalid configuration: unknown severity "${name}" in "scoring.severities". Use one of: ${SEVERITIES.join(', ')}.`);
+            }
+        });
+    }
+    if (raw.categories !== undefined) scoring.categories = normalizeWeights('categories', raw.categories);
+    if (raw.rules !== undefined) scoring.rules = normalizeWeights('rules', raw.rules);
+    return scoring;
+}
+
+function normalizeWeights(key, raw) {
+    if (!isPlainObject(raw)) {
+        throw new Error(`Invalid configuration: "scoring.${key}" must be an object.`);
+    }
+    Object.entries(raw).forEach(([id, value]) => {
+        if (typeof value !== 'number' || !(value >= 0)) {
+            throw new Error(`Invalid configuration: "scoring.${key}.${id}" must be a number of 0 or more.`);
+        }
+    });
+    return { ...raw };
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeRuleSetting(id, value) {
+    if (value === false || value === 'off') return { enabled: false };
+    if (value === true || value === 'on') return { enabled: true };
+
+    if (typeof value === 'string') {
+        return { enabled: true, severity: normalizeSeverity(id, value) };
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const setting = {};
+        if (value.enabled !== undefined) setting.enabled = Boolean(value.enabled);
+        if (value.severity !== undefined) setting.severity = normalizeSeverity(id, value.severity);
+        if (value.options !== undefined) {
+            if (typeof value.options !== 'object' || Array.isArray(value.options) || value.options === null) {
+                throw new Error(`Invalid configuration for "${id}": "options" must be an object.`);
+            }
+            setting.options = { ...value.options };
+        }
+        return setting;
+    }
+
+    throw new Error(`Invalid configuration for "${id}": use "off", a severity, or an object.`);
+}
+
+function normalizeSeverity(id, value) {
+    const match = SEVERITIES.find(s => s.toLowerCase() === String(value).toLowerCase());
+    if (!match) {
+        throw new Error(`Invalid severity "${value}" for "${id}". Use one of: ${SEVERITIES.join(', ')}.`);
+    }
+    return match;
+}
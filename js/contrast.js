@@ -0,0 +1,436 @@
+/**
+ * MarkupAudit Colour Contrast
+ * Resolves text and background colours from inline styles and embedded
+ * <style> blocks, and computes WCAG 2.x contrast ratios.
+ *
+ * The cascade is deliberately basic: selectors the DOM can match (no
+ * pseudo-classes or pseudo-elements), specificity, source order and
+ * !important. @media and other at-rule blocks are ignored, and so are
+ * external stylesheets, which the audit cannot see.
+ */
+
+const NAMED_COLORS = {
+    aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+    beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+    blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+    chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+    cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+    darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b', darkolivegreen: '556b2f',
+    darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+    darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+    deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+    firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+    ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+    greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+    indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+    lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080', lightcyan: 'e0ffff',
+    lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1',
+    lightsalmon: 'ffa07a', lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+    lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+    magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+    mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+    mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+    navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+    orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+    paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f',
+    pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+    red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+    sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d', silver: 'c0c0c0',
+    skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090', slategrey: '708090', snow: 'fffafa',
+    springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+    tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff',
+    whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+// User-agent defaults that matter for the "large text" threshold
+const UA_FONT_SIZE_EM = { h1: 2, h2: 1.5, h3: 1.17, h4: 1, h5: 0.83, h6: 0.67, small: 0.83 };
+const UA_BOLD = ['b', 'strong', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const FONT_SIZE_KEYWORDS = {
+    'xx-small': 9, 'x-small': 10, small: 13, medium: 16, large: 18, 'x-large': 24, 'xx-large': 32, 'xxx-large': 48
+};
+
+const UNSUPPORTED_SELECTOR = /:(hover|focus|focus-within|focus-visible|active|visited|link|target|checked|invalid|valid|placeholder-shown)|::|:(before|after|first-line|first-letter)/i;
+
+/**
+ * Parse a CSS colour value
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number, a: number }|null} null when unknown
+ */
+export function parseColor(value) {
+    if (!value) return null;
+    const v = value.trim().toLowerCase();
+    if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+    if (NAMED_COLORS[v]) return parseColor(`#${NAMED_COLORS[v]}`);
+
+    let match = /^#([0-9a-f]{3,8})$/.exec(v);
+    if (match) {
+        let hex = match[1];
+        if (hex.length === 3 || hex.length === 4) hex = [...hex].map(c => c + c).join('');
+        if (hex.length !== 6 && hex.length !== 8) return null;
+        return {
+            r: parseInt(hex.slice(0, 2), 16),
+            g: parseInt(hex.slice(2, 4), 16),
+            b: parseInt(hex.slice(4, 6), 16),
+            a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+        };
+    }
+
+    match = /^(rgba?|hsla?)\((.*)\)$/.exec(v);
+    if (!match) return null;
+    const parts = match[2].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) return null;
+    const alpha = parts[3] !== undefined ? parseAlpha(parts[3]) : 1;
+
+    if (match[1].startsWith('rgb')) {
+        const [r, g, b] = parts.slice(0, 3).map(p => (p.endsWith('%') ? parseFloat(p) * 2.55 : parseFloat(p)));
+        if ([r, g, b].some(Number.isNaN)) return null;
+        return { r: clamp(r, 255), g: clamp(g, 255), b: clamp(b, 255), a: alpha };
+    }
+    const h = parseFloat(parts[0]);
+    const s = parseFloat(parts[1]) / 100;
+    const l = parseFloat(parts[2]) / 100;
+    if ([h, s, l].some(Number.isNaN)) return null;
+    return { ...hslToRgb(h, clamp(s, 1), clamp(l, 1)), a: alpha };
+}
+
+/**
+ * Relative luminance (WCAG 2.x)
+ * @param {{ r: number, g: number, b: number }} color
+ * @returns {number}
+ */
+export function relativeLuminance({ r, g, b }) {
+    const channel = c => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+/**
+ * Contrast ratio between two opaque colours, from 1 to 21
+ * @returns {number}
+ */
+export function contrastRatio(foreground, background) {
+    const l1 = relativeLuminance(foreground);
+    const l2 = relativeLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Composite a possibly translucent colour over an opaque one
+ */
+export function blend(top, bottom) {
+    const a = top.a;
+    return {
+        r: Math.round(top.r * a + bottom.r * (1 - a)),
+        g: Math.round(top.g * a + bottom.g * (1 - a)),
+        b: Math.round(top.b * a + bottom.b * (1 - a)),
+        a: 1
+    };
+}
+
+/**
+ * "#rrggbb" for an opaque colour
+ */
+export function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Parse the rules of a stylesheet into [{ selector, specificity, order, declarations }]
+ * @param {string} css
+ * @param {number} [orderOffset] Source order of the first rule
+ * @returns {object[]}
+ */
+export function parseStylesheet(css, orderOffset = 0) {
+    const rules = [];
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+    let pos = 0;
+    while (pos < text.length) {
+        const open = text.indexOf('{', pos);
+        if (open === -1) break;
+        const prelude = text.slice(pos, open).trim();
+        const close = matchingBrace(text, open);
+        const body = text.slice(open + 1, close);
+        pos = close + 1;
+
+        // At-rules (and their nested blocks) are skipped
+        if (prelude.startsWith('@') || prelude.includes(';')) continue;
+        const declarations = parseDeclarations(body);
+        prelude.split(',').map(s => s.trim()).filter(Boolean).forEach(selector => {
+            rules.push({ selector, specificity: specificity(selector), order: orderOffset + rules.length, declarations });
+        });
+    }
+    return rules;
+}
+
+/**
+ * Parse "prop: value; prop2: value2 !important"
+ * @param {string} text
+ * @returns {{ property: string, value: string, important: boolean }[]}
+ */
+export function parseDeclarations(text) {
+    return text.split(';').map(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return null;
+        const property = part.slice(0, colon).trim().toLowerCase();
+        let value = part.slice(colon + 1).trim();
+        const important = /!\s*important$/i.test(value);
+        if (important) value = value.replace(/!\s*important$/i, '').trim();
+        return property && value ? { property, value, important } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Resolves the styles that matter for contrast, with results cached per element
+ */
+export class StyleResolver {
+    /**
+     * @param {Document} doc
+     */
+    constructor(doc) {
+        this.doc = doc;
+        this.rules = [];
+        doc.querySelectorAll('style').forEach(style => {
+            const media = (style.getAttribute('media') || 'all').toLowerCase();
+            if (media !== 'all' && !media.includes('screen')) return;
+            this.rules.push(...parseStylesheet(style.textContent, this.rules.length));
+        });
+        this.rules = this.rules.filter(rule => !UNSUPPORTED_SELECTOR.test(rule.selector));
+        this.cache = new Map();
+    }
+
+    /**
+     * Declared (cascaded) values of an element, before inheritance
+     * @param {Element} el
+     * @returns {Map<string, string>}
+     */
+    declared(el) {
+        const matched = [];
+        this.rules.forEach(rule => {
+            let matches = false;
+            try {
+                matches = el.matches(rule.selector);
+            } catch (e) {
+                // Selector the DOM implementation cannot evaluate
+            }
+            if (matches) {
+                rule.declarations.forEach(decl => matched.push({ ...decl, specificity: rule.specificity, order: rule.order }));
+            }
+        });
+        parseDeclarations(el.getAttribute('style') || '').forEach((decl, i) => {
+            matched.push({ ...decl, specificity: [1, 0, 0, 0], order: this.rules.length + i });
+        });
+
+        matched.sort((a, b) => (a.important - b.important) || compareSpecificity(a.specificity, b.specificity) || (a.order - b.order));
+        const values = new Map();
+        matched.forEach(decl => expand(decl).forEach(([property, value]) => values.set(property, value)));
+        return values;
+    }
+
+    /**
+     * Computed colour, background, font size/weight and visibility of an element
+     * @param {Element} el
+     * @returns {{ color: object, background: object|null, backgroundImage: boolean, fontSize: number, bold: boolean, hidden: boolean }}
+     */
+    computed(el) {
+        if (this.cache.has(el)) return this.cache.get(el);
+
+        const parent = el.parentElement ? this.computed(el.parentElement) : null;
+        const declared = this.declared(el);
+        const tag = el.tagName.toLowerCase();
+        const inherited = (property, fallback) => {
+            const value = declared.get(property);
+            return value === undefined || value === 'inherit' ? fallback : value;
+        };
+
+        const parentColor = parent ? parent.color : BLACK;
+        const colorValue = inherited('color', null);
+        let color = parentColor;
+        if (colorValue && colorValue !== 'currentcolor') color = parseColor(colorValue) || parentColor;
+
+        const backgroundValue = declared.get('background-color');
+        const background = backgroundValue && backgroundValue !== 'inherit'
+            ? (backgroundValue === 'currentcolor' ? color : parseColor(backgroundValue))
+            : null;
+        const image = declared.get('background-image');
+        const backgroundImage = Boolean(image && image !== 'none');
+
+        const parentSize = parent ? parent.fontSize : 16;
+        let fontSize = parentSize * (UA_FONT_SIZE_EM[tag] || 1);
+        const sizeValue = declared.get('font-size');
+        if (sizeValue) fontSize = parseFontSize(sizeValue, parentSize) ?? fontSize;
+
+        const weight = declared.get('font-weight');
+        let bold = parent ? parent.bold : false;
+        if (UA_BOLD.includes(tag)) bold = true;
+        if (weight) bold = weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 700 || (weight === 'inherit' && bold);
+
+        const display = declared.get('display');
+        const visibility = declared.get('visibility');
+        const hidden = (parent && parent.hidden) || display === 'none' || visibility === 'hidden' || el.hasAttribute('hidden');
+
+        const result = { color, background, backgroundImage, fontSize, bold, hidden };
+        this.cache.set(el, result);
+        return result;
+    }
+
+    /**
+     * Effective background behind an element: its own and its ancestors'
+     * backgrounds composited down to the white page
+     * @param {Element} el
+     * @returns {{ color: object, unknown: boolean }} unknown when a background image is involved
+     */
+    effectiveBackground(el) {
+        const layers = [];
+        let unknown = false;
+        for (let node = el; node; node = node.parentElement) {
+            const style = this.computed(node);
+            if (style.backgroundImage) {
+                unknown = true;
+                break;
+            }
+            if (style.background && style.background.a > 0) {
+                layers.push(style.background);
+                if (style.background.a >= 1) break;
+            }
+        }
+        const color = layers.reduceRight((bottom, top) => blend(top, bottom), WHITE);
+        return { color, unknown };
+    }
+
+    /**
+     * Foreground/background pair for the text directly inside an element
+     * @param {Element} el
+     * @returns {{ foreground: object, background: object, ratio: number, large: boolean, fontSize: number, bold: boolean }|null}
+     *          null when hidden or the background cannot be determined
+     */
+    textContrast(el) {
+        const style = this.computed(el);
+        if (style.hidden) return null;
+        const { color: background, unknown } = this.effectiveBackground(el);
+        if (unknown) return null;
+        const foreground = style.color.a < 1 ? blend(style.color, background) : style.color;
+        return {
+            foreground,
+            background,
+            ratio: contrastRatio(foreground, background),
+            large: isLargeText(style.fontSize, style.bold),
+            fontSize: style.fontSize,
+            bold: style.bold
+        };
+    }
+}
+
+/**
+ * WCAG "large scale" text: at least 18pt (24px), or 14pt (18.66px) bold
+ */
+export function isLargeText(fontSizePx, bold) {
+    return fontSizePx >= 24 || (bold && fontSizePx >= 18.66);
+}
+
+/**
+ * Format a ratio the way WCAG tools usually show it, e.g. "3.95:1"
+ */
+export function formatRatio(ratio) {
+    return `${(Math.floor(ratio * 100) / 100).toFixed(2)}:1`;
+}
+
+function expand({ property, value }) {
+    if (property === 'background') {
+        // The shorthand resets the colour unless one is given
+        const hasImage = /url\(|gradient\(/i.test(value);
+        const colorToken = value.match(/(#[0-9a-f]{3,8}\b|(?:rgba?|hsla?)\([^)]*\)|\b[a-z]+\b)/gi) || [];
+        const color = colorToken.find(token => parseColor(token)) || 'transparent';
+        return [['background-color', color], ['background-image', hasImage ? value : 'none']];
+    }
+    if (property === 'font') {
+        const size = /(\d*\.?\d+(px|pt|em|rem|%))/.exec(value);
+        const entries = [];
+        if (size) entries.push(['font-size', size[1]]);
+        entries.push(['font-weight', /\b(bold|bolder|[6-9]00)\b/.test(value) ? 'bold' : 'normal']);
+        return entries;
+    }
+    return [[property, value.toLowerCase()]];
+}
+
+function parseFontSize(value, parentSize) {
+    const v = value.trim().toLowerCase();
+    if (FONT_SIZE_KEYWORDS[v]) return FONT_SIZE_KEYWORDS[v];
+    if (v === 'smaller') return parentSize / 1.2;
+    if (v === 'larger') return parentSize * 1.2;
+    const match = /^(\d*\.?\d+)(px|pt|em|rem|%)$/.exec(v);
+    if (!match) return null;
+    const n = parseFloat(match[1]);
+    switch (match[2]) {
+        case 'px': return n;
+        case 'pt': return n * 4 / 3;
+        case 'em': return n * parentSize;
+        case 'rem': return n * 16;
+        case '%': return n / 100 * parentSize;
+        default: return null;
+    }
+}
+
+/**
+ * [inline, ids, classes/attributes/pseudo-classes, types]
+ */
+function specificity(selector) {
+    const cleaned = selector.replace(/\[[^\]]*\]/g, () => ' .attr ');
+    const ids = (cleaned.match(/#[\w-]+/g) || []).length;
+    const classes = (cleaned.match(/\.[\w-]+/g) || []).length + (cleaned.match(/:[\w-]+/g) || []).length;
+    const types = (cleaned.replace(/[#.:][\w-]+/g, '').match(/(^|[\s>+~])[a-z][\w-]*/gi) || []).length;
+    return [0, ids, classes, types];
+}
+
+function compareSpecificity(a, b) {
+    for (let i = 0; i < 4; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+function matchingBrace(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return text.length;
+}
+
+function parseAlpha(value) {
+    const a = value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+    return Number.isNaN(a) ? 1 : clamp(a, 1);
+}
+
+function hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) {
+        const v = Math.round(l * 255);
+        return { r: v, g: v, b: v };
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = t => {
+        let x = t;
+        if (x < 0) x += 1;
+        if (x > 1) x -= 1;
+        if (x < 1 / 6) return p + (q - p) * 6 * x;
+        if (x < 1 / 2) return q;
+        if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
+        return p;
+    };
+    return {
+        r: Math.round(channel(hue + 1 / 3) * 255),
+        g: Math.round(channel(hue) * 255),
+        b: Math.round(channel(hue - 1 / 3) * 255)
+    };
+}
+
+function clamp(value, max) {
+    return Math.min(max, Math.max(0, value));
+}
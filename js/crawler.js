@@ -0,0 +1,171 @@
+/**
+ * MarkupAudit Site Crawler
+ * Collects the pages of a site, starting from a list of entry points and
+ * following internal links. Page loading is delegated to a "site source" so
+ * the same crawl works over a folder of built HTML or a live sitemap.
+ *
+ * A site source is { start: string[], load(key), resolveLink(href, fromKey) }
+ * where keys identify pages (relative paths or absolute URLs).
+ */
+
+import { tokenize } from './tokenizer.js';
+
+const NON_HTML_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|ico|pdf|zip|css|js|mjs|json|xml|txt|mp4|webm|mp3|woff2?|ttf)$/i;
+
+/**
+ * Crawl a site source breadth-first
+ * @param {object} source Site source
+ * @param {{ maxPages?: number }} [options]
+ * @returns {Promise<{ pages: { key: string, html: string }[], missing: { key: string, from: string[] }[] }>}
+ */
+export async function crawlSite(source, options = {}) {
+    const maxPages = options.maxPages || 500;
+    const queue = [...source.start];
+    const queued = new Set(queue);
+    const pages = [];
+    const missing = new Map();
+    const linkedFrom = new Map();
+
+    while (queue.length > 0 && pages.length < maxPages) {
+        const key = queue.shift();
+        const html = await source.load(key);
+
+        if (html === null || html === undefined) {
+            missing.set(key, linkedFrom.get(key) || []);
+            continue;
+        }
+        pages.push({ key, html });
+
+        extractLinks(html).forEach(href => {
+            const target = source.resolveLink(href, key);
+            if (!target) return;
+            if (!linkedFrom.has(target)) linkedFrom.set(target, []);
+            if (!linkedFrom.get(target).includes(key)) linkedFrom.get(target).push(key);
+            if (!queued.has(target)) {
+                queued.add(target);
+                queue.push(target);
+            }
+        });
+    }
+
+    return {
+        pages,
+        missing: [...missing.entries()].map(([key, from]) => ({ key, from }))
+    };
+}
+
+/**
+ * href values of every <a> and <area> in the markup
+ * @param {string} html
+ * @returns {string[]}
+ */
+export function extractLinks(html) {
+    const links = [];
+    tokenize(html).forEach(token => {
+        if (token.type !== 'startTag' || (token.name !== 'a' && token.name !== 'area')) return;
+        const href = token.attrs.find(attr => attr.name === 'href');
+        if (href && href.value.trim()) links.push(href.value.trim());
+    });
+    return links;
+}
+
+/**
+ * Site source over in-memory files, e.g. a built dist/ folder
+ * @param {Map<string, string>} files Relative path ("about/index.html") => HTML
+ * @returns {object} Site source
+ */
+export function createFileSource(files) {
+    const has = key => files.has(key);
+    return {
+        start: [...files.keys()].sort(),
+        load: async key => (files.has(key) ? files.get(key) : null),
+        resolveLink(href, fromKey) {
+            const base = new URL(fromKey, 'http://site.invalid/');
+            let url;
+            try {
+                url = new URL(href, base);
+            } catch (e) {
+                return null;
+            }
+            if (url.origin !== base.origin) return null;
+
+            let path = url.pathname;
+            try {
+                path = decodeURIComponent(path);
+            } catch (e) {
+                // Keep malformed escapes as written
+            }
+            path = path.replace(/^\/+/, '');
+            if (path === '' || path.endsWith('/')) path += 'index.html';
+            if (NON_HTML_EXTENSIONS.test(path)) return null;
+            if (!/\.html?$/i.test(path)) {
+                // Pretty URLs: /about -> about.html or about/index.html
+                if (has(`${path}.html`)) return `${path}.html`;
+                return `${path}/index.html`;
+            }
+            return path;
+        }
+    };
+}
+
+/**
+ * Site source over HTTP, seeded from a sitemap.xml
+ * @param {string} sitemapUrl
+ * @param {function} [fetchFn] fetch implementation
+ * @returns {Promise<object>} Site source
+ */
+export async function createSitemapSource(sitemapUrl, fetchFn = fetch) {
+    const response = await fetchFn(sitemapUrl);
+    if (!response.ok) throw new Error(`Could not load sitemap ${sitemapUrl}: ${response.status} ${response.statusText}`);
+
+    const origin = new URL(sitemapUrl).origin;
+    const start = parseSitemap(await response.text())
+        .map(loc => normalizeUrl(new URL(loc, sitemapUrl)))
+        .filter(url => new URL(url).origin === origin);
+
+    return {
+        start: [...new Set(start)],
+        async load(url) {
+            try {
+                const res = await fetchFn(url);
+                const type = res.headers.get('content-type') || '';
+                if (!res.ok || (type && !type.includes('html'))) return null;
+                return await res.text();
+            } catch (e) {
+                return null;
+            }
+        },
+        resolveLink(href, fromUrl) {
+            let url;
+            try {
+                url = new URL(href, fromUrl);
+            } catch (e) {
+                return null;
+            }
+            if (url.origin !== origin || !/^https?:$/.test(url.protocol)) return null;
+            if (NON_HTML_EXTENSIONS.test(url.pathname)) return null;
+            return normalizeUrl(url);
+        }
+    };
+}
+
+/**
+ * <loc> values of a sitemap (sitemap index files are not followed)
+ * @param {string} xml
+ * @returns {string[]}
+ */
+export function parseSitemap(xml) {
+    const locs = [];
+    const pattern = /<loc>\s*([\s\S]*?)\s*<\/loc>/gi;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        locs.push(match[1].replace(/&amp;/g, '&'));
+    }
+    return locs;
+}
+
+function normalizeUrl(url) {
+    const copy = new URL(url);
+    copy.hash = '';
+    return copy.href;
+}
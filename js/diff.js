@@ -0,0 +1,156 @@
+/**
+ * MarkupAudit Diff
+ * Line-based unified diff (Myers' algorithm) used to preview fixes.
+ */
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Compare two texts line by line
+ * @param {string} before
+ * @param {string} after
+ * @returns {{ type: ' '|'-'|'+', line: string, oldLine: number|null, newLine: number|null }[]}
+ */
+export function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    // Skip the common prefix and suffix; fixes usually touch a few lines
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push({ type: ' ', line: a[i], oldLine: i + 1, newLine: i + 1 });
+    myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix)).forEach(op => {
+        ops.push({
+            type: op.type,
+            line: op.line,
+            oldLine: op.oldIndex === null ? null : op.oldIndex + prefix + 1,
+            newLine: op.newIndex === null ? null : op.newIndex + prefix + 1
+        });
+    });
+    for (let i = suffix; i > 0; i--) {
+        ops.push({ type: ' ', line: a[a.length - i], oldLine: a.length - i + 1, newLine: b.length - i + 1 });
+    }
+    return ops;
+}
+
+/**
+ * Render a unified diff ("--- a/file", "+++ b/file", "@@ -l,s +l,s @@" hunks)
+ * @param {string} before
+ * @param {string} after
+ * @param {{ fromFile?: string, toFile?: string, context?: number }} [options]
+ * @returns {string} Empty string when the texts are equal
+ */
+export function createUnifiedDiff(before, after, options = {}) {
+    const context = options.context ?? DEFAULT_CONTEXT;
+    const ops = diffLines(before, after);
+    const hunks = groupHunks(ops, context);
+    if (hunks.length === 0) return '';
+
+    const lines = [`--- ${options.fromFile || 'a'}`, `+++ ${options.toFile || 'b'}`];
+    hunks.forEach(({ start, end }) => {
+        const hunk = ops.slice(start, end);
+        const oldStart = firstLine(ops, start, end, 'oldLine');
+        const newStart = firstLine(ops, start, end, 'newLine');
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        lines.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+        hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function splitLines(text) {
+    if (text === '') return [];
+    const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Shortest edit script between two line arrays (Myers, O((N+M)D))
+ */
+function myers(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : vd[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            ops.push({ type: ' ', line: a[x], oldIndex: x, newIndex: y });
+        }
+        if (d === 0) break;
+        if (x === prevX) {
+            y--;
+            ops.push({ type: '+', line: b[y], oldIndex: null, newIndex: y });
+        } else {
+            x--;
+            ops.push({ type: '-', line: a[x], oldIndex: x, newIndex: null });
+        }
+    }
+    return ops.reverse();
+}
+
+function groupHunks(ops, context) {
+    const changed = ops.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i >= 0);
+    const hunks = [];
+    let current = null;
+    changed.forEach(i => {
+        const start = Math.max(0, i - context);
+        const end = Math.min(ops.length, i + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+    return hunks;
+}
+
+function firstLine(ops, start, end, key) {
+    for (let i = start; i < end; i++) {
+        if (ops[i][key] !== null) return ops[i][key];
+    }
+    // One side of the hunk is empty: count from the line before it
+    for (let i = start - 1; i >= 0; i--) {
+        if (ops[i][key] !== null) return ops[i][key] + 1;
+    }
+    return 1;
+}
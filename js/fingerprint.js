@@ -0,0 +1,72 @@
+/**
+ * MarkupAudit Issue Fingerprints
+ * Identifies an issue by its rule and the element it points at, rather than
+ * by line numbers, so it can be matched across edits of the document.
+ */
+
+// Attributes that identify an element without depending on its content or position
+const IDENTIFYING_ATTRIBUTES = ['id', 'name', 'href', 'src', 'for'];
+const TEXT_SAMPLE_LENGTH = 40;
+
+/**
+ * Build the un-hashed signature of an issue: the rule, the element's own tag
+ * and its identifying attributes. Edits elsewhere in the document, or inside
+ * the element, do not change it.
+ * @param {string} ruleId
+ * @param {Element|null} element
+ * @param {string} message Used for document-level issues (numbers are ignored)
+ * @returns {string}
+ */
+export function issueSignature(ruleId, element, message) {
+    if (!element) {
+        return `${ruleId}|${message.replace(/\d+/g, '#')}`;
+    }
+
+    const attrs = IDENTIFYING_ATTRIBUTES
+        .filter(name => element.hasAttribute(name))
+        .map(name => `${name}=${element.getAttribute(name).trim()}`);
+
+    return `${ruleId}|${element.tagName.toLowerCase()}|${attrs.join('&')}`;
+}
+
+/**
+ * Text sample that tells apart issues with the same signature (e.g. several
+ * images without alt); only used when a signature is not unique
+ * @param {Element|null} element
+ * @returns {string}
+ */
+export function issueTiebreaker(element) {
+    return element ? (element.textContent || '').replace(/\s+/g, ' ').trim().slice(0, TEXT_SAMPLE_LENGTH) : '';
+}
+
+/**
+ * Assign `fingerprint` to every issue. Identical signatures are told apart
+ * by their tiebreaker text, then by their order of occurrence.
+ * @param {object[]} issues Issues carrying a `signature` and optionally a `tiebreaker`
+ */
+export function assignFingerprints(issues) {
+    const totals = new Map();
+    issues.forEach(issue => totals.set(issue.signature, (totals.get(issue.signature) || 0) + 1));
+
+    const seen = new Map();
+    issues.forEach(issue => {
+        const key = totals.get(issue.signature) > 1 ? `${issue.signature}|${issue.tiebreaker || ''}` : issue.signature;
+        const count = seen.get(key) || 0;
+        seen.set(key, count + 1);
+        issue.fingerprint = hash(`${key}#${count}`);
+        delete issue.signature;
+        delete issue.tiebreaker;
+    });
+}
+
+// 64-bit FNV-1a, hex encoded
+function hash(str) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
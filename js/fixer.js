@@ -0,0 +1,167 @@
+/**
+ * MarkupAudit Fixer
+ * Helpers rules use to describe machine fixes as text edits on the raw HTML,
+ * and applyFixes() to apply the fixes of a report.
+ *
+ * A fix is { description, edits: [{ start, end, text }] } where start/end are
+ * offsets into the original source. Fixes are applied whole or not at all.
+ */
+
+/**
+ * Fix that sets an attribute, replacing an existing one of the same name
+ * @param {SourceLocator} source
+ * @param {Element} element
+ * @param {string} name
+ * @param {string} value
+ * @param {string} description
+ * @returns {object|null} Fix, or null if the element is not in the source
+ */
+export function setAttributeFix(source, element, name, value, description) {
+    const record = source.recordFor(element);
+    if (!record) return null;
+
+    const text = `${name}="${escapeAttribute(value)}"`;
+    const existing = record.attrs.find(attr => attr.name === name);
+    if (existing) {
+        return { description, edits: [{ start: existing.start, end: existing.end, text }] };
+    }
+    const offset = attributeInsertOffset(record);
+    return { description, edits: [{ start: offset, end: offset, text: ` ${text}` }] };
+}
+
+/**
+ * Fix that removes an attribute, along with the whitespace before it
+ * @param {SourceLocator} source
+ * @param {Element} element
+ * @param {string} name
+ * @param {string} description
+ * @returns {object|null}
+ */
+export function removeAttributeFix(source, element, name, description) {
+    const record = source.recordFor(element);
+    if (!record) return null;
+
+    const edits = record.attrs
+        .filter(attr => attr.name === name)
+        .map(attr => ({ start: leadingWhitespaceStart(source.original, attr.start, record.start), end: attr.end, text: '' }));
+    return edits.length > 0 ? { description, edits } : null;
+}
+
+/**
+ * Fix that renames an element, removing the given attributes from its start tag
+ * (e.g. <div role="main"> to <main>)
+ * @param {SourceLocator} source
+ * @param {Element} element
+ * @param {string} newName
+ * @param {string[]} removeAttributes
+ * @param {string} description
+ * @returns {object|null}
+ */
+export function renameElementFix(source, element, newName, removeAttributes, description) {
+    const record = source.recordFor(element);
+    if (!record) return null;
+
+    const nameStart = record.start + 1;
+    const edits = [{ start: nameStart, end: nameStart + record.name.length, text: newName }];
+    record.attrs
+        .filter(attr => removeAttributes.includes(attr.name))
+        .forEach(attr => {
+            edits.push({ start: leadingWhitespaceStart(source.original, attr.start, nameStart), end: attr.end, text: '' });
+        });
+    if (record.closeStart !== null) {
+        const closeName = record.closeStart + 2;
+        edits.push({ start: closeName, end: closeName + record.name.length, text: newName });
+    }
+    return { description, edits };
+}
+
+/**
+ * Fix that inserts markup as the first child of <head>, after a <meta charset>
+ * if there is one, indented like its siblings
+ * @param {SourceLocator} source
+ * @param {Document} doc
+ * @param {string} markup
+ * @param {string} description
+ * @returns {object|null}
+ */
+export function insertInHeadFix(source, doc, markup, description) {
+    const charset = source.recordFor(doc.querySelector('head > meta[charset]'));
+    const head = source.recordFor(doc.head);
+    const anchor = charset || head;
+    if (!anchor) return null;
+
+    const offset = charset ? charset.end : head.openEnd;
+    const indent = charset ? lineIndent(source.original, charset.start) : `${lineIndent(source.original, head.start)}    `;
+    return { description, edits: [{ start: offset, end: offset, text: `\n${indent}${markup}` }] };
+}
+
+/**
+ * Apply every fix in a report to the source it was produced from.
+ * Fixes whose edits overlap an earlier fix are skipped; re-running the audit
+ * on the result picks them up.
+ * @param {string} rawHtml
+ * @param {object} report Report returned by AuditEngine.run()
+ * @returns {{ html: string, applied: object[], skipped: object[] }} applied/skipped are issues
+ */
+export function applyFixes(rawHtml, report) {
+    const applied = [];
+    const skipped = [];
+    const edits = [];
+
+    fixableIssues(report).forEach(issue => {
+        const overlaps = issue.fix.edits.some(edit => edits.some(other => editsOverlap(edit, other)));
+        if (overlaps) {
+            skipped.push(issue);
+            return;
+        }
+        edits.push(...issue.fix.edits);
+        applied.push(issue);
+    });
+
+    // Apply from the end so earlier offsets stay valid
+    edits.sort((a, b) => b.start - a.start || b.end - a.end);
+    let html = rawHtml;
+    edits.forEach(edit => {
+        html = html.slice(0, edit.start) + edit.text + html.slice(edit.end);
+    });
+
+    return { html, applied, skipped };
+}
+
+/**
+ * Issues of a report that carry a fix
+ * @param {object} report
+ * @returns {object[]}
+ */
+export function fixableIssues(report) {
+    return report.categories.flatMap(category => category.issues.filter(issue => issue.fix));
+}
+
+function editsOverlap(a, b) {
+    // Two insertions at the same offset would be applied in an arbitrary order
+    if (a.start === a.end && b.start === b.end) return a.start === b.start;
+    return a.start < b.end && b.start < a.end;
+}
+
+function attributeInsertOffset(record) {
+    if (record.attrs.length > 0) {
+        return Math.max(...record.attrs.map(attr => attr.end));
+    }
+    return record.start + 1 + record.name.length;
+}
+
+// Start of the whitespace run before an attribute, so removing it leaves no gap
+function leadingWhitespaceStart(html, offset, limit) {
+    let start = offset;
+    while (start > limit && /\s/.test(html[start - 1])) start--;
+    return start;
+}
+
+function lineIndent(html, offset) {
+    const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+    return html.slice(lineStart, offset).match(/^[ \t]*/)[0];
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
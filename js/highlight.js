@@ -0,0 +1,79 @@
+/**
+ * MarkupAudit Syntax Highlighting
+ * Splits HTML source into lines of highlighted markup for the source view,
+ * using the same tokenizer as the issue locator so both agree on offsets.
+ */
+
+import { tokenize } from './tokenizer.js';
+
+/**
+ * @param {string} html
+ * @returns {string[]} One HTML string per source line, with tokens wrapped in
+ *          <span class="tok-…"> (tag, attr, value, comment, doctype)
+ */
+export function highlightLines(html) {
+    const segments = [];
+    tokenize(html).forEach(token => {
+        switch (token.type) {
+            case 'startTag':
+                segments.push(...tagSegments(token));
+                break;
+            case 'endTag':
+                segments.push({ start: token.start, end: token.end, cls: 'tok-tag' });
+                break;
+            case 'comment':
+            case 'doctype':
+                segments.push({ start: token.start, end: token.end, cls: `tok-${token.type}` });
+                break;
+            default:
+                segments.push({ start: token.start, end: token.end, cls: null });
+        }
+    });
+
+    // Fill gaps the tokenizer skips (such as "</>") with plain text
+    const covered = [];
+    let pos = 0;
+    segments.forEach(segment => {
+        if (segment.start > pos) covered.push({ start: pos, end: segment.start, cls: null });
+        covered.push(segment);
+        pos = segment.end;
+    });
+    if (pos < html.length) covered.push({ start: pos, end: html.length, cls: null });
+
+    const lines = [];
+    let current = '';
+    covered.forEach(({ start, end, cls }) => {
+        // Spans are closed at line ends and reopened on the next line
+        html.slice(start, end).split('\n').forEach((part, i) => {
+            if (i > 0) {
+                lines.push(current);
+                current = '';
+            }
+            const text = part.replace(/\r$/, '');
+            if (text) current += cls ? `<span class="${cls}">${escapeHtml(text)}</span>` : escapeHtml(text);
+        });
+    });
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * A start tag split into the tag name, attribute names and attribute values
+ */
+function tagSegments(token) {
+    const segments = [];
+    let pos = token.start;
+    token.attrs.forEach(attr => {
+        if (attr.start > pos) segments.push({ start: pos, end: attr.start, cls: 'tok-tag' });
+        const nameEnd = attr.start + attr.name.length;
+        segments.push({ start: attr.start, end: nameEnd, cls: 'tok-attr' });
+        if (attr.end > nameEnd) segments.push({ start: nameEnd, end: attr.end, cls: 'tok-value' });
+        pos = attr.end;
+    });
+    if (token.end > pos) segments.push({ start: pos, end: token.end, cls: 'tok-tag' });
+    return segments;
+}
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
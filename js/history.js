@@ -0,0 +1,150 @@
+/**
+ * MarkupAudit Audit History
+ * Keeps audit reports in IndexedDB, keyed by source (URL or file name), so
+ * scores can be followed over time and past reports reopened.
+ *
+ * Two object stores share the same ids: "audits" holds small summaries for
+ * listing and trend charts, "reports" the full report and audited HTML.
+ */
+
+const DB_NAME = 'markupaudit-history';
+const DB_VERSION = 1;
+
+export class AuditHistory {
+    /**
+     * @param {IDBFactory} [factory] Defaults to the browser's indexedDB
+     */
+    constructor(factory = globalThis.indexedDB) {
+        this.factory = factory;
+        this.db = null;
+    }
+
+    /**
+     * Whether IndexedDB exists in this environment
+     * @returns {boolean}
+     */
+    get available() {
+        return Boolean(this.factory);
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (!this.available) return Promise.reject(new Error('Audit history needs IndexedDB, which is not available here.'));
+
+        const req = this.factory.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            const audits = db.createObjectStore('audits', { keyPath: 'id', autoIncrement: true });
+            audits.createIndex('source', 'source');
+            db.createObjectStore('reports', { keyPath: 'id' });
+        };
+        return request(req).then(db => {
+            this.db = db;
+            return db;
+        });
+    }
+
+    /**
+     * Store a report
+     * @param {object} report Report returned by AuditEngine.run()
+     * @param {string|null} [html] The audited HTML, so fixes work on reopened reports
+     * @returns {Promise<number>} Id of the saved audit
+     */
+    async save(report, html = null) {
+        const db = await this.open();
+        const tx = db.transaction(['audits', 'reports'], 'readwrite');
+        const add = tx.objectStore('audits').add(summarizeReport(report));
+        add.onsuccess = () => tx.objectStore('reports').put({ id: add.result, report, html });
+        await complete(tx);
+        return add.result;
+    }
+
+    /**
+     * Summaries of all saved audits, oldest first
+     * @returns {Promise<object[]>}
+     */
+    async list() {
+        const db = await this.open();
+        return request(db.transaction('audits').objectStore('audits').getAll());
+    }
+
+    /**
+     * Full record of one audit
+     * @param {number} id
+     * @returns {Promise<{ id: number, report: object, html: string|null }|undefined>}
+     */
+    async get(id) {
+        const db = await this.open();
+        return request(db.transaction('reports').objectStore('reports').get(id));
+    }
+
+    /**
+     * Remove one audit
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        const db = await this.open();
+        const tx = db.transaction(['audits', 'reports'], 'readwrite');
+        tx.objectStore('audits').delete(id);
+        tx.objectStore('reports').delete(id);
+        return complete(tx);
+    }
+}
+
+/**
+ * The part of a report kept for listings and trend charts
+ * @param {object} report
+ * @returns {{ source: string, savedAt: string, overallScore: number, categories: object[], issues: object }}
+ */
+export function summarizeReport(report) {
+    const issues = { Critical: 0, Warning: 0, Info: 0 };
+    report.categories.forEach(category => category.issues.forEach(issue => {
+        issues[issue.severity] = (issues[issue.severity] || 0) + 1;
+    }));
+    return {
+        source: report.metadata.source,
+        savedAt: new Date().toISOString(),
+        overallScore: report.overallScore,
+        categories: report.categories.map(category => ({ id: category.id, name: category.name, score: category.score })),
+        issues
+    };
+}
+
+/**
+ * Group audit summaries by source, most recently audited source first
+ * @param {object[]} audits
+ * @returns {{ source: string, audits: object[], latest: object }[]}
+ */
+export function groupBySource(audits) {
+    const groups = new Map();
+    audits.forEach(audit => {
+        if (!groups.has(audit.source)) groups.set(audit.source, []);
+        groups.get(audit.source).push(audit);
+    });
+    return [...groups.entries()]
+        .map(([source, entries]) => {
+            const sorted = [...entries].sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+            return { source, audits: sorted, latest: sorted[sorted.length - 1] };
+        })
+        .sort((a, b) => b.latest.savedAt.localeCompare(a.latest.savedAt));
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function complete(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
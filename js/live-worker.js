@@ -0,0 +1,22 @@
+/**
+ * MarkupAudit Live Audit Worker
+ * Runs the audit engine off the main thread for live mode (see js/live.js).
+ * Workers have no DOMParser, so linkedom provides one, as in the CLI, with
+ * the same implied <html> and <body> so results match "Run Audit".
+ */
+
+import { DOMParser } from 'https://cdn.jsdelivr.net/npm/linkedom@0.18.13/+esm';
+import { impliedElementsParser } from './parser.js';
+import { AuditEngine } from './rules.js';
+
+const engine = new AuditEngine({ parser: impliedElementsParser(new DOMParser()) });
+
+self.addEventListener('message', ({ data }) => {
+    const { id, html, source, config, mode } = data;
+    try {
+        engine.configure(config);
+        self.postMessage({ id, report: engine.run(html, source, { mode }) });
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+});
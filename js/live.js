@@ -0,0 +1,112 @@
+/**
+ * MarkupAudit Live Audit
+ * Re-audits markup while it is being edited. Runs are debounced and happen in
+ * a Web Worker (js/live-worker.js) so typing stays responsive, and only the
+ * result for the latest edit is delivered. If the worker cannot be started
+ * (module workers unsupported, or its parser failed to load), audits run on
+ * the main thread instead.
+ */
+
+import { AuditEngine } from './rules.js';
+
+export class LiveAudit {
+    /**
+     * @param {object} options
+     * @param {function(object): void} options.onReport Called with each up-to-date report
+     * @param {function(Error): void} options.onError Called when an audit fails (e.g. invalid configuration)
+     * @param {number} [options.delay] Debounce delay in ms
+     */
+    constructor({ onReport, onError, delay = 400 }) {
+        this.onReport = onReport;
+        this.onError = onError;
+        this.delay = delay;
+        this.worker = null;
+        this.inline = typeof Worker === 'undefined';
+        this.engine = null;
+        this.timer = null;
+        this.latest = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Audit `html` once editing pauses; replaces any audit still waiting
+     * @param {string} html
+     * @param {string} source
+     * @param {string} config .markupauditrc contents
+     * @param {string} [mode] Input mode (see js/templates.js)
+     */
+    schedule(html, source, config, mode = 'document') {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.run({ html, source, config, mode }), this.delay);
+    }
+
+    /**
+     * Drop the waiting audit and ignore the result of one already running
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.latest++;
+    }
+
+    /**
+     * Cancel and shut the worker down
+     */
+    stop() {
+        this.cancel();
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+
+    run(request) {
+        const id = ++this.latest;
+        const worker = this.getWorker();
+        if (!worker) {
+            this.runInline(id, request);
+            return;
+        }
+        this.pending = { id, ...request };
+        worker.postMessage(this.pending);
+    }
+
+    getWorker() {
+        if (this.worker || this.inline) return this.worker;
+        try {
+            this.worker = new Worker(new URL('./live-worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            this.inline = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', ({ data }) => {
+            if (data.id !== this.latest) return; // superseded by a newer edit
+            this.pending = null;
+            if (data.error) {
+                this.onError(new Error(data.error));
+            } else {
+                this.onReport(data.report);
+            }
+        });
+        this.worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.inline = true;
+            if (this.pending && this.pending.id === this.latest) this.runInline(this.pending.id, this.pending);
+            this.pending = null;
+        });
+        return this.worker;
+    }
+
+    runInline(id, { html, source, config, mode }) {
+        if (!this.engine) this.engine = new AuditEngine();
+        let report;
+        try {
+            this.engine.configure(config);
+            report = this.engine.run(html, source, { mode });
+        } catch (e) {
+            if (id === this.latest) this.onError(e);
+            return;
+        }
+        if (id === this.latest) this.onReport(report);
+    }
+}
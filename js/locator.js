@@ -0,0 +1,297 @@
+/**
+ * MarkupAudit Source Locator
+ * Maps parsed DOM elements back to their exact position in the raw HTML.
+ */
+
+import { tokenize, LineIndex, VOID_ELEMENTS } from './tokenizer.js';
+
+const MAX_SNIPPET_LENGTH = 200;
+
+// Start tags that close an open <p>
+export const P_CLOSERS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Elements that stop the search for an open element to implicitly close
+const DEFAULT_SCOPE = ['html', 'table', 'td', 'th', 'caption', 'marquee', 'object', 'applet', 'template'];
+const BUTTON_SCOPE = [...DEFAULT_SCOPE, 'button'];
+const TABLE_SCOPE = ['html', 'table', 'template'];
+
+// Start tags that implicitly close an open element: [targets, scope boundaries]
+const IMPLIED_CLOSES = {
+    li: [['li'], [...DEFAULT_SCOPE, 'ul', 'ol']],
+    dt: [['dt', 'dd'], [...DEFAULT_SCOPE, 'dl']],
+    dd: [['dt', 'dd'], [...DEFAULT_SCOPE, 'dl']],
+    tr: [['tr'], [...TABLE_SCOPE, 'thead', 'tbody', 'tfoot']],
+    td: [['td', 'th'], [...TABLE_SCOPE, 'tr']],
+    th: [['td', 'th'], [...TABLE_SCOPE, 'tr']],
+    thead: [['thead', 'tbody', 'tfoot'], TABLE_SCOPE],
+    tbody: [['thead', 'tbody', 'tfoot'], TABLE_SCOPE],
+    tfoot: [['thead', 'tbody', 'tfoot'], TABLE_SCOPE]
+};
+
+/**
+ * Pair start tags with their end (explicit or implied), producing one
+ * record per element that appears in the source.
+ * @param {object[]} tokens Output of tokenize()
+ * @param {string} html
+ * @param {{ components?: boolean }} [options] components: self-closing syntax closes any element
+ * @returns {{ name: string, attrs: object[], start: number, openEnd: number, end: number, closeStart: number|null }[]}
+ */
+export function matchElements(tokens, html, options = {}) {
+    const elements = [];
+    const stack = [];
+    let foreignDepth = 0;
+
+    const close = (record, end, closeStart = null) => {
+        record.end = end;
+        record.closeStart = closeStart;
+        if (record.name === 'svg' || record.name === 'math') foreignDepth--;
+    };
+    const implicitEnd = (offset) => {
+        // An implied end sits right after the element's last non-whitespace content
+        let end = offset;
+        while (end > 0 && /\s/.test(html[end - 1])) end--;
+        return end;
+    };
+    const popUntil = (targets, boundaries, offset) => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (targets.includes(stack[i].name)) {
+                const end = implicitEnd(offset);
+                while (stack.length > i) close(stack.pop(), end);
+                return true;
+            }
+            if (boundaries.includes(stack[i].name)) return false;
+        }
+        return false;
+    };
+
+    tokens.forEach(token => {
+        if (token.type === 'startTag') {
+            const name = token.name;
+
+            if (foreignDepth === 0) {
+                if (P_CLOSERS.has(name)) popUntil(['p'], BUTTON_SCOPE, token.start);
+                if (HEADINGS.includes(name) && stack.length && HEADINGS.includes(stack[stack.length - 1].name)) {
+                    close(stack.pop(), implicitEnd(token.start));
+                }
+                if ((name === 'option' || name === 'optgroup') && stack.length && stack[stack.length - 1].name === 'option') {
+                    close(stack.pop(), implicitEnd(token.start));
+                }
+                if (IMPLIED_CLOSES[name]) {
+                    const [targets, boundaries] = IMPLIED_CLOSES[name];
+                    popUntil(targets, boundaries, token.start);
+                }
+            }
+
+            const record = { name, attrs: token.attrs, start: token.start, openEnd: token.end, end: token.end, closeStart: null };
+            elements.push(record);
+
+            const selfClosed = VOID_ELEMENTS.has(name) || ((foreignDepth > 0 || options.components) && token.selfClosing);
+            if (!selfClosed) {
+                if (name === 'svg' || name === 'math') foreignDepth++;
+                stack.push(record);
+            }
+        } else if (token.type === 'endTag') {
+            for (let i = stack.length - 1; i >= 0; i--) {
+                if (stack[i].name === token.name) {
+                    const end = implicitEnd(token.start);
+                    while (stack.length > i + 1) close(stack.pop(), end);
+                    close(stack.pop(), token.end, token.start);
+                    break;
+                }
+            }
+        }
+    });
+
+    while (stack.length) close(stack.pop(), implicitEnd(html.length));
+    return elements;
+}
+
+export class SourceLocator {
+    /**
+     * @param {string} rawHtml
+     * @param {Document} doc The document parsed from rawHtml
+     * @param {object} [options]
+     * @param {string} [options.original] Source rawHtml was prepared from (see js/templates.js);
+     *        same length and lines. Snippets and fixes use it.
+     * @param {{ start: number, end: number }[]} [options.templateRanges] Spans of template syntax
+     * @param {boolean} [options.components] Self-closing syntax closes any element (<Card />)
+     */
+    constructor(rawHtml, doc, options = {}) {
+        this.rawHtml = rawHtml;
+        this.original = options.original || rawHtml;
+        this.templateRanges = options.templateRanges || [];
+        this.doc = doc;
+        this.lines = new LineIndex(rawHtml);
+        this.tokens = tokenize(rawHtml);
+        this.elements = matchElements(this.tokens, rawHtml, { components: options.components }).filter(isInDocument(this.tokens));
+        this.map = null;
+    }
+
+    /**
+     * Find the source range of a DOM element
+     * @param {Element} element
+     * @returns {{ start: object, end: object, snippet: string }|null} null for implied elements
+     */
+    locate(element) {
+        if (!this.map) this.map = this.buildMap();
+        const record = this.map.get(element);
+        if (!record) return null;
+
+        return {
+            start: this.lines.position(record.start),
+            end: this.lines.position(record.end),
+            snippet: this.snippet(record)
+        };
+    }
+
+    /**
+     * Location of a source range, in the same shape as locate()
+     * @param {number} start Offset
+     * @param {number} end Offset (exclusive)
+     * @returns {{ start: object, end: object, snippet: string }}
+     */
+    locateRange(start, end) {
+        const source = this.original.slice(start, end);
+        return {
+            start: this.lines.position(start),
+            end: this.lines.position(end),
+            snippet: source.length <= MAX_SNIPPET_LENGTH ? source : source.slice(0, MAX_SNIPPET_LENGTH) + '…'
+        };
+    }
+
+    /**
+     * Source record ({ name, attrs, start, openEnd, end, closeStart }) of a DOM element
+     */
+    recordFor(element) {
+        if (!this.map) this.map = this.buildMap();
+        return this.map.get(element) || null;
+    }
+
+    /**
+     * Keep the source record of a DOM element that was swapped for another
+     * @param {Element} from
+     * @param {Element} to
+     */
+    replaceElement(from, to) {
+        const record = this.recordFor(from);
+        if (!record) return;
+        this.map.delete(from);
+        this.map.set(to, record);
+    }
+
+    /**
+     * Whether an attribute's value comes from template syntax (alt={label},
+     * :alt="label", alt="{{ label }}"), so its rendered value is unknown
+     * @param {Element} element
+     * @param {string} name
+     */
+    isTemplateValue(element, name) {
+        if (this.templateRanges.length === 0) return false;
+        const record = this.recordFor(element);
+        const attr = record && record.attrs.find(a => a.name === name.toLowerCase());
+        return Boolean(attr) && this.templateRanges.some(range => range.start < attr.end && range.end > attr.start);
+    }
+
+    /**
+     * An attribute's value for messages: as written in the original source when it
+     * comes from template syntax (src="{{ src }}", href={url}), else getAttribute()
+     * @param {Element} element
+     * @param {string} name
+     * @returns {string|null}
+     */
+    attributeText(element, name) {
+        const value = element.getAttribute(name);
+        if (value === null || !this.isTemplateValue(element, name)) return value;
+        const attr = this.recordFor(element).attrs.find(a => a.name === name.toLowerCase());
+        const written = this.original.slice(attr.start, attr.end).replace(/^[^=]*=\s*/, '');
+        return written.replace(/^(["'])([\s\S]*)\1$/, '$2');
+    }
+
+    /**
+     * Whether template syntax appears inside an element, so its rendered text is unknown
+     * @param {Element} element
+     */
+    hasTemplateContent(element) {
+        if (this.templateRanges.length === 0) return false;
+        const record = this.recordFor(element);
+        if (!record) return false;
+        const end = record.closeStart !== null ? record.closeStart : record.end;
+        return this.templateRanges.some(range => range.start < end && range.end > record.openEnd);
+    }
+
+    snippet(record) {
+        const source = this.original.slice(record.start, record.end);
+        if (source.length <= MAX_SNIPPET_LENGTH) return source;
+
+        let open = this.original.slice(record.start, record.openEnd);
+        if (open.length > MAX_SNIPPET_LENGTH) open = open.slice(0, MAX_SNIPPET_LENGTH) + '…';
+        const closeTag = record.closeStart !== null ? this.original.slice(record.closeStart, record.end) : '';
+        return `${open} … ${closeTag}`.trim();
+    }
+
+    /**
+     * Pair DOM elements with source records of the same tag name, in document order.
+     * When counts differ (implied or parser-cloned elements) fall back to matching attributes.
+     */
+    buildMap() {
+        const map = new Map();
+        const domByName = groupBy([...this.doc.querySelectorAll('*')], el => (el.localName || el.tagName).toLowerCase());
+        const srcByName = groupBy(this.elements, record => record.name);
+
+        domByName.forEach((domElements, name) => {
+            const records = srcByName.get(name) || [];
+            if (records.length === domElements.length) {
+                domElements.forEach((el, i) => map.set(el, records[i]));
+                return;
+            }
+
+            let pointer = 0;
+            domElements.forEach(el => {
+                for (let j = pointer; j < records.length; j++) {
+                    if (attributesMatch(el, records[j])) {
+                        map.set(el, records[j]);
+                        pointer = j + 1;
+                        return;
+                    }
+                }
+            });
+        });
+
+        return map;
+    }
+}
+
+// Elements inside <template> live in a separate fragment, not the document
+function isInDocument(tokens) {
+    const ranges = [];
+    const open = [];
+    tokens.forEach(token => {
+        if (token.type === 'startTag' && token.name === 'template') open.push(token.end);
+        if (token.type === 'endTag' && token.name === 'template' && open.length) ranges.push([open.pop(), token.start]);
+    });
+    open.forEach(start => ranges.push([start, Infinity]));
+    return record => !ranges.some(([start, end]) => record.start >= start && record.start < end);
+}
+
+function groupBy(items, keyFn) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = keyFn(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+function attributesMatch(element, record) {
+    const seen = new Set();
+    const sourceAttrs = record.attrs.filter(attr => !seen.has(attr.name) && seen.add(attr.name));
+    if (sourceAttrs.length !== element.attributes.length) return false;
+    return sourceAttrs.every(attr => element.getAttribute(attr.name) === attr.value);
+}
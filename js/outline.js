@@ -0,0 +1,138 @@
+/**
+ * MarkupAudit Document Outline
+ * Collects the headings and landmarks of a document into a tree, and
+ * provides the heading helpers used by the heading rules.
+ */
+
+import { computeAccessibleName, isHiddenFromAT } from './accname.js';
+
+export const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'complementary', 'contentinfo', 'region', 'form', 'search'];
+
+// <header>/<footer> are only banner/contentinfo when not scoped to a section
+const SECTIONING = 'article, aside, main, nav, section';
+
+/**
+ * Heading level of an element: 1-6 for h1-h6, aria-level for role="heading"
+ * (default 2), or null if the element is not a heading
+ * @param {Element} el
+ * @returns {number|null}
+ */
+export function headingLevel(el) {
+    const role = explicitRole(el);
+    if (role === 'heading') {
+        const level = parseInt(el.getAttribute('aria-level'), 10);
+        return level > 0 ? level : 2;
+    }
+    if (role) return null;
+    const match = /^h([1-6])$/i.exec(el.tagName);
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * Text a heading announces (its accessible name), also for hidden headings
+ * @param {Element} el
+ * @returns {string}
+ */
+export function headingText(el) {
+    return computeAccessibleName(el, { includeHidden: isHiddenFromAT(el) });
+}
+
+/**
+ * Headings of the document in source order
+ * @param {Document} doc
+ * @returns {{ element: Element, level: number, text: string, hidden: boolean }[]}
+ */
+export function getHeadings(doc) {
+    return [...doc.querySelectorAll(HEADING_SELECTOR)]
+        .map(element => ({ element, level: headingLevel(element) }))
+        .filter(heading => heading.level !== null)
+        .map(heading => ({ ...heading, text: headingText(heading.element), hidden: isHiddenFromAT(heading.element) }));
+}
+
+/**
+ * Landmark role of an element, or null
+ * @param {Element} el
+ * @returns {string|null}
+ */
+export function landmarkRole(el) {
+    const role = explicitRole(el);
+    if (role) return LANDMARK_ROLES.includes(role) ? role : null;
+
+    const tag = el.tagName.toLowerCase();
+    const labelled = el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') || el.hasAttribute('title');
+    switch (tag) {
+        case 'main': return 'main';
+        case 'nav': return 'navigation';
+        case 'aside': return 'complementary';
+        case 'search': return 'search';
+        case 'header': return el.parentNode && el.parentNode.closest && el.parentNode.closest(SECTIONING) ? null : 'banner';
+        case 'footer': return el.parentNode && el.parentNode.closest && el.parentNode.closest(SECTIONING) ? null : 'contentinfo';
+        case 'section': return labelled ? 'region' : null;
+        case 'form': return labelled ? 'form' : null;
+        default: return null;
+    }
+}
+
+/**
+ * Build the heading/landmark tree of a document. Landmarks nest by DOM
+ * position; headings nest by level inside their landmark.
+ * @param {Document} doc
+ * @param {SourceLocator} [source] Adds source locations to the nodes
+ * @returns {object[]} Nodes: { type: 'landmark'|'heading', tag, role?, level?, text, hidden?, location, children }
+ */
+export function buildOutline(doc, source = null) {
+    const root = { children: [], headings: [] };
+    const locate = el => {
+        const loc = source ? source.locate(el) : null;
+        return loc ? { start: loc.start, end: loc.end } : null;
+    };
+
+    const walk = (el, container) => {
+        [...el.children].forEach(child => {
+            const role = landmarkRole(child);
+            const level = headingLevel(child);
+
+            if (role) {
+                const node = {
+                    type: 'landmark',
+                    tag: child.tagName.toLowerCase(),
+                    role,
+                    text: child.getAttribute('aria-label') || '',
+                    location: locate(child),
+                    children: []
+                };
+                container.children.push(node);
+                walk(child, { children: node.children, headings: [] });
+            } else if (level !== null) {
+                const node = {
+                    type: 'heading',
+                    tag: child.tagName.toLowerCase(),
+                    level,
+                    text: headingText(child),
+                    hidden: isHiddenFromAT(child),
+                    location: locate(child),
+                    children: []
+                };
+                // Nest under the nearest preceding heading of a higher level
+                while (container.headings.length && container.headings[container.headings.length - 1].level >= level) {
+                    container.headings.pop();
+                }
+                const parent = container.headings[container.headings.length - 1];
+                (parent ? parent.children : container.children).push(node);
+                container.headings.push(node);
+            } else {
+                walk(child, container);
+            }
+        });
+    };
+
+    if (doc.body) walk(doc.body, root);
+    return root.children;
+}
+
+function explicitRole(el) {
+    const role = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/)[0];
+    return role || null;
+}
@@ -0,0 +1,45 @@
+/**
+ * MarkupAudit Parser Adapter
+ * linkedom does not build the <html>, <head> and <body> elements a browser
+ * implies: markup without an <html> tag gets its first element as the document
+ * root and an empty body. This wraps such a parser so that fragments, partials
+ * and templates parse into the same tree as in the browser's DOMParser.
+ *
+ * Only the DOM changes; locations come from the tokenizer over the raw text.
+ */
+
+// Elements the HTML parser keeps in <head> when they come before any content
+const HEAD_ELEMENTS = ['base', 'basefont', 'bgsound', 'link', 'meta', 'noframes', 'noscript', 'script', 'style', 'template', 'title'];
+
+/**
+ * @param {{ parseFromString: function(string, string): Document }} parser
+ * @returns {{ parseFromString: function(string, string): Document }}
+ */
+export function impliedElementsParser(parser) {
+    return {
+        parseFromString(html, type = 'text/html') {
+            if (/<html[\s>]/i.test(html)) return parser.parseFromString(html, type);
+
+            // A doctype or a <head>/<body> of the input's own go in their usual place
+            const body = html.replace(/^\s*<!doctype[^>]*>/i, '');
+            if (/<(head|body)[\s>]/i.test(body)) {
+                return parser.parseFromString(`<!DOCTYPE html><html>${body}</html>`, type);
+            }
+
+            const doc = parser.parseFromString(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, type);
+            moveLeadingHeadContent(doc);
+            return doc;
+        }
+    };
+}
+
+// <title>, <meta> and the like before the first content belong to <head>
+function moveLeadingHeadContent(doc) {
+    if (!doc.head || !doc.body) return;
+    for (const node of [...doc.body.childNodes]) {
+        const isHeadElement = node.nodeType === 1 && HEAD_ELEMENTS.includes(node.localName);
+        const isBlank = node.nodeType === 3 && !node.textContent.trim();
+        if (!isHeadElement && !isBlank && node.nodeType !== 8) break;
+        doc.head.appendChild(node);
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * MarkupAudit Rule Registry
+ * Holds the categories and self-describing rules the AuditEngine runs.
+ */
+
+export const SEVERITIES = ['Critical', 'Warning', 'Info'];
+
+/**
+ * Rule shape:
+ * {
+ *   id: 'img-alt',                 // stable, kebab-case identifier
+ *   category: 'accessibility',     // id of a registered category
+ *   severity: 'Critical',          // default severity: Critical | Warning | Info
+ *   wcag: ['1.1.1'],               // related WCAG success criteria (optional)
+ *   description: 'Images must have an alt attribute.',
+ *   options: { max: 3 },           // configurable thresholds (optional)
+ *   scope: 'document',             // only for whole documents, skipped for fragments (optional)
+ *   check(context) { ... }         // calls context.report({ message, suggestion, element });
+ *                                  // context also has doc, rawHtml, source (SourceLocator),
+ *                                  // options (the configured options), input (the input mode)
+ *                                  // and ruleSettings(id) (another rule's configured settings)
+ * }
+ */
+export class RuleRegistry {
+    constructor() {
+        this.categories = new Map();
+        this.rules = new Map();
+    }
+
+    /**
+     * Register a report category. applies(doc), if given, says whether the page has
+     * anything for the category to check; categories that do not apply are left out of the score.
+     * @param {{ id: string, name: string, applies?: function(Document): boolean }} category
+     */
+    registerCategory(category) {
+        if (!category || !category.id || !category.name) {
+            throw new Error('Category must have an "id" and a "name".');
+        }
+        if (this.categories.has(category.id)) {
+            throw new Error(`Category "${category.id}" is already registered.`);
+        }
+        this.categories.set(category.id, { ...category });
+        return this;
+    }
+
+    /**
+     * Register a single rule
+     * @param {object} rule
+     */
+    register(rule) {
+        if (!rule || typeof rule.id !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*(\/[a-z0-9]+(-[a-z0-9]+)*)?$/.test(rule.id)) {
+            throw new Error(`Invalid rule id "${rule && rule.id}". Use kebab-case, optionally prefixed with "pack/".`);
+        }
+        if (this.rules.has(rule.id)) {
+            throw new Error(`Rule "${rule.id}" is already registered.`);
+        }
+        if (!this.categories.has(rule.category)) {
+            throw new Error(`Rule "${rule.id}" uses unknown category "${rule.category}".`);
+        }
+        if (!SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Rule "${rule.id}" has invalid severity "${rule.severity}".`);
+        }
+        if (typeof rule.check !== 'function') {
+            throw new Error(`Rule "${rule.id}" must provide a check() function.`);
+        }
+        this.rules.set(rule.id, { wcag: [], options: {}, ...rule });
+        return this;
+    }
+
+    /**
+     * Register a rule pack: { categories?: [...], rules: [...] }
+     * @param {object} pack
+     */
+    use(pack) {
+        (pack.categories || []).forEach(category => {
+            if (!this.categories.has(category.id)) this.registerCategory(category);
+        });
+        (pack.rules || []).forEach(rule => this.register(rule));
+        return this;
+    }
+
+    get(id) {
+        return this.rules.get(id) || null;
+    }
+
+    getCategories() {
+        return [...this.categories.values()];
+    }
+
+    /**
+     * @param {string} [categoryId] Limit to one category
+     * @returns {object[]} Rules in registration order
+     */
+    getRules(categoryId) {
+        const all = [...this.rules.values()];
+        return categoryId ? all.filter(rule => rule.category === categoryId) : all;
+    }
+}
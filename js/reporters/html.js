@@ -0,0 +1,183 @@
+/**
+ * HTML Reporter
+ * Renders a self-contained HTML page in the layout of the web app's results
+ * section. Pass the app's stylesheet (css/styles.css) as `stylesheet` to get
+ * the same styling; it is inlined, so the page works offline.
+ */
+
+import { VERSION } from '../rules.js';
+
+// Used when no stylesheet is passed: enough to keep the report readable
+const FALLBACK_STYLESHEET = `
+:root { --card-bg: #fff; --border-color: #e2e8f0; --text-muted: #64748b; --severity-good-text: #16a34a; }
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background: #f8fafc; color: #0f172a; line-height: 1.5; margin: 0; }
+.container { max-width: 900px; margin: 0 auto; padding: 2rem 1rem; }
+.score-dashboard { display: grid; grid-template-columns: 200px 1fr; gap: 2rem; margin-bottom: 2rem; }
+.overall-score-card, .mini-score-card, .category-card { background: var(--card-bg); border: 1px solid var(--border-color); border-radius: 0.75rem; padding: 1rem; }
+.overall-score-card { text-align: center; }
+.score-circle { width: 100px; height: 100px; border-radius: 50%; display: flex; align-items: center; justify-content: center; margin: 0 auto 1rem; position: relative; }
+.score-circle::before { content: ''; position: absolute; width: 80px; height: 80px; background: var(--card-bg); border-radius: 50%; }
+.score-circle span { position: relative; font-size: 2rem; font-weight: 800; }
+.category-scores { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1rem; }
+.mini-score-card { display: flex; justify-content: space-between; align-items: center; }
+.mini-score-value { font-weight: 700; font-size: 1.25rem; }
+.report-meta { margin-bottom: 1rem; color: var(--text-muted); font-size: 0.85rem; display: flex; gap: 1rem; }
+.category-card { margin-bottom: 1.5rem; padding: 1.5rem; }
+.category-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; }
+.category-title { font-size: 1.1rem; margin: 0; }
+.issue-item { margin-bottom: 0.75rem; padding: 1rem; border-radius: 0.5rem; border-left: 4px solid #64748b; font-size: 0.9rem; }
+.issue-critical { background: #fef2f2; border-left-color: #b91c1c; }
+.issue-warning { background: #fffbeb; border-left-color: #b45309; }
+.issue-info { background: #f0fdfa; border-left-color: #0e7490; }
+.issue-header { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; font-weight: 700; font-size: 0.8rem; text-transform: uppercase; }
+.meta-tag, .meta-code { font-family: Consolas, monospace; font-size: 0.75rem; font-weight: 400; text-transform: none; }
+.issue-suggestion { margin-top: 0.5rem; font-size: 0.85rem; }
+.no-issues { color: var(--text-muted); }
+`;
+
+/**
+ * @param {object[]} reports
+ * @param {{ stylesheet?: string, site?: object }} [options]
+ * @returns {string}
+ */
+export function formatHtml(reports, options = {}) {
+    const title = reports.length === 1
+        ? `MarkupAudit Report – ${reports[0].metadata.source}`
+        : `MarkupAudit Report – ${options.site ? options.site.metadata.source : `${reports.length} documents`}`;
+    const stylesheet = (options.stylesheet || FALLBACK_STYLESHEET).replace(/<\/style/gi, '<\\/style');
+
+    const contents = reports.length > 1 ? renderContents(reports, options.site) : '';
+    const sections = reports.map((report, index) => renderReport(report, index)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="generator" content="MarkupAudit ${VERSION}">
+<title>${escapeHtml(title)}</title>
+<style>
+${stylesheet}
+.static-report + .static-report { margin-top: 3rem; padding-top: 2rem; border-top: 1px solid var(--border-color); }
+.static-report-heading { font-size: 1.5rem; margin-bottom: 1.5rem; }
+.static-report-title { font-size: 1.25rem; margin-bottom: 1rem; word-break: break-all; }
+</style>
+</head>
+<body>
+<main class="container">
+<h1 class="static-report-heading">MarkupAudit Report</h1>
+${contents}${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+function renderContents(reports, site) {
+    const rows = reports.map((report, index) => `
+        <tr>
+            <td><a href="#report-${index + 1}">${escapeHtml(report.metadata.source)}</a></td>
+            <td style="font-weight:700; color:${scoreColor(report.overallScore)}">${report.overallScore}</td>
+            <td>${report.categories.reduce((sum, category) => sum + category.issues.length, 0)}</td>
+        </tr>`).join('');
+    const heading = site
+        ? `Site: ${escapeHtml(site.metadata.source)} — ${site.overallScore}/100 across ${site.metadata.pages} pages`
+        : `${reports.length} documents`;
+    return `
+<div class="site-summary">
+    <div class="category-header">
+        <h3 class="category-title">${heading}</h3>
+    </div>
+    <table class="site-pages">
+        <thead><tr><th>Page</th><th>Score</th><th>Issues</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+</div>
+`;
+}
+
+function renderReport(report, index) {
+    const { metadata } = report;
+    const miniCards = report.categories.map(category => `
+            <div class="mini-score-card">
+                <span>${escapeHtml(category.name)}</span>
+                <span class="mini-score-value" style="color: ${scoreColor(category.score)}">${category.score === null ? 'N/A' : category.score}</span>
+            </div>`).join('');
+    const cards = report.categories.map(renderCategory).join('');
+
+    return `
+<section class="static-report" id="report-${index + 1}">
+    <h2 class="static-report-title">${escapeHtml(metadata.source)}</h2>
+    <div class="score-dashboard">
+        <div class="overall-score-card">
+            <div class="score-circle" style="background: conic-gradient(${scoreColor(report.overallScore)} ${report.overallScore}%, var(--border-color) ${report.overallScore}%)">
+                <span>${report.overallScore}</span>
+            </div>
+            <h2>Overall Score</h2>
+        </div>
+        <div class="category-scores">${miniCards}
+        </div>
+    </div>
+    <div class="report-meta">
+        <span>Date: ${escapeHtml(metadata.date)}</span>
+        <span> | Size: ${metadata.length} chars</span>
+        <span> | Source: ${escapeHtml(metadata.source)}</span>
+    </div>
+    <div class="report-cards">${cards}
+    </div>
+</section>`;
+}
+
+function renderCategory(category) {
+    let issues = category.issues.map(renderIssue).join('');
+    if (category.score === null) {
+        issues = '<div class="no-issues">Nothing to check on this page.</div>';
+    } else if (category.issues.length === 0) {
+        issues = `<div class="no-issues">No issues found. Score: ${category.score}/100</div>`;
+    }
+    return `
+        <div class="category-card">
+            <div class="category-header">
+                <h3 class="category-title">${escapeHtml(category.name)}</h3>
+                <span style="font-weight:700; color:${scoreColor(category.score)}">${category.score === null ? 'N/A' : `${category.score}/100`}</span>
+            </div>
+            <div class="issue-list">${issues}
+            </div>
+        </div>`;
+}
+
+function renderIssue(issue) {
+    let meta = '';
+    if (issue.location) {
+        meta += `<span class="meta-tag">Line ${issue.location.start.line}:${issue.location.start.column}</span>`;
+    } else if (issue.lineNumber) {
+        meta += `<span class="meta-tag">Line ${issue.lineNumber}</span>`;
+    }
+    if (issue.context) meta += `<code class="meta-code">${escapeHtml(issue.context)}</code>`;
+    const suggestion = issue.suggestion ? `
+                    <div class="issue-suggestion">
+                        <span class="suggestion-icon">💡</span>
+                        <span class="suggestion-text">${escapeHtml(issue.suggestion)}</span>
+                    </div>` : '';
+    return `
+                <div class="issue-item issue-${escapeHtml(issue.severity.toLowerCase())}">
+                    <div class="issue-header">
+                        <span>${escapeHtml(issue.severity)}</span>
+                        ${meta}
+                    </div>
+                    <div class="issue-desc">${escapeHtml(issue.description)}</div>${suggestion}
+                </div>`;
+}
+
+// Same thresholds as the web app
+function scoreColor(score) {
+    if (score === null) return 'var(--text-muted)';
+    if (score >= 90) return 'var(--severity-good-text)';
+    if (score >= 70) return '#b45309';
+    return '#b91c1c';
+}
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,32 @@
+/**
+ * Report formats shared by the web app and the CLI.
+ * Each formatter takes an array of reports and returns a string.
+ */
+
+import { formatJson } from './json.js';
+import { formatSarif } from './sarif.js';
+import { formatJunit } from './junit.js';
+import { formatMarkdown } from './markdown.js';
+import { formatHtml } from './html.js';
+
+export const FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', format: formatJson },
+    sarif: { label: 'SARIF', extension: 'sarif', mimeType: 'application/sarif+json', format: formatSarif },
+    junit: { label: 'JUnit XML', extension: 'xml', mimeType: 'application/xml', format: formatJunit },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', format: formatMarkdown },
+    html: { label: 'HTML', extension: 'html', mimeType: 'text/html', format: formatHtml }
+};
+
+/**
+ * @param {object[]} reports
+ * @param {string} format Key of FORMATS
+ * @param {object} [options] Passed through to the formatter
+ * @returns {string}
+ */
+export function formatReports(reports, format, options = {}) {
+    const formatter = FORMATS[format];
+    if (!formatter) {
+        throw new Error(`Unknown format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return formatter.format(reports, options);
+}
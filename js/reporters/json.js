@@ -0,0 +1,47 @@
+/**
+ * JSON Reporter
+ * Serializes reports into MarkupAudit's versioned JSON format.
+ *
+ * {
+ *   "schemaVersion": 1,
+ *   "tool": { "name": "MarkupAudit", "version": "2.0.0" },
+ *   "reports": [ { metadata, overallScore, categories, suppressed } ],
+ *   "site": { ... }   // only for site audits: page scores, aggregated and cross-page issues
+ * }
+ */
+
+import { VERSION } from '../rules.js';
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * @param {object[]} reports
+ * @param {{ site?: object }} [options] Site report from auditSite()
+ * @returns {string}
+ */
+export function formatJson(reports, options = {}) {
+    const output = {
+        schemaVersion: SCHEMA_VERSION,
+        tool: { name: 'MarkupAudit', version: VERSION },
+        reports
+    };
+    if (options.site) {
+        // Page reports are already listed above
+        const { reports: _pages, ...site } = options.site;
+        output.site = site;
+    }
+    return JSON.stringify(output, null, 2);
+}
+
+/**
+ * Serialize a comparison of two reports (see js/compare.js)
+ * @param {object} comparison
+ * @returns {string}
+ */
+export function formatComparisonJson(comparison) {
+    return JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        tool: { name: 'MarkupAudit', version: VERSION },
+        comparison
+    }, null, 2);
+}
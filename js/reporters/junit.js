@@ -0,0 +1,61 @@
+/**
+ * JUnit XML Reporter
+ * One <testsuite> per audited document and one <testcase> per rule, so CI
+ * dashboards can track rules like tests. Critical and Warning issues fail a
+ * testcase; Info issues are reported as output only.
+ */
+
+/**
+ * @param {object[]} reports
+ * @returns {string}
+ */
+export function formatJunit(reports) {
+    let totalTests = 0;
+    let totalFailures = 0;
+
+    const suites = reports.map(report => {
+        const cases = [];
+        let failures = 0;
+
+        report.categories.forEach(category => {
+            (category.rules || []).forEach(ruleId => {
+                const issues = category.issues.filter(issue => issue.ruleId === ruleId);
+                const failing = issues.filter(issue => issue.severity !== 'Info');
+                const attrs = `name="${escapeXml(ruleId)}" classname="${escapeXml(category.name)}"`;
+
+                if (failing.length > 0) {
+                    failures++;
+                    const details = issues.map(describeIssue).join('\n');
+                    cases.push(`    <testcase ${attrs}>\n      <failure message="${escapeXml(failing[0].description)}" type="${failing[0].severity}">${escapeXml(details)}</failure>\n    </testcase>`);
+                } else if (issues.length > 0) {
+                    cases.push(`    <testcase ${attrs}>\n      <system-out>${escapeXml(issues.map(describeIssue).join('\n'))}</system-out>\n    </testcase>`);
+                } else {
+                    cases.push(`    <testcase ${attrs}/>`);
+                }
+            });
+        });
+
+        totalTests += cases.length;
+        totalFailures += failures;
+
+        return `  <testsuite name="${escapeXml(report.metadata.source)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="0" timestamp="${report.metadata.date}">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="MarkupAudit" tests="${totalTests}" failures="${totalFailures}">\n${suites.join('\n')}\n</testsuites>\n`;
+}
+
+function describeIssue(issue) {
+    let text = `[${issue.severity}] ${issue.description}`;
+    if (issue.location) text += ` (Line ${issue.location.start.line}:${issue.location.start.column})`;
+    if (issue.suggestion) text += `\nTip: ${issue.suggestion}`;
+    return text;
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
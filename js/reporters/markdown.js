@@ -0,0 +1,102 @@
+/**
+ * Markdown Reporter
+ * Renders reports in the layout of docs/sample-report.md, ready to paste
+ * into pull request comments. The `collapsed` variant wraps each category
+ * in a <details> block to keep long reports readable.
+ */
+
+/**
+ * @param {object[]} reports
+ * @param {{ collapsed?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatMarkdown(reports, options = {}) {
+    return reports.map(report => renderReport(report, options)).join('\n\n---\n\n');
+}
+
+function renderReport(report, { collapsed = false }) {
+    const lines = [];
+    lines.push('# MarkupAudit Report');
+    lines.push('');
+    lines.push(`**Overall Score:** ${report.overallScore}/100  `);
+    lines.push(`**Source:** ${escapeMarkdown(report.metadata.source)}  `);
+    lines.push(`**Date:** ${report.metadata.date}`);
+    lines.push('');
+
+    lines.push('| Category | Score | Issues |');
+    lines.push('| --- | ---: | ---: |');
+    report.categories.forEach(category => {
+        lines.push(`| ${escapeMarkdown(category.name)} | ${category.score === null ? 'N/A' : category.score} | ${category.issues.length} |`);
+    });
+    lines.push('');
+
+    report.categories.forEach(category => {
+        const title = `${escapeMarkdown(category.name)} (${category.score === null ? 'N/A' : category.score})`;
+        if (collapsed) {
+            const count = category.issues.length;
+            lines.push('<details>');
+            lines.push(`<summary><strong>${title}</strong> — ${count} ${count === 1 ? 'issue' : 'issues'}</summary>`);
+            lines.push('');
+        } else {
+            lines.push(`## ${title}`);
+            lines.push('');
+        }
+
+        if (category.score === null) {
+            lines.push('Nothing to check on this page.');
+        } else if (category.issues.length === 0) {
+            lines.push('No issues found.');
+        } else {
+            category.issues.forEach(issue => lines.push(...renderIssue(issue)));
+        }
+        lines.push('');
+
+        if (collapsed) {
+            lines.push('</details>');
+            lines.push('');
+        }
+    });
+
+    const suppressed = report.suppressed || [];
+    if (suppressed.length > 0) {
+        lines.push(collapsed
+            ? `<details>\n<summary><strong>Suppressed Issues</strong> — ${suppressed.length}</summary>\n`
+            : '## Suppressed Issues\n');
+        suppressed.forEach(issue => {
+            let text = `- \`${issue.ruleId}\` [${issue.severity}] ${escapeMarkdown(issue.description)}`;
+            if (issue.lineNumber) text += ` (Line ${issue.lineNumber})`;
+            lines.push(text);
+        });
+        lines.push('');
+        if (collapsed) lines.push('</details>\n');
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+function renderIssue(issue) {
+    const lines = [];
+    let text = `- **[${issue.severity}]** ${escapeMarkdown(issue.description)}`;
+    if (issue.lineNumber) text += ` (Line ${issue.lineNumber})`;
+    lines.push(text);
+
+    if (issue.context) {
+        const fence = issue.context.includes('```') ? '````' : '```';
+        lines.push(`  ${fence}html`);
+        issue.context.split('\n').forEach(line => lines.push(`  ${line}`));
+        lines.push(`  ${fence}`);
+    }
+    if (issue.suggestion) {
+        lines.push(`  Tip: ${escapeMarkdown(issue.suggestion)}`);
+    }
+    return lines;
+}
+
+// Keep tag names like <main> visible instead of being swallowed as HTML
+function escapeMarkdown(str) {
+    return String(str)
+        .replace(/&(?=#?[a-z0-9]+;)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/([\\`*_|[\]])/g, '\\$1');
+}
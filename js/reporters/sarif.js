@@ -0,0 +1,96 @@
+/**
+ * SARIF Reporter
+ * Produces SARIF 2.1.0 so issues show up as code-scanning annotations.
+ */
+
+import { VERSION } from '../rules.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = { Critical: 'error', Warning: 'warning', Info: 'note' };
+
+/**
+ * @param {object[]} reports
+ * @param {{ registry?: RuleRegistry }} [options] Registry used for rule descriptions
+ * @returns {string}
+ */
+export function formatSarif(reports, options = {}) {
+    const rules = [];
+    const ruleIndex = new Map();
+
+    const describeRule = (issue, categoryName) => {
+        if (ruleIndex.has(issue.ruleId)) return ruleIndex.get(issue.ruleId);
+
+        const rule = options.registry ? options.registry.get(issue.ruleId) : null;
+        const wcag = (rule ? rule.wcag : issue.wcag) || [];
+        const descriptor = {
+            id: issue.ruleId,
+            shortDescription: { text: rule ? rule.description : issue.description },
+            defaultConfiguration: { level: LEVELS[rule ? rule.severity : issue.severity] },
+            properties: {
+                category: categoryName,
+                tags: ['accessibility', ...wcag.map(sc => `WCAG ${sc}`)]
+            }
+        };
+        if (wcag.length > 0) descriptor.helpUri = 'https://www.w3.org/WAI/WCAG21/quickref/';
+
+        ruleIndex.set(issue.ruleId, rules.length);
+        rules.push(descriptor);
+        return ruleIndex.get(issue.ruleId);
+    };
+
+    const toResult = (issue, categoryName, report, suppressed) => {
+        const index = describeRule(issue, categoryName);
+        const region = issue.location
+            ? {
+                startLine: issue.location.start.line,
+                startColumn: issue.location.start.column,
+                endLine: issue.location.end.line,
+                endColumn: issue.location.end.column,
+                snippet: { text: issue.context }
+            }
+            : { startLine: 1 };
+
+        const result = {
+            ruleId: issue.ruleId,
+            ruleIndex: index,
+            level: LEVELS[issue.severity],
+            message: { text: issue.suggestion ? `${issue.description} ${issue.suggestion}` : issue.description },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: toUri(report.metadata.source) },
+                    region
+                }
+            }]
+        };
+        if (suppressed) result.suppressions = [{ kind: 'inSource' }];
+        return result;
+    };
+
+    const results = [];
+    reports.forEach(report => {
+        report.categories.forEach(category => {
+            category.issues.forEach(issue => results.push(toResult(issue, category.name, report, false)));
+        });
+        (report.suppressed || []).forEach(issue => results.push(toResult(issue, issue.category, report, true)));
+    });
+
+    return JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'MarkupAudit',
+                    version: VERSION,
+                    rules
+                }
+            },
+            results
+        }]
+    }, null, 2);
+}
+
+function toUri(source) {
+    return encodeURI(String(source).split('\\').join('/'));
+}
@@ -3,314 +3,230 @@
  * Handles parsing, analysis, and scoring of HTML.
  */
 
+import { RuleRegistry } from './registry.js';
+import { corePack } from './checks/index.js';
+import { normalizeConfig, parseConfig } from './config.js';
+import { parseSuppressions } from './suppressions.js';
+import { SourceLocator } from './locator.js';
+import { prepareSource, closeSelfClosing, restoreTextareas } from './templates.js';
+import { issueSignature, issueTiebreaker, assignFingerprints } from './fingerprint.js';
+import { buildOutline } from './outline.js';
+import { resolveScoring, scoreCategory, scoreOverall } from './scoring.js';
+import { siteRules } from './site.js';
+
+export const VERSION = '2.0.0';
+
 export class AuditEngine {
-    constructor() {
-        this.parser = new DOMParser();
+    /**
+     * @param {object} [options]
+     * @param {{ parseFromString: function(string, string): Document }} [options.parser]
+     *        DOMParser-compatible parser. Defaults to the browser's DOMParser; in Node
+     *        pass one from a DOM implementation such as linkedom or jsdom.
+     * @param {RuleRegistry} [options.registry] Rules to run. Defaults to the core rule pack.
+     * @param {object|string} [options.config] Configuration object or .markupauditrc text
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || new RuleRegistry().use(corePack);
+        this.configure(options.config || {});
+
+        if (options.parser) {
+            this.parser = options.parser;
+        } else if (typeof DOMParser !== 'undefined') {
+            this.parser = new DOMParser();
+        } else {
+            throw new Error("No DOMParser available. Pass a parser from a DOM implementation (e.g. linkedom) via options.parser.");
+        }
     }
 
     /**
      * Run the audit on raw HTML string
      * @param {string} rawHtml 
      * @param {string} sourceName 
+     * @param {object} [options]
+     * @param {string} [options.mode] Input mode from js/templates.js: 'document' (default),
+     *        'fragment', or a template dialect. Fragments skip document-level rules.
      * @returns {object} Structured and Scored Report
      */
-    run(rawHtml, sourceName = 'Raw Input') {
+    run(rawHtml, sourceName = 'Raw Input', options = {}) {
         if (!rawHtml || rawHtml.trim().length === 0) {
             throw new Error("Input is empty.");
         }
 
-        const doc = this.parser.parseFromString(rawHtml, "text/html");
+        // Template syntax is blanked out in place, so positions still match rawHtml
+        const input = prepareSource(rawHtml, options.mode || 'document');
+        const doc = this.parser.parseFromString(input.html, "text/html");
 
-        // Execute Checks
-        const catSemantics = this.checkSemantics(doc, rawHtml);
-        const catAccess = this.checkAccessibility(doc, rawHtml);
-        const catHygiene = this.checkHygiene(doc, rawHtml);
-        const catCompleteness = this.checkCompleteness(doc, rawHtml);
+        const source = new SourceLocator(input.html, doc, { original: rawHtml, templateRanges: input.ranges, components: input.components });
+        if (input.components) {
+            closeSelfClosing(doc, source);
+            restoreTextareas(doc, source, input.textareas);
+        }
 
-        const categories = [catSemantics, catAccess, catHygiene, catCompleteness];
+        // Issues waived by inline directives are listed separately and do not affect scores
+        const suppressions = parseSuppressions(source.tokens, source.lines);
+        const suppressed = [];
 
-        // UI/UX Note: We might want a weighted average, but simple average is fine for v2.
-        const totalScore = categories.reduce((sum, cat) => sum + cat.score, 0);
-        const overallScore = Math.round(totalScore / categories.length);
+        // Execute registered rules, grouped by category
+        const categories = this.registry.getCategories()
+            .map(category => this.runCategory(category, doc, source, suppressions, suppressed, input))
+            .filter(Boolean);
+
+        const { score: overallScore, breakdown } = scoreOverall(categories, this.scoring);
 
         return {
             metadata: {
                 length: rawHtml.length,
                 date: new Date().toISOString().split('T')[0],
-                source: sourceName
+                source: sourceName,
+                mode: input.mode
             },
             overallScore,
-            categories
+            scoreBreakdown: breakdown,
+            categories,
+            suppressed,
+            outline: buildOutline(doc, source)
         };
     }
 
     /**
-     * Helper to create an issue object
+     * Register a third-party rule pack: { categories?: [...], rules: [...] }
+     * @param {object} pack
+     * @returns {AuditEngine}
      */
-    createIssue(severity, description, suggestion, lineNumber = null, context = null) {
-        return { severity, description, suggestion, lineNumber, context };
+    use(pack) {
+        this.registry.use(pack);
+        return this;
     }
 
     /**
-     * Helper to find approximate line number and snippet
+     * Apply a configuration (see js/config.js for the format)
+     * @param {object|string} config Configuration object or JSON text
+     * @returns {AuditEngine}
      */
-    getLineNumber(rawHtml, element) {
-        try {
-            // Heuristic: Search for a unique-ish string from outerHTML
-            // We strip newlines to avoid formatting mismatch
-            let searchStr = "";
-            let tagName = element.tagName.toLowerCase();
-
-            if (element.id) {
-                searchStr = `id="${element.id}"`;
-            } else if (element.className) {
-                searchStr = `class="${element.className}"`;
-            } else if (element.getAttribute('src')) {
-                searchStr = `src="${element.getAttribute('src')}"`;
-            } else {
-                // Fallback to tag name start
-                searchStr = `<${tagName}`;
-            }
-
-            const index = rawHtml.indexOf(searchStr);
-            if (index === -1) return { line: null, snippet: null };
-
-            const linesBefore = rawHtml.substring(0, index).split('\n');
-            const line = linesBefore.length;
-
-            // Get a snippet (the line itself)
-            const snippetLine = rawHtml.split('\n')[line - 1] || "";
-            const snippet = snippetLine.trim().substring(0, 60) + (snippetLine.length > 60 ? "..." : "");
-
-            return { line, snippet };
-        } catch (e) {
-            console.error(e);
-            return { line: null, snippet: null };
+    configure(config) {
+        const normalized = typeof config === 'string' ? parseConfig(config) : normalizeConfig(config);
+        // Cross-page rules (js/site.js) run on site audits only, but take the same settings
+        const unknown = Object.keys(normalized.rules).filter(id => !this.registry.get(id) && !siteRules.some(rule => rule.id === id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown rule id(s) in configuration: ${unknown.join(', ')}.`);
         }
+        const unknownWeights = [
+            ...Object.keys(normalized.scoring.rules || {}).filter(id => !this.registry.get(id)),
+            ...Object.keys(normalized.scoring.categories || {}).filter(id => !this.registry.getCategories().some(c => c.id === id))
+        ];
+        if (unknownWeights.length > 0) {
+            throw new Error(`Unknown rule or category id(s) in scoring configuration: ${unknownWeights.join(', ')}.`);
+        }
+        this.config = normalized;
+        this.scoring = resolveScoring(normalized.scoring);
+        return this;
     }
 
     /**
-     * Helper to calculate score based on issues
-     * Start: 100
-     * Critical: -15
-     * Warning: -5
-     * Min: 0
-     */
-    calculateScore(issues) {
-        let score = 100;
-        issues.forEach(issue => {
-            if (issue.severity === 'Critical') score -= 15;
-            if (issue.severity === 'Warning') score -= 5;
-            // Info does not deduct points
-        });
-        return Math.max(0, score);
-    }
-
-    /**
-     * 1. Semantic Structure Checks
+     * Resolve a rule's effective settings from its defaults and the configuration
+     * @returns {{ enabled: boolean, severity: string, options: object }}
      */
-    checkSemantics(doc, rawHtml) {
-        const issues = [];
-
-        // v1: Check for <main>
-        const main = doc.querySelector('main');
-        if (!main) {
-            issues.push(this.createIssue('Critical', 'Missing <main> landmark.', 'Wrap your primary content in a <main> tag to help screen readers identify the core content.'));
-        } else if (doc.querySelectorAll('main').length > 1) {
-            const extra = doc.querySelectorAll('main')[1];
-            const loc = this.getLineNumber(rawHtml, extra);
-            issues.push(this.createIssue('Warning', 'Multiple <main> landmarks found.', 'Ensure only one <main> element exists per page, or use the "hidden" attribute on others.', loc.line, loc.snippet));
-        }
-
-        // v1: Check for <h1>
-        const h1s = doc.querySelectorAll('h1');
-        if (h1s.length === 0) {
-            issues.push(this.createIssue('Critical', 'Missing <h1> heading.', 'Add a single <h1> heading to describe the page topic.'));
-        } else if (h1s.length > 1) {
-            const loc = this.getLineNumber(rawHtml, h1s[1]);
-            issues.push(this.createIssue('Warning', 'Multiple <h1> tags found.', 'Use only one <h1> per page for the main title, and use <h2>-<h6> for subsections.', loc.line, loc.snippet));
-        }
-
-        // v1: Check landmarks
-        const landmarks = ['header', 'nav', 'footer', 'section', 'article', 'aside'];
-        const foundLandmarks = landmarks.filter(l => doc.querySelector(l));
-        if (foundLandmarks.length === 0) {
-            issues.push(this.createIssue('Warning', 'No semantic landmarks (<header>, <nav>, etc.) found.', 'Replace generic <div> wrappers with semantic tags like <header>, <nav>, or <footer> where appropriate.'));
-        }
-
-        // v2: Check Duplicate IDs
-        const allElements = doc.querySelectorAll('*[id]');
-        const ids = new Set();
-        allElements.forEach(el => {
-            if (ids.has(el.id)) {
-                const loc = this.getLineNumber(rawHtml, el);
-                issues.push(this.createIssue('Critical', `Duplicate ID found: "${el.id}".`, `Rename the ID "${el.id}" to be unique on the page. IDs must not be repeated.`, loc.line, loc.snippet));
-            }
-            ids.add(el.id);
-        });
-
-        // v2: Check ARIA Landmark Roles
-        const divMain = doc.querySelector('div[role="main"]');
-        if (divMain) {
-            const loc = this.getLineNumber(rawHtml, divMain);
-            issues.push(this.createIssue('Info', 'Found <div role="main">.', 'Replace <div role="main"> with the native <main> element for better standard compliance.', loc.line, loc.snippet));
-        }
-
+    getRuleSettings(rule) {
+        const setting = this.config.rules[rule.id] || {};
         return {
-            name: "Semantic Structure",
-            issues,
-            score: this.calculateScore(issues)
+            enabled: setting.enabled !== false,
+            severity: setting.severity || rule.severity,
+            options: { ...rule.options, ...setting.options }
         };
     }
 
     /**
-     * 2. Accessibility Basics
+     * Run every rule of one category and score the result.
+     * Suppressed issues are moved into the `suppressed` array.
+     * @param {object} [input] Prepared input ({ mode, fragment, components }); fragments
+     *        skip rules with scope: 'document'
+     * @returns {object|null} Category result, or null if the category has no rules to run.
+     *          Categories whose applies(doc) is false get applicable: false and a null score.
      */
-    checkAccessibility(doc, rawHtml) {
-        const issues = [];
+    runCategory(category, doc, source, suppressions, suppressed, input = { mode: 'document', fragment: false, components: false }) {
+        const rules = this.registry.getRules(category.id).filter(rule => !(input.fragment && rule.scope === 'document'));
+        if (rules.length === 0) return null;
 
-        // v1: Images missing alt
-        const images = doc.querySelectorAll('img');
-        let imagesWithoutAlt = 0;
-        images.forEach(img => {
-            if (!img.hasAttribute('alt')) {
-                imagesWithoutAlt++;
-                const src = img.getAttribute('src') || 'unknown';
-                const loc = this.getLineNumber(rawHtml, img);
-                issues.push(this.createIssue('Critical', `Image missing 'alt' attribute (src="${src}").`, `Add alt="..." describing the image content (e.g., alt="Company Logo").`, loc.line, loc.snippet));
+        const issues = [];
+        const ran = [];
+        rules.forEach(rule => {
+            const settings = this.getRuleSettings(rule);
+            if (!settings.enabled) return;
+            ran.push(rule.id);
+
+            // Issues point at an element, or at a source range ({ start, end } offsets) for markup without one
+            const report = ({ message, suggestion = null, element = null, range = null, severity = settings.severity, fix = null }) => {
+                const loc = element ? source.locate(element) : range ? source.locateRange(range.start, range.end) : null;
+                const issue = this.createIssue(severity, message, suggestion, loc, rule);
+                // Optional machine fix, see js/fixer.js
+                if (fix) issue.fix = fix;
+                issue.signature = issueSignature(rule.id, element, message);
+                issue.tiebreaker = issueTiebreaker(element);
+                issues.push(issue);
+            };
+
+            // Effective settings of another rule, for rules that defer to it (null if it is not registered)
+            const ruleSettings = id => (this.registry.get(id) ? this.getRuleSettings(this.registry.get(id)) : null);
+
+            try {
+                rule.check({ doc, rawHtml: source.rawHtml, source, report, options: settings.options, input, ruleSettings });
+            } catch (e) {
+                console.error(`Rule "${rule.id}" failed:`, e);
             }
         });
 
-        // v1: Inputs missing labels
-        const inputs = doc.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"])');
-        inputs.forEach(input => {
-            let hasLabel = false;
-            if (input.getAttribute('aria-label') || input.getAttribute('aria-labelledby')) hasLabel = true;
-            if (!hasLabel && input.id && doc.querySelector(`label[for="${input.id}"]`)) hasLabel = true;
-            if (!hasLabel && input.closest('label')) hasLabel = true;
+        assignFingerprints(issues);
 
-            if (!hasLabel) {
-                const loc = this.getLineNumber(rawHtml, input);
-                issues.push(this.createIssue('Critical', `Input missing associated <label> or aria-label.`, `Link a <label for="id"> to this input, or add an aria-label attribute.`, loc.line, loc.snippet));
+        const active = [];
+        issues.forEach(issue => {
+            if (suppressions.isSuppressed(issue)) {
+                suppressed.push({ ...issue, category: category.name });
+            } else {
+                active.push(issue);
             }
         });
 
-        // v1: HTML Lang
-        const html = doc.querySelector('html');
-        if (!html || !html.hasAttribute('lang') || !html.getAttribute('lang').trim()) {
-            issues.push(this.createIssue('Critical', '<html> element missing "lang" attribute (e.g., lang="en").', 'Add lang="en" (or your language code) to the <html> tag.'));
+        // A category with nothing to check has no score rather than a perfect one
+        const applicable = issues.length > 0 || typeof category.applies !== 'function' || category.applies(doc);
+        if (!applicable) {
+            return { id: category.id, name: category.name, rules: ran, issues: [], applicable: false, score: null, deducted: 0, deductions: [] };
         }
 
-        // v1: Empty Buttons
-        const buttons = doc.querySelectorAll('button');
-        buttons.forEach(btn => {
-            const text = btn.innerText.trim();
-            const aria = btn.getAttribute('aria-label') || btn.getAttribute('aria-labelledby');
-            if (!text && !aria) {
-                const loc = this.getLineNumber(rawHtml, btn);
-                issues.push(this.createIssue('Critical', `Button has no text content or aria-label.`, `Add text content inside the button or use aria-label="..." to describe its action.`, loc.line, loc.snippet));
-            }
-        });
-
+        const { score, deducted, deductions } = scoreCategory(active, this.scoring);
         return {
-            name: "Accessibility Basics",
-            issues,
-            score: this.calculateScore(issues)
+            id: category.id,
+            name: category.name,
+            rules: ran,
+            issues: active,
+            applicable: true,
+            score,
+            deducted,
+            deductions
         };
     }
 
     /**
-     * 3. UI & Markup Hygiene
+     * Helper to create an issue object
+     * @param {object|null} loc Source location from SourceLocator.locate()
      */
-    checkHygiene(doc, rawHtml) {
-        const issues = [];
-
-        // v1: Inline styles
-        const elementsWithStyle = doc.querySelectorAll('[style]');
-        if (elementsWithStyle.length > 0) {
-            // Just show first 3 as examples to avoid spam
-            for (let i = 0; i < Math.min(elementsWithStyle.length, 3); i++) {
-                const el = elementsWithStyle[i];
-                const loc = this.getLineNumber(rawHtml, el);
-                issues.push(this.createIssue('Warning', `Inline style used on <${el.tagName.toLowerCase()}>.`, 'Move CSS to an external stylesheet or <style> block using classes.', loc.line, loc.snippet));
-            }
-            if (elementsWithStyle.length > 3) {
-                issues.push(this.createIssue('Warning', `...and ${elementsWithStyle.length - 3} more elements with inline styles.`, 'Refactor styles into CSS classes to improve maintainability.'));
-            }
-        }
-
-        // v1: Deep nesting (Limit raised to 8 for v2)
-        let maxDepth = 0;
-        const checkDepth = (node, depth) => {
-            if (depth > maxDepth) maxDepth = depth;
-            for (let i = 0; i < node.children.length; i++) {
-                checkDepth(node.children[i], depth + 1);
-            }
-        };
-        if (doc.body) checkDepth(doc.body, 0);
-
-        if (maxDepth > 8) {
-            issues.push(this.createIssue('Warning', `Excessive DOM nesting detected (Depth: ${maxDepth}).`, 'Flatten your HTML structure. Remove unnecessary wrapper divs.'));
-        }
-
-        // v2: Div Soup Check
-        const divs = doc.querySelectorAll('div');
-        let divSoupCount = 0;
-        divs.forEach(div => {
-            if (div.children.length === 1 && div.children[0].tagName === 'DIV') {
-                divSoupCount++;
-                if (divSoupCount <= 3) {
-                    const loc = this.getLineNumber(rawHtml, div);
-                    issues.push(this.createIssue('Info', 'Potential "Div Soup" (nested container).', 'Remove this wrapper if it serves no styling or layout purpose.', loc.line, loc.snippet));
-                }
-            }
-        });
-
+    createIssue(severity, description, suggestion, loc = null, rule = null) {
         return {
-            name: "UI & Markup Hygiene",
-            issues,
-            score: this.calculateScore(issues)
+            ruleId: rule ? rule.id : null,
+            wcag: rule ? rule.wcag : [],
+            severity,
+            description,
+            suggestion,
+            lineNumber: loc ? loc.start.line : null,
+            context: loc ? loc.snippet : null,
+            location: loc ? { start: loc.start, end: loc.end } : null
         };
     }
 
     /**
-     * 4. Document Completeness
+     * Score a list of issues with the configured scoring model (see js/scoring.js)
+     * @returns {number} 0-100
      */
-    checkCompleteness(doc, rawHtml) {
-        const issues = [];
-
-        // v1: Title
-        if (!doc.querySelector('title') || !doc.querySelector('title').innerText.trim()) {
-            issues.push(this.createIssue('Critical', 'Missing or empty <title> tag.', 'Add a descriptive <title> in the <head> section.'));
-        }
-
-        // v1: Viewport
-        const viewport = doc.querySelector('meta[name="viewport"]');
-        if (!viewport) {
-            issues.push(this.createIssue('Critical', 'Missing <meta name="viewport"> tag.', 'Add <meta name="viewport" content="width=device-width, initial-scale=1.0"> for mobile responsiveness.'));
-        }
-
-        // v2: Social / OpenGraph Tags
-        const ogTitle = doc.querySelector('meta[property="og:title"]');
-        const ogImage = doc.querySelector('meta[property="og:image"]');
-        if (!ogTitle || !ogImage) {
-            issues.push(this.createIssue('Info', 'Missing Open Graph meta tags (og:title, og:image).', 'Add <meta property="og:title" ...> and og:image to improve social sharing previews.'));
-        }
-
-        // v1: Deprecated tags
-        const deprecated = ['font', 'center', 'strike', 'marquee', 'blink'];
-        deprecated.forEach(tag => {
-            const found = doc.querySelectorAll(tag);
-            if (found.length > 0) {
-                const loc = this.getLineNumber(rawHtml, found[0]);
-                issues.push(this.createIssue('Warning', `Deprecated HTML tag <${tag}> found.`, `Remove <${tag}> and use modern CSS property instead.`, loc.line, loc.snippet));
-            }
-        });
-
-        return {
-            name: "Document Completeness",
-            issues,
-            score: this.calculateScore(issues)
-        };
+    calculateScore(issues) {
+        return scoreCategory(issues, this.scoring).score;
     }
 }
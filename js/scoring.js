@@ -0,0 +1,93 @@
+/**
+ * MarkupAudit Scoring
+ * Turns issues into category and overall scores, and records which rules
+ * cost how many points.
+ *
+ * An issue deducts its severity's points times its rule's weight. Further
+ * instances of the same rule cost `decay` times the previous one, so a
+ * pattern repeated thirty times does not weigh as much as thirty different
+ * problems. The overall score is the weighted average of the category scores.
+ */
+
+export const DEFAULT_SCORING = {
+    severities: { Critical: 15, Warning: 5, Info: 0 },
+    decay: 0.75,
+    categories: {},
+    rules: {}
+};
+
+/**
+ * Merge a (normalized) `scoring` configuration over the defaults
+ * @param {object} [config]
+ * @returns {{ severities: object, decay: number, categories: object, rules: object }}
+ */
+export function resolveScoring(config = {}) {
+    return {
+        severities: { ...DEFAULT_SCORING.severities, ...config.severities },
+        decay: config.decay !== undefined ? config.decay : DEFAULT_SCORING.decay,
+        categories: { ...DEFAULT_SCORING.categories, ...config.categories },
+        rules: { ...DEFAULT_SCORING.rules, ...config.rules }
+    };
+}
+
+/**
+ * Score one category's issues. Sets `points` on every issue.
+ * @param {object[]} issues
+ * @param {object} scoring Resolved scoring settings
+ * @returns {{ score: number, deducted: number, deductions: { ruleId: string, weight: number, count: number, points: number }[] }}
+ */
+export function scoreCategory(issues, scoring) {
+    const byRule = new Map();
+    issues.forEach(issue => {
+        const key = issue.ruleId || issue.description;
+        const base = scoring.severities[issue.severity] || 0;
+        if (!byRule.has(key)) {
+            byRule.set(key, { ruleId: key, weight: weightOf(scoring.rules, key), count: 0, points: 0 });
+        }
+        const entry = byRule.get(key);
+        if (base === 0 || entry.weight === 0) {
+            issue.points = 0;
+            return;
+        }
+        issue.points = round(base * entry.weight * scoring.decay ** entry.count);
+        entry.count++;
+        entry.points = round(entry.points + issue.points);
+    });
+
+    const deductions = [...byRule.values()]
+        .filter(entry => entry.points > 0)
+        .sort((a, b) => b.points - a.points);
+    const deducted = round(deductions.reduce((sum, entry) => sum + entry.points, 0));
+    return { score: Math.max(0, Math.round(100 - deducted)), deducted, deductions };
+}
+
+/**
+ * Weighted average of category scores. Categories that do not apply are left out.
+ * @param {{ id: string, name: string, score: number|null, applicable?: boolean }[]} categories
+ * @param {object} scoring Resolved scoring settings
+ * @returns {{ score: number, breakdown: { id: string, name: string, weight: number, score: number, contribution: number }[] }}
+ */
+export function scoreOverall(categories, scoring) {
+    const weighted = categories.filter(category => category.applicable !== false).map(category => ({
+        id: category.id,
+        name: category.name,
+        weight: weightOf(scoring.categories, category.id),
+        score: category.score
+    }));
+    const totalWeight = weighted.reduce((sum, c) => sum + c.weight, 0);
+    if (totalWeight === 0) {
+        return { score: 100, breakdown: weighted.map(c => ({ ...c, contribution: 0 })) };
+    }
+
+    const breakdown = weighted.map(c => ({ ...c, contribution: round(c.score * c.weight / totalWeight) }));
+    const score = Math.round(weighted.reduce((sum, c) => sum + c.score * c.weight, 0) / totalWeight);
+    return { score, breakdown };
+}
+
+function weightOf(weights, id) {
+    return weights[id] !== undefined ? weights[id] : 1;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
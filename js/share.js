@@ -0,0 +1,114 @@
+/**
+ * MarkupAudit Share Links
+ * Packs a report into a URL fragment (#report=...) that the web app can
+ * open again without a server: JSON, deflate-compressed with
+ * CompressionStream, then base64url-encoded.
+ *
+ * Fragments never reach the server, so the report stays between the people
+ * who have the link.
+ */
+
+import { SEVERITIES } from './registry.js';
+
+export const SHARE_PARAM = 'report';
+const SHARE_VERSION = 'v1';
+
+// A shared report is untrusted input: these fields are rendered as numbers, so they must be numbers
+const NUMERIC_FIELDS = ['overallScore', 'score', 'lineNumber', 'line', 'column', 'offset', 'length', 'points', 'deducted', 'count', 'weight', 'contribution', 'level'];
+
+/**
+ * Encode a report for a URL fragment
+ * @param {object} report
+ * @returns {Promise<string>} e.g. "v1.eJyrVk..."
+ */
+export async function encodeReport(report) {
+    const json = JSON.stringify(slimReport(report));
+    const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    return `${SHARE_VERSION}.${toBase64Url(compressed)}`;
+}
+
+/**
+ * Decode a value produced by encodeReport()
+ * @param {string} encoded
+ * @returns {Promise<object>} Report
+ */
+export async function decodeReport(encoded) {
+    const [version, data] = encoded.split('.');
+    if (version !== SHARE_VERSION || !data) {
+        throw new Error('This share link is not a MarkupAudit report, or comes from a newer version.');
+    }
+
+    let report;
+    try {
+        const json = await transform(fromBase64Url(data), new DecompressionStream('deflate-raw'));
+        report = JSON.parse(new TextDecoder().decode(json), (key, value) => (
+            NUMERIC_FIELDS.includes(key) && value !== null && typeof value !== 'number' ? Number(value) || 0 : value
+        ));
+    } catch (e) {
+        throw new Error('This share link is damaged or incomplete.');
+    }
+    if (!report || !report.metadata || !Array.isArray(report.categories)) {
+        throw new Error('This share link does not contain a report.');
+    }
+    // Severities become class names and labels, so only the known ones are accepted
+    const issues = [...report.categories.flatMap(category => category.issues || []), ...(report.suppressed || [])];
+    if (issues.some(issue => !issue || !SEVERITIES.includes(issue.severity))) {
+        throw new Error('This share link contains an issue with an unknown severity.');
+    }
+    return report;
+}
+
+/**
+ * Full share URL for a report
+ * @param {object} report
+ * @param {string} baseUrl Page URL; any existing fragment is replaced
+ * @returns {Promise<string>}
+ */
+export async function createShareUrl(report, baseUrl) {
+    return `${baseUrl.split('#')[0]}#${SHARE_PARAM}=${await encodeReport(report)}`;
+}
+
+/**
+ * Encoded report in a location hash, if there is one
+ * @param {string} hash e.g. window.location.hash
+ * @returns {string|null}
+ */
+export function readShareFragment(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.get(SHARE_PARAM);
+}
+
+/**
+ * Drop what a reader of a shared report does not need: fixes carry source
+ * edits, signatures duplicate fingerprints
+ * @param {object} report
+ * @returns {object}
+ */
+export function slimReport(report) {
+    const slimIssue = ({ fix, signature, tiebreaker, ...issue }) => (fix ? { ...issue, fixable: true } : issue);
+    return {
+        ...report,
+        categories: report.categories.map(category => ({ ...category, issues: category.issues.map(slimIssue) })),
+        suppressed: (report.suppressed || []).map(slimIssue)
+    };
+}
+
+async function transform(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    // Chunked to stay below the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
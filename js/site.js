@@ -0,0 +1,179 @@
+/**
+ * MarkupAudit Site Reports
+ * Audits every page of a crawled site, aggregates issues across pages and
+ * runs cross-page rules such as duplicate titles.
+ */
+
+import { tokenize } from './tokenizer.js';
+
+const WORST_PAGE_COUNT = 5;
+
+/**
+ * Cross-page rules. Each receives the crawled pages (with their reports)
+ * and the crawl's missing pages, and calls report({ message, suggestion, pages }).
+ * They are configured like page rules ({ "rules": { "site-duplicate-title": "off" } }).
+ */
+export const siteRules = [
+    {
+        id: 'site-duplicate-title',
+        severity: 'Warning',
+        wcag: ['2.4.2'],
+        description: 'Each page should have a unique <title>.',
+        check({ pages, report }) {
+            groupDuplicates(pages, page => readTitle(page.html)).forEach(([title, group]) => {
+                report({
+                    message: `${group.length} pages share the title "${title}".`,
+                    suggestion: 'Give every page a title that describes its own content.',
+                    pages: group.map(page => page.key)
+                });
+            });
+        }
+    },
+    {
+        id: 'site-duplicate-description',
+        severity: 'Info',
+        description: 'Each page should have a unique meta description.',
+        check({ pages, report }) {
+            groupDuplicates(pages, page => readMetaDescription(page.html)).forEach(([description, group]) => {
+                report({
+                    message: `${group.length} pages share the meta description "${description.slice(0, 60)}${description.length > 60 ? '...' : ''}".`,
+                    suggestion: 'Write a meta description specific to each page.',
+                    pages: group.map(page => page.key)
+                });
+            });
+        }
+    },
+    {
+        id: 'site-broken-link',
+        severity: 'Warning',
+        description: 'Internal links must point at existing pages.',
+        check({ missing, report }) {
+            missing.filter(page => page.from.length > 0).forEach(page => {
+                report({
+                    message: `Broken internal link to "${page.key}".`,
+                    suggestion: 'Fix or remove links to pages that do not exist.',
+                    pages: page.from
+                });
+            });
+        }
+    }
+];
+
+/**
+ * Audit crawled pages and build a site-level report
+ * @param {{ key: string, html: string }[]} pages Output of crawlSite()
+ * @param {AuditEngine} engine
+ * @param {{ source?: string, missing?: object[] }} [options]
+ * @returns {object} Site report
+ */
+export function auditSite(pages, engine, options = {}) {
+    const reports = [];
+    const failures = [];
+    const audited = [];
+
+    pages.forEach(page => {
+        try {
+            const report = engine.run(page.html, page.key);
+            reports.push(report);
+            audited.push({ ...page, report });
+        } catch (err) {
+            failures.push({ file: page.key, message: err.message });
+        }
+    });
+
+    const siteIssues = [];
+    siteRules.forEach(rule => {
+        const settings = engine.getRuleSettings(rule);
+        if (!settings.enabled) return;
+        rule.check({
+            pages: audited,
+            missing: options.missing || [],
+            report: ({ message, suggestion = null, pages: affected }) => {
+                siteIssues.push({ ruleId: rule.id, wcag: rule.wcag || [], severity: settings.severity, description: message, suggestion, pages: affected });
+            }
+        });
+    });
+
+    const pageSummaries = reports.map(report => ({
+        source: report.metadata.source,
+        overallScore: report.overallScore,
+        categories: report.categories.map(category => ({ name: category.name, score: category.score })),
+        issues: report.categories.reduce((sum, category) => sum + category.issues.length, 0)
+    }));
+
+    const overallScore = reports.length
+        ? Math.round(reports.reduce((sum, report) => sum + report.overallScore, 0) / reports.length)
+        : 0;
+
+    return {
+        metadata: {
+            source: options.source || 'Site',
+            date: new Date().toISOString().split('T')[0],
+            pages: reports.length
+        },
+        overallScore,
+        pages: pageSummaries,
+        worstPages: [...pageSummaries].sort((a, b) => a.overallScore - b.overallScore).slice(0, WORST_PAGE_COUNT),
+        aggregated: aggregateIssues(reports, engine.registry),
+        siteIssues,
+        failures,
+        reports
+    };
+}
+
+/**
+ * Group issues by rule across pages, e.g. "html-lang on 42 of 50 pages"
+ */
+function aggregateIssues(reports, registry) {
+    const byRule = new Map();
+    reports.forEach(report => {
+        report.categories.forEach(category => {
+            category.issues.forEach(issue => {
+                if (!byRule.has(issue.ruleId)) {
+                    const rule = registry ? registry.get(issue.ruleId) : null;
+                    byRule.set(issue.ruleId, {
+                        ruleId: issue.ruleId,
+                        category: category.name,
+                        severity: issue.severity,
+                        description: rule ? rule.description : issue.description,
+                        pages: new Set(),
+                        occurrences: 0
+                    });
+                }
+                const entry = byRule.get(issue.ruleId);
+                entry.pages.add(report.metadata.source);
+                entry.occurrences++;
+            });
+        });
+    });
+
+    const severityOrder = { Critical: 0, Warning: 1, Info: 2 };
+    return [...byRule.values()]
+        .map(entry => ({ ...entry, pages: entry.pages.size, totalPages: reports.length }))
+        .sort((a, b) => b.pages - a.pages || severityOrder[a.severity] - severityOrder[b.severity]);
+}
+
+function groupDuplicates(pages, keyFn) {
+    const groups = new Map();
+    pages.forEach(page => {
+        const key = keyFn(page);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(page);
+    });
+    return [...groups.entries()].filter(([, group]) => group.length > 1);
+}
+
+function readTitle(html) {
+    const tokens = tokenize(html);
+    const index = tokens.findIndex(token => token.type === 'startTag' && token.name === 'title');
+    if (index === -1 || !tokens[index + 1] || tokens[index + 1].type !== 'text') return null;
+    return html.slice(tokens[index + 1].start, tokens[index + 1].end).replace(/\s+/g, ' ').trim() || null;
+}
+
+function readMetaDescription(html) {
+    const meta = tokenize(html).find(token => token.type === 'startTag' && token.name === 'meta'
+        && token.attrs.some(attr => attr.name === 'name' && attr.value.toLowerCase() === 'description'));
+    const content = meta && meta.attrs.find(attr => attr.name === 'content');
+    return content ? content.value.trim() || null : null;
+}
@@ -0,0 +1,87 @@
+/**
+ * MarkupAudit Inline Suppressions
+ * Parses directive comments in the audited HTML:
+ *
+ *   <!-- markupaudit-disable-next-line img-alt -->
+ *   <!-- markupaudit-disable duplicate-id, inline-style -->
+ *   ...
+ *   <!-- markupaudit-enable -->
+ *
+ * Omitting the rule list applies the directive to every rule.
+ */
+
+const DIRECTIVE_PATTERN = /^\s*markupaudit-(disable-next-line|disable|enable)\b([\s\S]*)$/;
+
+/**
+ * Parse suppression directives out of the document's comments
+ * @param {object[]} tokens Output of tokenize()
+ * @param {LineIndex} lines Line index of the same source
+ * @returns {Suppressions}
+ */
+export function parseSuppressions(tokens, lines) {
+    const nextLine = [];
+    const ranges = [];
+    const open = [];
+
+    tokens.forEach(token => {
+        if (token.type !== 'comment') return;
+        const match = DIRECTIVE_PATTERN.exec(token.data);
+        if (!match) return;
+
+        const [, kind, ruleList] = match;
+        const rules = parseRuleList(ruleList);
+        const startLine = lines.position(token.start).line;
+        const endLine = lines.position(token.end).line;
+
+        if (kind === 'disable-next-line') {
+            nextLine.push({ line: endLine + 1, rules });
+        } else if (kind === 'disable') {
+            open.push({ start: endLine, end: Infinity, rules });
+        } else {
+            // enable: close every open range it covers
+            for (let i = open.length - 1; i >= 0; i--) {
+                const range = open[i];
+                const closes = rules === null || (range.rules !== null && range.rules.every(r => rules.includes(r)));
+                if (closes) {
+                    range.end = startLine;
+                    ranges.push(range);
+                    open.splice(i, 1);
+                }
+            }
+        }
+    });
+    ranges.push(...open);
+
+    return new Suppressions(nextLine, ranges);
+}
+
+function parseRuleList(text) {
+    const rules = text.split(/[\s,]+/).map(r => r.trim()).filter(Boolean);
+    return rules.length > 0 ? rules : null;
+}
+
+export class Suppressions {
+    constructor(nextLine, ranges) {
+        this.nextLine = nextLine;
+        this.ranges = ranges;
+    }
+
+    /**
+     * Whether an issue is waived by a directive.
+     * Issues without a line (document-level) are only waived by a
+     * "disable" that is never re-enabled.
+     * @param {object} issue
+     * @returns {boolean}
+     */
+    isSuppressed(issue) {
+        const applies = rules => rules === null || rules.includes(issue.ruleId);
+        const line = issue.lineNumber;
+
+        if (line === null || line === undefined) {
+            return this.ranges.some(range => range.end === Infinity && applies(range.rules));
+        }
+
+        return this.nextLine.some(entry => entry.line === line && applies(entry.rules))
+            || this.ranges.some(range => line > range.start && line < range.end && applies(range.rules));
+    }
+}
@@ -0,0 +1,583 @@
+/**
+ * MarkupAudit Template Modes
+ * Prepares partials and framework templates (JSX, Vue, Svelte, Handlebars,
+ * Nunjucks) for auditing as HTML. Template syntax is overwritten with spaces,
+ * keeping line breaks, so every offset, line and column in the prepared
+ * markup still points at the same place in the original source.
+ *
+ * Output expressions ({{ name }}, {name}) keep their inner text as a stand-in
+ * for the value they render, so <h1>{{ title }}</h1> is not an empty heading.
+ * Control syntax ({{#if}}, {% for %}, {#each}) is removed. Bound attribute
+ * values (alt={label}, :alt="label") become ordinary quoted values.
+ */
+
+import { VOID_ELEMENTS } from './tokenizer.js';
+
+export const INPUT_MODES = [
+    { id: 'document', name: 'Full document' },
+    { id: 'fragment', name: 'HTML fragment' },
+    { id: 'jsx', name: 'JSX / TSX' },
+    { id: 'vue', name: 'Vue template' },
+    { id: 'svelte', name: 'Svelte' },
+    { id: 'handlebars', name: 'Handlebars / Nunjucks' }
+];
+
+const EXTENSIONS = {
+    jsx: 'jsx', tsx: 'jsx', vue: 'vue', svelte: 'svelte',
+    hbs: 'handlebars', handlebars: 'handlebars', mustache: 'handlebars', njk: 'handlebars', nunjucks: 'handlebars'
+};
+
+// Elements whose content is not markup
+const RAW_TEXT = ['script', 'style', 'textarea', 'title'];
+
+/**
+ * Input mode for a file name, from its extension
+ * @param {string} file
+ * @returns {string} 'document' for anything that is not a known template type
+ */
+export function modeForFile(file) {
+    const match = /\.([a-z]+)$/i.exec(file);
+    return (match && EXTENSIONS[match[1].toLowerCase()]) || 'document';
+}
+
+/**
+ * Turn input in the given mode into auditable HTML
+ * @param {string} text
+ * @param {string} [mode] One of INPUT_MODES
+ * @returns {{ html: string, mode: string, fragment: boolean, components: boolean, ranges: { start: number, end: number }[], textareas: number[] }}
+ *          html has the same length and line breaks as text. fragment is true for
+ *          input without an <html> element, which skips document-level rules;
+ *          components allows self-closing syntax on any element; ranges are the
+ *          spans of template syntax, in source order; textareas are the offsets
+ *          of self-closing <textarea /> tags, prepared as <input>.
+ */
+export function prepareSource(text, mode = 'document') {
+    if (!INPUT_MODES.some(entry => entry.id === mode)) {
+        throw new Error(`Unknown input mode "${mode}". Use one of: ${INPUT_MODES.map(entry => entry.id).join(', ')}.`);
+    }
+    if (mode === 'document' || mode === 'fragment') {
+        return { html: text, mode, fragment: mode === 'fragment', components: false, ranges: [], textareas: [] };
+    }
+
+    const dialect = DIALECTS[mode];
+    const scanner = new Scanner(text, dialect);
+    if (dialect.code) {
+        scanner.code(0, text.length);
+    } else {
+        scanner.markup(0, text.length);
+    }
+    const html = scanner.out.join('');
+
+    // Template files are usually partials; a layout with its own <html> is audited as a document
+    return {
+        html,
+        mode,
+        fragment: !/<(html|!doctype)[\s>]/i.test(html),
+        components: Boolean(dialect.components),
+        ranges: scanner.ranges.sort((a, b) => a.start - b.start),
+        textareas: scanner.textareas
+    };
+}
+
+/**
+ * DOMParser ignores self-closing syntax and nests the following markup inside
+ * <Card />; move it back out, after the element
+ * @param {Document} doc Parsed from components markup
+ * @param {SourceLocator} source
+ */
+export function closeSelfClosing(doc, source) {
+    const starts = new Set(source.tokens
+        .filter(token => token.type === 'startTag' && token.selfClosing && !VOID_ELEMENTS.has(token.name))
+        .map(token => token.start));
+    if (starts.size === 0) return;
+
+    // Innermost first, so nested self-closing elements end up as siblings
+    [...doc.querySelectorAll('*')].reverse().forEach(el => {
+        const record = source.recordFor(el);
+        if (record && starts.has(record.start) && el.childNodes.length > 0) el.after(...el.childNodes);
+    });
+}
+
+/**
+ * Turn the <input> stand-ins for self-closing <textarea /> back into empty
+ * textareas, so they are checked by the textarea rules
+ * @param {Document} doc
+ * @param {SourceLocator} source
+ * @param {number[]} starts Offsets from prepareSource()
+ */
+export function restoreTextareas(doc, source, starts) {
+    if (starts.length === 0) return;
+    const wanted = new Set(starts);
+    [...doc.querySelectorAll('input')].forEach(input => {
+        const record = source.recordFor(input);
+        if (!record || !wanted.has(record.start)) return;
+        const textarea = doc.createElement('textarea');
+        [...input.attributes].forEach(attr => textarea.setAttribute(attr.name, attr.value));
+        input.replaceWith(textarea);
+        source.replaceElement(input, textarea);
+    });
+}
+
+// --- Dialects ---
+// expression(text, i) recognises template syntax starting at a "{" and returns
+// { end, inner } where inner is the [start, end) range of an output expression
+// to keep, or null for control syntax to remove.
+
+const DIALECTS = {
+    handlebars: {
+        expression: handlebarsExpression
+    },
+    vue: {
+        expression(text, i) {
+            if (!text.startsWith('{{', i)) return null;
+            const close = text.indexOf('}}', i + 2);
+            return close === -1 ? null : { end: close + 2, inner: [i + 2, close] };
+        },
+        components: true,
+        // <template v-if> and <template #slot> only group content; script and style blocks are not markup
+        unwrap: ['template'],
+        drop: ['script', 'style'],
+        attribute: vueAttribute
+    },
+    svelte: {
+        expression: braceExpression,
+        components: true,
+        braceValues: true
+    },
+    jsx: {
+        expression: braceExpression,
+        components: true,
+        braceValues: true,
+        code: true,
+        attribute: jsxAttribute
+    }
+};
+
+function handlebarsExpression(text, i) {
+    // Nunjucks {% tag %} and {# comment #}
+    if (text.startsWith('{%', i) || text.startsWith('{#', i)) {
+        const close = text.indexOf(text[i + 1] + '}', i + 2);
+        return close === -1 ? null : { end: close + 2, inner: null };
+    }
+    if (!text.startsWith('{{', i)) return null;
+    if (text.startsWith('{{!--', i)) {
+        const close = text.indexOf('--}}', i + 5);
+        return close === -1 ? null : { end: close + 4, inner: null };
+    }
+    const open = text.startsWith('{{{', i) ? 3 : 2;
+    const close = text.indexOf('}'.repeat(open), i + open);
+    if (close === -1) return null;
+
+    // Whitespace control: {{- name -}}, {{~ name ~}}
+    let start = i + open;
+    let end = close;
+    if (/[-~]/.test(text[start])) start++;
+    if (end > start && /[-~]/.test(text[end - 1])) end--;
+    const body = text.slice(start, end).trim();
+    // Blocks, else, comments, partials and raw blocks render no text of their own
+    const control = /^[#/!>^&*]/.test(body) || /^else\b/.test(body);
+    return { end: close + open, inner: control || !body ? null : [start, end] };
+}
+
+// Svelte and JSX: a balanced {...}; Svelte blocks ({#if}, {:else}, {/if}, {@html}) and spreads are control syntax
+function braceExpression(text, i) {
+    const end = matchBrace(text, i);
+    if (end === -1) return null;
+    const body = text.slice(i + 1, end - 1).trim();
+    const control = !body || /^([#:/@]|\.\.\.)/.test(body) || /^\/\*[\s\S]*\*\/$/.test(body);
+    return { end, inner: control ? null : [i + 1, end - 1] };
+}
+
+// :alt="label" and v-bind:alt="label" bind alt; :class and :style merge with a static class or style
+function vueAttribute(scanner, attr, attrs) {
+    const name = scanner.text.slice(attr.nameStart, attr.nameEnd);
+    const prefix = /^(:|\.|v-bind:)/.exec(name);
+    if (name === 'v-bind') return 'drop';
+    if (!prefix) return null;
+    const bound = name.slice(prefix[0].length).toLowerCase();
+    if (attrs.some(other => other !== attr && scanner.text.slice(other.nameStart, other.nameEnd).toLowerCase() === bound)) return 'drop';
+    scanner.blank(attr.nameStart, attr.nameStart + prefix[0].length);
+    return 'bound';
+}
+
+// className and htmlFor are JSX spellings of class and for
+function jsxAttribute(scanner, attr) {
+    const name = scanner.text.slice(attr.nameStart, attr.nameEnd);
+    const html = { className: 'class', htmlFor: 'for' }[name];
+    if (html) {
+        scanner.replace(attr.nameStart, html);
+        scanner.blank(attr.nameStart + html.length, attr.nameEnd);
+    }
+    return null;
+}
+
+class Scanner {
+    constructor(text, dialect) {
+        this.text = text;
+        this.dialect = dialect;
+        this.out = text.split('');
+        this.ranges = [];
+        this.textareas = [];
+    }
+
+    blank(start, end) {
+        for (let i = start; i < end; i++) {
+            if (this.out[i] !== '\n' && this.out[i] !== '\r') this.out[i] = ' ';
+        }
+    }
+
+    replace(start, text) {
+        for (let i = 0; i < text.length; i++) this.out[start + i] = text[i];
+    }
+
+    mark(start, end) {
+        this.ranges.push({ start, end });
+    }
+
+    /**
+     * Apply a matched expression in text or inside a quoted attribute value
+     */
+    expression(i, match) {
+        this.mark(i, match.end);
+        if (!match.inner) {
+            this.blank(i, match.end);
+            return;
+        }
+        const [start, end] = match.inner;
+        this.blank(i, start);
+        this.blank(end, match.end);
+        // A string literal renders its contents: {' '}, {"Save"}
+        const body = this.text.slice(start, end);
+        const literal = /^(\s*)(["'`])[\s\S]*\2\s*$/.exec(body);
+        if (literal) {
+            const open = start + literal[1].length;
+            const close = start + body.trimEnd().length - 1;
+            this.blank(open, open + 1);
+            this.blank(close, close + 1);
+        }
+    }
+
+    /**
+     * Markup between start and end: tags, text and template syntax
+     */
+    markup(start, end) {
+        const text = this.text;
+        let i = start;
+        while (i < end) {
+            if (text.startsWith('<!--', i)) {
+                const close = text.indexOf('-->', i + 4);
+                i = close === -1 ? end : close + 3;
+            } else if (text[i] === '<' && /[a-zA-Z]/.test(text[i + 1] || '')) {
+                i = this.startTag(i).end;
+            } else if (text[i] === '<' && text[i + 1] === '/' && /[a-zA-Z]/.test(text[i + 2] || '')) {
+                i = this.endTag(i);
+            } else if (text[i] === '{' && this.dialect.expression(text, i)) {
+                const match = this.dialect.expression(text, i);
+                this.expression(i, match);
+                i = match.end;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * Start tag at i, and the content of raw text elements after it
+     * @returns {{ name: string, end: number, selfClosing: boolean }}
+     */
+    startTag(i) {
+        const text = this.text;
+        let j = i + 1;
+        while (j < text.length && !/[\s/>{]/.test(text[j])) j++;
+        const name = text.slice(i + 1, j);
+        this.componentName(i + 1, j);
+
+        const attrs = [];
+        let selfClosing = false;
+        while (j < text.length) {
+            if (/\s/.test(text[j])) {
+                j++;
+            } else if (text[j] === '>') {
+                j++;
+                break;
+            } else if (text.startsWith('/>', j)) {
+                selfClosing = true;
+                j += 2;
+                break;
+            } else if (text[j] === '{' && this.dialect.expression(text, j)) {
+                j = this.tagExpression(j, this.dialect.expression(text, j));
+            } else {
+                const attr = this.attribute(j);
+                if (attr.end > attr.nameStart) attrs.push(attr);
+                j = Math.max(attr.end, j + 1);
+            }
+        }
+        attrs.forEach(attr => this.attributeValue(attr, attrs));
+
+        const lower = name.toLowerCase();
+        if ((this.dialect.unwrap || []).includes(lower)) this.blank(i, j);
+        if (selfClosing && this.dialect.components && RAW_TEXT.includes(lower)) {
+            // <textarea /> would take the rest of the markup as its text; it is parsed as an <input>
+            // and turned back into a textarea afterwards (see restoreTextareas)
+            if (lower === 'textarea') {
+                this.replace(i + 1, 'input');
+                this.blank(i + 6, i + 9);
+                this.textareas.push(i);
+            } else {
+                this.blank(i, j);
+            }
+        }
+        if (RAW_TEXT.includes(lower) && !selfClosing && !this.dialect.code) {
+            const close = text.toLowerCase().indexOf(`</${lower}`, j);
+            const closeEnd = close === -1 ? text.length : Math.max(close, text.indexOf('>', close) + 1);
+            if ((this.dialect.drop || []).includes(lower)) this.blank(i, closeEnd);
+            return { name, end: closeEnd, selfClosing };
+        }
+        return { name, end: j, selfClosing };
+    }
+
+    endTag(i) {
+        let j = i + 2;
+        while (j < this.text.length && !/[\s>]/.test(this.text[j])) j++;
+        const name = this.text.slice(i + 2, j);
+        this.componentName(i + 2, j);
+        const close = this.text.indexOf('>', j);
+        const end = close === -1 ? this.text.length : close + 1;
+        if ((this.dialect.unwrap || []).includes(name.toLowerCase())) this.blank(i, end);
+        return end;
+    }
+
+    /**
+     * Components (<Button>, <Card.Title>) would parse as the HTML element of the
+     * same name; give them a custom element name of the same length instead
+     */
+    componentName(start, end) {
+        if (this.dialect.components && end - start > 1 && /[A-Z]/.test(this.text[start])) {
+            this.out[start + 1] = '-';
+        }
+    }
+
+    /**
+     * Template syntax where an attribute would be: spreads and blocks are removed,
+     * Svelte's {name} shorthand becomes the attribute name
+     */
+    tagExpression(i, match) {
+        this.mark(i, match.end);
+        const body = match.inner ? this.text.slice(match.inner[0], match.inner[1]) : '';
+        if (this.dialect.braceValues && /^\s*[a-zA-Z_$][\w$]*\s*$/.test(body)) {
+            this.blank(i, i + 1);
+            this.blank(match.end - 1, match.end);
+        } else {
+            this.blank(i, match.end);
+        }
+        return match.end;
+    }
+
+    /**
+     * Find the extent of one attribute
+     * @returns {{ nameStart: number, nameEnd: number, valueStart: number, valueEnd: number, end: number }}
+     */
+    attribute(i) {
+        const text = this.text;
+        let j = i;
+        while (j < text.length && !/[\s=/>{]/.test(text[j])) j++;
+        const attr = { nameStart: i, nameEnd: j, valueStart: j, valueEnd: j, end: j };
+
+        let k = j;
+        while (k < text.length && /\s/.test(text[k])) k++;
+        if (text[k] !== '=') return attr;
+        k++;
+        while (k < text.length && /\s/.test(text[k])) k++;
+
+        attr.valueStart = k;
+        if (text[k] === '"' || text[k] === "'") {
+            const close = text.indexOf(text[k], k + 1);
+            attr.valueEnd = close === -1 ? text.length : close + 1;
+        } else if (text[k] === '{' && this.dialect.braceValues && matchBrace(text, k) !== -1) {
+            attr.valueEnd = matchBrace(text, k);
+        } else {
+            while (k < text.length && !/[\s>]/.test(text[k])) {
+                const match = text[k] === '{' ? this.dialect.expression(text, k) : null;
+                k = match ? match.end : k + 1;
+            }
+            attr.valueEnd = k;
+        }
+        attr.end = attr.valueEnd;
+        return attr;
+    }
+
+    attributeValue(attr, attrs) {
+        const text = this.text;
+        const action = this.dialect.attribute ? this.dialect.attribute(this, attr, attrs) : null;
+        if (action === 'drop') {
+            this.mark(attr.nameStart, attr.end);
+            this.blank(attr.nameStart, attr.end);
+            return;
+        }
+        if (action === 'bound') {
+            this.mark(attr.nameStart, attr.end);
+            return;
+        }
+        if (attr.valueEnd === attr.valueStart) return;
+
+        if (text[attr.valueStart] === '{' && this.dialect.braceValues) {
+            // alt={label} becomes alt="label"
+            this.mark(attr.valueStart, attr.valueEnd);
+            this.out[attr.valueStart] = '"';
+            this.out[attr.valueEnd - 1] = '"';
+            for (let i = attr.valueStart + 1; i < attr.valueEnd - 1; i++) {
+                if (this.out[i] === '"') this.out[i] = "'";
+            }
+            if (this.dialect.code) this.embedded(attr.valueStart + 1, attr.valueEnd - 1);
+            return;
+        }
+        // Template syntax inside a plain value: class="card {{ modifier }}"
+        let i = attr.valueStart;
+        while (i < attr.valueEnd) {
+            const match = text[i] === '{' ? this.dialect.expression(text, i) : null;
+            if (match && match.end <= attr.valueEnd) {
+                this.expression(i, match);
+                i = match.end;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    /**
+     * JSX in an expression ({items.map(item => <li>...</li>)}) stays; the
+     * code around it is removed
+     */
+    embedded(start, end) {
+        if (JSX_IN_CODE.test(this.text.slice(start, end))) {
+            this.code(start, end);
+        }
+    }
+
+    /**
+     * JavaScript between start and end: blank everything but JSX elements
+     */
+    code(start, end) {
+        const text = this.text;
+        let i = start;
+        while (i < end) {
+            const ch = text[i];
+            let next = i + 1;
+            if (ch === '"' || ch === "'" || ch === '`') {
+                next = skipString(text, i, end);
+            } else if (text.startsWith('//', i)) {
+                const close = text.indexOf('\n', i);
+                next = close === -1 || close > end ? end : close;
+            } else if (text.startsWith('/*', i)) {
+                const close = text.indexOf('*/', i + 2);
+                next = close === -1 || close > end ? end : close + 2;
+            } else if (ch === '<' && /[a-zA-Z>]/.test(text[i + 1] || '') && startsJsx(text, i)) {
+                i = Math.min(this.element(i), end);
+                continue;
+            }
+            this.blank(i, next);
+            i = next;
+        }
+    }
+
+    /**
+     * JSX element or fragment at i
+     * @returns {number} Offset after its end tag
+     */
+    element(i) {
+        const text = this.text;
+        let j;
+        if (text[i + 1] === '>') {
+            this.blank(i, i + 2);
+            j = i + 2;
+        } else {
+            const tag = this.startTag(i);
+            if (tag.selfClosing) return tag.end;
+            j = tag.end;
+        }
+
+        // Children, up to the first end tag at this level
+        while (j < text.length) {
+            if (text.startsWith('</', j)) {
+                if (text[j + 2] === '>') {
+                    this.blank(j, j + 3);
+                    return j + 3;
+                }
+                return this.endTag(j);
+            }
+            if (text[j] === '<' && /[a-zA-Z>]/.test(text[j + 1] || '')) {
+                j = this.element(j);
+            } else if (text[j] === '{' && matchBrace(text, j) !== -1) {
+                const close = matchBrace(text, j);
+                const match = braceExpression(text, j);
+                if (match.inner && JSX_IN_CODE.test(text.slice(j + 1, close - 1))) {
+                    this.mark(j, close);
+                    this.blank(j, j + 1);
+                    this.blank(close - 1, close);
+                    this.code(j + 1, close - 1);
+                } else {
+                    this.expression(j, match);
+                }
+                j = close;
+            } else {
+                j++;
+            }
+        }
+        return j;
+    }
+}
+
+// An element in expression position inside JavaScript
+const JSX_IN_CODE = /(^|[(,=:?[{!&|;]|=>|\breturn)\s*<[a-zA-Z>]/;
+
+/**
+ * Whether the "<" at i starts a JSX element rather than a comparison or type argument
+ */
+function startsJsx(text, i) {
+    let j = i - 1;
+    while (j >= 0 && /\s/.test(text[j])) j--;
+    if (j < 0 || /[(,=:?[{}!&|;>]/.test(text[j])) return true;
+    const word = /([a-zA-Z]+)$/.exec(text.slice(Math.max(0, j - 8), j + 1));
+    return Boolean(word && ['return', 'yield', 'default', 'case', 'else'].includes(word[1]));
+}
+
+/**
+ * Offset after the string or template literal starting at i
+ */
+function skipString(text, i, end) {
+    const quote = text[i];
+    let j = i + 1;
+    while (j < end && text[j] !== quote) {
+        if (text[j] === '\\') j++;
+        // An unterminated quote ends at the line break
+        if (text[j] === '\n' && quote !== '`') return j;
+        j++;
+    }
+    return Math.min(j + 1, end);
+}
+
+/**
+ * Offset after the "}" that closes the "{" at i, skipping strings and comments
+ * @returns {number} -1 if it is never closed
+ */
+function matchBrace(text, i) {
+    let depth = 0;
+    let j = i;
+    while (j < text.length) {
+        const ch = text[j];
+        if (ch === '"' || ch === "'" || ch === '`') {
+            j = skipString(text, j, text.length);
+            continue;
+        }
+        if (text.startsWith('/*', j)) {
+            const close = text.indexOf('*/', j + 2);
+            if (close === -1) return -1;
+            j = close + 2;
+            continue;
+        }
+        if (ch === '{') depth++;
+        if (ch === '}' && --depth === 0) return j + 1;
+        j++;
+    }
+    return -1;
+}
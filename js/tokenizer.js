@@ -0,0 +1,234 @@
+/**
+ * MarkupAudit HTML Tokenizer
+ * A lightweight, position-tracking tokenizer. Unlike DOMParser it keeps the
+ * source offset of every tag, attribute and comment so issues can point at
+ * the exact markup that caused them.
+ */
+
+export const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is not parsed as markup
+const RAW_TEXT_ELEMENTS = new Set([
+    'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes'
+]);
+
+const WHITESPACE = /\s/;
+const TAG_NAME_START = /[a-zA-Z]/;
+
+/**
+ * Tokenize raw HTML.
+ *
+ * Token shapes (all offsets are 0-based, `end` is exclusive):
+ *   { type: 'startTag', name, attrs: [{ name, value, start, end }], selfClosing, start, end }
+ *   { type: 'endTag', name, start, end }
+ *   { type: 'comment', data, start, end }
+ *   { type: 'doctype', data, start, end }
+ *   { type: 'text', start, end }
+ * Tokens cut off by the end of input carry `unterminated: true`.
+ *
+ * @param {string} html
+ * @returns {object[]}
+ */
+export function tokenize(html) {
+    const tokens = [];
+    const length = html.length;
+    let pos = 0;
+    let textStart = -1;
+
+    const flushText = (end) => {
+        if (textStart !== -1 && end > textStart) {
+            tokens.push({ type: 'text', start: textStart, end });
+        }
+        textStart = -1;
+    };
+
+    while (pos < length) {
+        if (html[pos] !== '<') {
+            if (textStart === -1) textStart = pos;
+            pos++;
+            continue;
+        }
+
+        const next = html[pos + 1];
+
+        if (html.startsWith('<!--', pos)) {
+            flushText(pos);
+            const close = html.indexOf('-->', pos + 4);
+            const end = close === -1 ? length : close + 3;
+            tokens.push({
+                type: 'comment',
+                data: html.slice(pos + 4, close === -1 ? length : close),
+                start: pos,
+                end,
+                ...(close === -1 && { unterminated: true })
+            });
+            pos = end;
+        } else if (next === '!' || next === '?') {
+            // Doctype, CDATA or bogus comment
+            flushText(pos);
+            const isCdata = html.startsWith('<![CDATA[', pos);
+            const close = isCdata ? html.indexOf(']]>', pos) : html.indexOf('>', pos);
+            const end = close === -1 ? length : close + (isCdata ? 3 : 1);
+            const data = html.slice(pos + 2, close === -1 ? length : close);
+            const isDoctype = /^doctype/i.test(data);
+            tokens.push({ type: isDoctype ? 'doctype' : 'comment', data, start: pos, end });
+            pos = end;
+        } else if (next === '/' && TAG_NAME_START.test(html[pos + 2] || '')) {
+            flushText(pos);
+            const tag = readTag(html, pos + 2);
+            tokens.push({ type: 'endTag', name: tag.name, start: pos, end: tag.end, ...(tag.unterminated && { unterminated: true }) });
+            pos = tag.end;
+        } else if (next === '/' && html[pos + 2] === '>') {
+            // "</>" is ignored by browsers
+            flushText(pos);
+            pos += 3;
+        } else if (next === '/') {
+            // "</ 3>" etc. become bogus comments
+            flushText(pos);
+            const close = html.indexOf('>', pos);
+            const end = close === -1 ? length : close + 1;
+            tokens.push({ type: 'comment', data: html.slice(pos + 2, end - 1), start: pos, end });
+            pos = end;
+        } else if (TAG_NAME_START.test(next || '')) {
+            flushText(pos);
+            const tag = readTag(html, pos + 1);
+            tokens.push({
+                type: 'startTag',
+                name: tag.name,
+                attrs: tag.attrs,
+                selfClosing: tag.selfClosing,
+                start: pos,
+                end: tag.end,
+                ...(tag.unterminated && { unterminated: true })
+            });
+            pos = tag.end;
+
+            if (RAW_TEXT_ELEMENTS.has(tag.name) && !tag.unterminated) {
+                const closeIndex = findRawTextEnd(html, pos, tag.name);
+                if (closeIndex > pos) tokens.push({ type: 'text', start: pos, end: closeIndex });
+                pos = closeIndex;
+            }
+        } else {
+            if (textStart === -1) textStart = pos;
+            pos++;
+        }
+    }
+    flushText(length);
+
+    return tokens;
+}
+
+/**
+ * Read a tag name and its attributes, starting just after "<" or "</"
+ */
+function readTag(html, pos) {
+    const length = html.length;
+    const nameStart = pos;
+    while (pos < length && !WHITESPACE.test(html[pos]) && html[pos] !== '/' && html[pos] !== '>') pos++;
+    const name = html.slice(nameStart, pos).toLowerCase();
+
+    const attrs = [];
+    let selfClosing = false;
+
+    while (pos < length) {
+        const c = html[pos];
+        if (WHITESPACE.test(c)) {
+            pos++;
+        } else if (c === '>') {
+            return { name, attrs, selfClosing, end: pos + 1 };
+        } else if (c === '/') {
+            selfClosing = html[pos + 1] === '>';
+            pos++;
+        } else {
+            selfClosing = false;
+            const attr = readAttribute(html, pos);
+            attrs.push(attr);
+            pos = attr.end;
+        }
+    }
+
+    return { name, attrs, selfClosing, end: length, unterminated: true };
+}
+
+function readAttribute(html, pos) {
+    const length = html.length;
+    const start = pos;
+
+    // The first character may be "=" (a parse error, but part of the name)
+    pos++;
+    while (pos < length && !WHITESPACE.test(html[pos]) && !'/>='.includes(html[pos])) pos++;
+    const name = html.slice(start, pos).toLowerCase();
+
+    let lookahead = pos;
+    while (lookahead < length && WHITESPACE.test(html[lookahead])) lookahead++;
+    if (html[lookahead] !== '=') {
+        return { name, value: '', start, end: pos };
+    }
+
+    pos = lookahead + 1;
+    while (pos < length && WHITESPACE.test(html[pos])) pos++;
+
+    const quote = html[pos];
+    if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, pos + 1);
+        const end = close === -1 ? length : close + 1;
+        return { name, value: decodeEntities(html.slice(pos + 1, close === -1 ? length : close)), start, end };
+    }
+
+    const valueStart = pos;
+    while (pos < length && !WHITESPACE.test(html[pos]) && html[pos] !== '>') pos++;
+    return { name, value: decodeEntities(html.slice(valueStart, pos)), start, end: pos };
+}
+
+function findRawTextEnd(html, pos, name) {
+    const pattern = new RegExp(`</${name}[\\s/>]`, 'ig');
+    pattern.lastIndex = pos;
+    const match = pattern.exec(html);
+    return match ? match.index : html.length;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(value) {
+    if (!value.includes('&')) return value;
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            if (Number.isNaN(code)) return match;
+            // The parser turns NUL, surrogates and code points past U+10FFFF into U+FFFD
+            return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? '\ufffd' : String.fromCodePoint(code);
+        }
+        const named = NAMED_ENTITIES[entity.toLowerCase()];
+        return named !== undefined ? named : match;
+    });
+}
+
+/**
+ * Converts source offsets into 1-based line and column numbers
+ */
+export class LineIndex {
+    constructor(text) {
+        this.lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text.charCodeAt(i) === 10) this.lineStarts.push(i + 1);
+        }
+    }
+
+    /**
+     * @param {number} offset
+     * @returns {{ line: number, column: number, offset: number }}
+     */
+    position(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - this.lineStarts[low] + 1, offset };
+    }
+}
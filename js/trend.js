@@ -0,0 +1,97 @@
+/**
+ * MarkupAudit Trend Chart
+ * Renders overall and category scores of past audits as an inline SVG line chart.
+ */
+
+// Same order as the category card colours in css/styles.css and the PDF export
+export const SERIES_COLORS = ['#2563eb', '#9333ea', '#16a34a', '#ea580c', '#db2777', '#0d9488', '#4f46e5', '#65a30d', '#0284c7', '#e11d48'];
+
+const PADDING = { top: 12, right: 16, bottom: 28, left: 36 };
+
+/**
+ * Build the SVG markup for a score trend
+ * @param {{ savedAt: string, overallScore: number, categories: { id: string, name: string, score: number }[] }[]} audits
+ *        Audit summaries (see js/history.js), oldest first
+ * @param {object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @returns {string} SVG element markup, or an empty string when there is nothing to plot
+ */
+export function createTrendChart(audits, { width = 640, height = 220 } = {}) {
+    if (audits.length === 0) return '';
+
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const x = i => PADDING.left + (audits.length === 1 ? plotWidth / 2 : i * plotWidth / (audits.length - 1));
+    const y = score => PADDING.top + (100 - score) * plotHeight / 100;
+
+    const grid = [0, 25, 50, 75, 100].map(score => `
+        <line class="trend-grid" x1="${PADDING.left}" y1="${y(score)}" x2="${width - PADDING.right}" y2="${y(score)}" />
+        <text class="trend-axis" x="${PADDING.left - 6}" y="${y(score) + 4}" text-anchor="end">${score}</text>`).join('');
+
+    const first = formatDate(audits[0].savedAt);
+    const last = formatDate(audits[audits.length - 1].savedAt);
+    const dates = `
+        <text class="trend-axis" x="${x(0)}" y="${height - 8}" text-anchor="${audits.length === 1 ? 'middle' : 'start'}">${first}</text>
+        ${audits.length > 1 ? `<text class="trend-axis" x="${x(audits.length - 1)}" y="${height - 8}" text-anchor="end">${last}</text>` : ''}`;
+
+    const series = trendSeries(audits).map(({ name, scores, overall }, index) => {
+        const color = overall ? 'currentColor' : SERIES_COLORS[(index - 1) % SERIES_COLORS.length];
+        const points = scores
+            .map((score, i) => (score === null ? null : [x(i), y(score), score, i]))
+            .filter(Boolean);
+        const path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${px.toFixed(1)},${py.toFixed(1)}`).join(' ');
+        const dots = points.map(([px, py, score, i]) => `
+            <circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="${overall ? 4 : 2.5}" fill="${color}">
+                <title>${escapeXml(name)}: ${score} (${formatDate(audits[i].savedAt)})</title>
+            </circle>`).join('');
+        return `
+        <g class="trend-series${overall ? ' trend-overall' : ''}">
+            <path d="${path}" fill="none" stroke="${color}" stroke-width="${overall ? 3 : 1.5}" />
+            ${dots}
+        </g>`;
+    }).join('');
+
+    return `<svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score trend over ${audits.length} ${audits.length === 1 ? 'audit' : 'audits'}">${grid}${dates}${series}
+</svg>`;
+}
+
+/**
+ * Overall and per-category score series, one value per audit (null when a
+ * category did not exist yet)
+ * @param {object[]} audits Audit summaries, oldest first
+ * @returns {{ name: string, overall: boolean, scores: (number|null)[] }[]}
+ */
+export function trendSeries(audits) {
+    const categories = new Map();
+    audits.forEach(audit => audit.categories.forEach(category => {
+        if (!categories.has(category.id)) categories.set(category.id, category.name);
+    }));
+
+    return [
+        { name: 'Overall', overall: true, scores: audits.map(audit => audit.overallScore) },
+        ...[...categories.entries()].map(([id, name]) => ({
+            name,
+            overall: false,
+            scores: audits.map(audit => {
+                const category = audit.categories.find(c => c.id === id);
+                return category ? category.score : null;
+            })
+        }))
+    ];
+}
+
+/**
+ * "YYYY-MM-DD HH:MM" in local time
+ * @param {string} iso
+ * @returns {string}
+ */
+export function formatDate(iso) {
+    const d = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function escapeXml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
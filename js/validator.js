@@ -0,0 +1,270 @@
+/**
+ * MarkupAudit Markup Validator
+ * Finds the parse errors and content-model violations that DOMParser repairs
+ * silently: unclosed and misnested elements, stray end tags, duplicate
+ * attributes, and elements the parser moves or closes because they are not
+ * allowed where they appear. Works on the tokenizer output, so every error
+ * has an exact source range.
+ *
+ * This is a simplified model of the HTML tree builder, not a full
+ * conformance checker; it aims to report what the parser changes.
+ */
+
+import { tokenize, VOID_ELEMENTS } from './tokenizer.js';
+import { P_CLOSERS } from './locator.js';
+
+// Elements whose end tag may be omitted
+const OPTIONAL_END = new Set([
+    'html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'rb', 'rt', 'rtc', 'rp', 'optgroup', 'option',
+    'colgroup', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'
+]);
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Boundaries an end tag cannot close across
+const END_TAG_SCOPE = ['table', 'td', 'th', 'caption', 'template', 'html'];
+
+// Elements that may only hold phrasing content
+const PHRASING_ONLY = new Set([
+    'abbr', 'b', 'bdi', 'bdo', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'h1', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'i', 'kbd', 'label', 'legend', 'mark', 'meter', 'output', 'pre', 'progress', 'q', 's',
+    'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+// Elements that take on the content model of their parent
+const TRANSPARENT = new Set(['a', 'ins', 'del', 'map', 'object', 'video', 'audio', 'canvas', 'noscript', 'slot']);
+
+// Flow content that is not phrasing content
+const FLOW_ONLY = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'div', 'dl', 'fieldset',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'main',
+    'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+const INTERACTIVE = new Set(['a', 'button', 'details', 'embed', 'iframe', 'select', 'textarea']);
+
+// Elements the parser ignores outside a table
+const TABLE_PARTS = new Set(['caption', 'col', 'colgroup', 'tbody', 'thead', 'tfoot', 'tr', 'td', 'th']);
+
+// Elements allowed directly inside table sections; anything else is moved before the table
+const TABLE_CONTEXT = new Set(['table', 'tbody', 'thead', 'tfoot', 'tr']);
+const TABLE_ALLOWED = new Set([...TABLE_PARTS, 'script', 'style', 'template', 'form']);
+
+/**
+ * @param {string} html
+ * @param {object[]} [tokens] Output of tokenize(html), if already available
+ * @param {object} [options]
+ * @param {boolean} [options.fragment] Markup is a partial: list items, terms and table
+ *        parts at the top level may belong to a container elsewhere
+ * @param {boolean} [options.components] Self-closing syntax closes any element, as in JSX, Vue and Svelte
+ * @returns {{ type: 'unclosed'|'misnested'|'stray-end-tag'|'duplicate-attribute'|'content-model', message: string, suggestion: string, start: number, end: number }[]}
+ *          Sorted by position
+ */
+export function validateMarkup(html, tokens = tokenize(html), options = {}) {
+    const errors = [];
+    const stack = [];
+    const closedEarly = []; // elements closed or dropped early (already reported), whose own end tag will be stray
+    let foreignDepth = 0;
+    let pClosedBy = null; // start tag that last closed an open <p>
+    const selfClosed = new Set(); // non-void start tags written as <x/>, already reported
+
+    const error = (type, token, message, suggestion) => errors.push({ type, message, suggestion, start: token.start, end: token.end });
+    const tag = token => `<${token.name}>`;
+    const current = () => stack[stack.length - 1];
+    const indexOf = (names, boundaries = []) => {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (names.includes(stack[i].name)) return i;
+            if (boundaries.includes(stack[i].name)) return -1;
+        }
+        return -1;
+    };
+    const pop = () => {
+        const token = stack.pop();
+        if (token.name === 'svg' || token.name === 'math') foreignDepth--;
+        return token;
+    };
+    const popTo = (index) => {
+        while (stack.length > index) pop();
+    };
+
+    tokens.forEach(token => {
+        if (token.unterminated) {
+            const what = token.type === 'comment' ? 'Comment' : `Tag <${token.type === 'endTag' ? '/' : ''}${token.name || '!'}`;
+            error('unclosed', token, `${what}${token.type === 'comment' ? '' : '>'} is cut off by the end of the document.`, 'Close it; the parser drops or swallows everything after it.');
+            return;
+        }
+        if (token.type === 'startTag') {
+            startTag(token);
+        } else if (token.type === 'endTag') {
+            endTag(token);
+        }
+    });
+
+    stack.filter(token => !OPTIONAL_END.has(token.name) && !selfClosed.has(token)).forEach(token => {
+        error('unclosed', token, `${tag(token)} is never closed.`, `Add </${token.name}> where the element should end.`);
+    });
+
+    return errors.sort((a, b) => a.start - b.start);
+
+    function startTag(token) {
+        const name = token.name;
+
+        const seen = new Set();
+        token.attrs.forEach(attr => {
+            const attrName = attr.name.toLowerCase();
+            if (seen.has(attrName)) {
+                errors.push({ type: 'duplicate-attribute', message: `Duplicate attribute "${attrName}" on ${tag(token)}; browsers keep the first one.`, suggestion: 'Remove the duplicate, or merge the values into one attribute.', start: attr.start, end: attr.end });
+            }
+            seen.add(attrName);
+        });
+
+        if (foreignDepth > 0) {
+            if (token.selfClosing) return;
+            stack.push(token);
+            if (name === 'svg' || name === 'math') foreignDepth++;
+            return;
+        }
+
+        contentModel(token);
+
+        if (token.selfClosing && !VOID_ELEMENTS.has(name) && name !== 'svg' && name !== 'math' && !options.components) {
+            error('unclosed', token, `Self-closing syntax on ${tag(token)} is ignored; the element stays open.`, `Write <${name}></${name}>; only void elements such as <br> and <img> close themselves.`);
+            selfClosed.add(token);
+        }
+
+        // Implied ends, as in the tree builder
+        if (P_CLOSERS.has(name)) {
+            const p = indexOf(['p'], [...END_TAG_SCOPE, 'button']);
+            if (p !== -1) {
+                popTo(p);
+                pClosedBy = token;
+            }
+        }
+        if (HEADINGS.includes(name) && current() && HEADINGS.includes(current().name)) {
+            error('content-model', token, `${tag(token)} inside <${current().name}>: the parser closes the <${current().name}> first.`, `Close the <${current().name}> before starting a new heading.`);
+            closedEarly.push(pop().name);
+        }
+        if (name === 'a') {
+            const a = indexOf(['a']);
+            if (a !== -1) {
+                stack.splice(a, 1);
+                closedEarly.push('a');
+            }
+        }
+        if (name === 'button') {
+            const button = indexOf(['button'], END_TAG_SCOPE);
+            if (button !== -1) {
+                popTo(button);
+                closedEarly.push('button');
+            }
+        }
+        if (name === 'li') popOptional(['li'], ['ul', 'ol', 'menu']);
+        if (name === 'dt' || name === 'dd') popOptional(['dt', 'dd'], ['dl']);
+        if (name === 'tr') popOptional(['tr'], ['table', 'thead', 'tbody', 'tfoot']);
+        if (name === 'td' || name === 'th') popOptional(['td', 'th'], ['table', 'tr']);
+        if (name === 'thead' || name === 'tbody' || name === 'tfoot') popOptional(['thead', 'tbody', 'tfoot'], ['table']);
+        if ((name === 'option' || name === 'optgroup') && current() && current().name === 'option') pop();
+
+        if (name === 'form' && indexOf(['form']) !== -1) {
+            // Ignored by the parser; its end tag closes the outer form, so the outer end tag is expected to be stray
+            closedEarly.push('form');
+            return;
+        }
+        if (TABLE_PARTS.has(name) && indexOf(['table'], ['template']) === -1) {
+            closedEarly.push(name); // the end tag is ignored as well
+            return;
+        }
+        if (VOID_ELEMENTS.has(name) || token.selfClosing && (options.components || name === 'svg' || name === 'math')) return;
+
+        stack.push(token);
+        if (name === 'svg' || name === 'math') foreignDepth++;
+    }
+
+    // Close an open element whose end tag is optional, within its container
+    function popOptional(names, containers) {
+        const i = indexOf(names, [...END_TAG_SCOPE, ...containers]);
+        if (i !== -1) popTo(i);
+    }
+
+    function contentModel(token) {
+        const name = token.name;
+        const parent = current();
+        const topLevel = options.fragment && stack.length === 0;
+
+        if (topLevel && (name === 'li' || name === 'dt' || name === 'dd' || TABLE_PARTS.has(name))) return;
+        if (name === 'li' && indexOf(['ul', 'ol', 'menu'], ['td', 'th', 'template']) === -1) {
+            error('content-model', token, '<li> outside <ul>, <ol> or <menu>.', 'Wrap list items in a <ul> or <ol>.');
+        }
+        if ((name === 'dt' || name === 'dd') && indexOf(['dl'], ['td', 'th', 'template']) === -1) {
+            error('content-model', token, `${tag(token)} outside <dl>.`, 'Wrap terms and descriptions in a <dl>.');
+        }
+        if (TABLE_PARTS.has(name) && indexOf(['table'], ['template']) === -1) {
+            error('content-model', token, `${tag(token)} outside a <table> is ignored by the parser.`, 'Put table rows and cells inside a <table>.');
+            return;
+        }
+        if (parent && TABLE_CONTEXT.has(parent.name) && !TABLE_ALLOWED.has(name) && !(name === 'input' && token.attrs.some(attr => attr.name === 'type' && attr.value.toLowerCase() === 'hidden'))) {
+            error('content-model', token, `${tag(token)} directly inside <${parent.name}> is moved in front of the table.`, 'Put the content inside a <td> or <th>, or outside the table.');
+            return;
+        }
+        if (name === 'form' && indexOf(['form']) !== -1) {
+            error('content-model', token, 'Nested <form> is ignored by the parser.', 'Forms cannot contain forms; close the outer form first, or use the form attribute on the controls.');
+        }
+
+        const interactive = INTERACTIVE.has(name) || (name === 'input' && !token.attrs.some(attr => attr.name === 'type' && attr.value.toLowerCase() === 'hidden'));
+        const host = indexOf(['a', 'button'], END_TAG_SCOPE);
+        if (interactive && host !== -1) {
+            const outer = stack[host].name;
+            // A nested <a> or <button> makes the parser close the outer one
+            error('content-model', token, `${tag(token)} inside <${outer}>${name === outer ? `: the parser closes the outer <${outer}> first` : ''}.`, `Interactive elements cannot be nested; move the ${tag(token)} out of the <${outer}>.`);
+        }
+
+        // Flow content where only phrasing content is allowed; headings in headings are handled above
+        if (FLOW_ONLY.has(name) && !(HEADINGS.includes(name) && parent && HEADINGS.includes(parent.name))) {
+            const container = [...stack].reverse().find(open => !TRANSPARENT.has(open.name));
+            if (container && PHRASING_ONLY.has(container.name)) {
+                error('content-model', token, `${tag(token)} is not allowed inside <${container.name}>.`, `<${container.name}> may only contain phrasing content (text and inline elements); use a <span> or restructure.`);
+            }
+        }
+    }
+
+    function endTag(token) {
+        const name = token.name;
+
+        if (VOID_ELEMENTS.has(name)) {
+            error('stray-end-tag', token, `End tag </${name}> for a void element.`, `<${name}> has no end tag; remove </${name}>.`);
+            return;
+        }
+
+        const i = indexOf([name], endTagBoundaries(name));
+        if (i === -1) {
+            if (name === 'p' && pClosedBy) {
+                error('content-model', pClosedBy, `<${pClosedBy.name}> is not allowed inside <p>; the parser closes the <p> before it.`, `Use a <div> instead of the <p>, or close the <p> before the <${pClosedBy.name}>.`);
+                pClosedBy = null;
+                return;
+            }
+            const early = closedEarly.indexOf(name);
+            if (early !== -1) {
+                closedEarly.splice(early, 1); // a consequence of an error reported earlier
+                return;
+            }
+            if (['html', 'head', 'body'].includes(name)) return;
+            error('stray-end-tag', token, `Stray end tag </${name}> with no open <${name}>.`, `Remove it, or add the missing <${name}> start tag.`);
+            return;
+        }
+
+        stack.slice(i + 1).filter(open => !OPTIONAL_END.has(open.name)).forEach(open => {
+            error('misnested', open, `${tag(open)} is closed by </${name}> before its own end tag.`, `Close </${open.name}> before </${name}>; tags must nest.`);
+            closedEarly.push(open.name);
+        });
+        popTo(i);
+        if (name === 'p') pClosedBy = null;
+    }
+
+    // Open elements an end tag cannot close across
+    function endTagBoundaries(name) {
+        if (foreignDepth > 0) return [];
+        if (name === 'table') return ['template', 'html'];
+        if (TABLE_PARTS.has(name)) return ['table', 'template', 'html'];
+        return END_TAG_SCOPE;
+    }
+}
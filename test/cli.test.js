@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { main, EXIT_OK, EXIT_CRITICAL, EXIT_ERROR } from '../cli/index.js';
+import { globToRegExp } from '../cli/files.js';
+
+const CLEAN = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="description" content="A clean page">
+<meta property="og:title" content="Clean">
+<meta property="og:image" content="clean.png">
+<title>Clean</title>
+</head>
+<body>
+<header><p>Site</p></header>
+<main><h1>Clean</h1><p>Nothing to report.</p></main>
+<footer><p>Footer</p></footer>
+</body>
+</html>
+`;
+
+const CRITICAL = CLEAN.replace('<p>Nothing to report.</p>', '<img src="photo.png">');
+
+function run(argv, files = {}) {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'markupaudit-'));
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(cwd, name), content));
+    let stdout = '';
+    let stderr = '';
+    const io = {
+        cwd,
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    };
+    return main(argv, io).then(code => {
+        fs.rmSync(cwd, { recursive: true, force: true });
+        return { code, stdout, stderr };
+    });
+}
+
+test('exits 0 when no Critical issues are found', async () => {
+    const { code } = await run(['ok.html'], { 'ok.html': CLEAN });
+    assert.equal(code, EXIT_OK);
+});
+
+test('exits 1 when a Critical issue is found', async () => {
+    const { code } = await run(['bad.html'], { 'bad.html': CRITICAL });
+    assert.equal(code, EXIT_CRITICAL);
+});
+
+test('exits 2 when a path matches no files, even if others were audited', async () => {
+    const { code, stderr } = await run(['ok.html', 'nope.html'], { 'ok.html': CLEAN });
+    assert.equal(code, EXIT_ERROR);
+    assert.match(stderr, /nope\.html/);
+});
+
+test('exits 2 without input files or with an unknown option', async () => {
+    assert.equal((await run([])).code, EXIT_ERROR);
+    assert.equal((await run(['--no-such-option', 'ok.html'], { 'ok.html': CLEAN })).code, EXIT_ERROR);
+});
+
+test('globs support negated bracket classes', () => {
+    const matcher = globToRegExp('src/[!ab].html');
+    assert.ok(matcher.test('src/c.html'));
+    assert.ok(!matcher.test('src/a.html'));
+    assert.ok(!matcher.test('src/b.html'));
+    assert.ok(globToRegExp('src/[ab].html').test('src/a.html'));
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadParser } from '../cli/dom.js';
+import { SourceLocator } from '../js/locator.js';
+
+const parser = await loadParser();
+
+function locate(html) {
+    const doc = parser.parseFromString(html, 'text/html');
+    return { doc, source: new SourceLocator(html, doc) };
+}
+
+test('elements map to their own start tag', () => {
+    const html = '<!DOCTYPE html>\n<html>\n<body>\n  <p>One</p>\n  <p id="two">Two</p>\n</body>\n</html>';
+    const { doc, source } = locate(html);
+    const second = source.locate(doc.getElementById('two'));
+    assert.deepEqual([second.start.line, second.start.column], [5, 3]);
+    assert.equal(second.snippet, '<p id="two">Two</p>');
+    assert.equal(source.locate(doc.querySelector('p')).start.line, 4);
+});
+
+test('implied end tags end at the next sibling', () => {
+    const html = '<ul><li>One<li>Two</ul>';
+    const { doc, source } = locate(html);
+    const [first, second] = doc.querySelectorAll('li');
+    assert.equal(source.locate(first).snippet, '<li>One');
+    assert.equal(source.locate(second).start.offset, html.indexOf('<li>Two'));
+});
+
+test('elements the parser implies have no location', () => {
+    const { doc, source } = locate('<p>Just a paragraph</p>');
+    assert.equal(source.locate(doc.body), null);
+    assert.equal(source.locate(doc.querySelector('p')).start.offset, 0);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadParser } from '../cli/dom.js';
+import { AuditEngine } from '../js/rules.js';
+
+const parser = await loadParser();
+
+// head and body as a browser's DOMParser builds them for the same markup
+const CASES = [
+    ['<!DOCTYPE html><title>x</title><p>y</p>', '<title>x</title>', '<p>y</p>'],
+    ['<div style="background:#000"><p style="color:#222">Dark</p></div>', '', '<div style="background:#000"><p style="color:#222">Dark</p></div>'],
+    ['<meta charset="utf-8"><style>p { color: red; }</style><main><h1>Hi</h1></main>', '<meta charset="utf-8"><style>p { color: red; }</style>', '<main><h1>Hi</h1></main>'],
+    ['<head><title>x</title></head><body><p>y</p></body>', '<title>x</title>', '<p>y</p>'],
+    ['<!DOCTYPE html><html><head><title>x</title></head><body><p>y</p></body></html>', '<title>x</title>', '<p>y</p>']
+];
+
+test('markup without <html> gets the implied <html>, <head> and <body>', () => {
+    CASES.forEach(([html, head, body]) => {
+        const doc = parser.parseFromString(html, 'text/html');
+        assert.equal(doc.documentElement.localName, 'html', html);
+        assert.equal(doc.head.innerHTML, head, html);
+        assert.equal(doc.body.innerHTML, body, html);
+    });
+});
+
+test('a fragment keeps its nesting under <body>', () => {
+    const doc = parser.parseFromString('<div><div><span>deep</span></div></div>', 'text/html');
+    assert.equal(doc.body.querySelectorAll('div').length, 2);
+    assert.equal(doc.querySelector('span').parentElement.parentElement.parentElement, doc.body);
+});
+
+test('rules that walk <body> see markup without <html>', () => {
+    const engine = new AuditEngine({ parser });
+    const nested = `${'<div>'.repeat(12)}deep${'</div>'.repeat(12)}`;
+    const issues = engine.run(nested, 'part.html').categories.flatMap(category => category.issues);
+    assert.ok(issues.some(issue => /Excessive DOM nesting/.test(issue.description)));
+});
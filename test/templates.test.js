@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadParser } from '../cli/dom.js';
+import { AuditEngine } from '../js/rules.js';
+import { modeForFile, prepareSource } from '../js/templates.js';
+
+const engine = new AuditEngine({ parser: await loadParser() });
+
+function messages(text, mode) {
+    return engine.run(text, 'test', { mode }).categories.flatMap(category => category.issues.map(issue => `${issue.ruleId}: ${issue.description}`));
+}
+
+test('file extensions map to input modes', () => {
+    assert.equal(modeForFile('Card.jsx'), 'jsx');
+    assert.equal(modeForFile('Card.TSX'), 'jsx');
+    assert.equal(modeForFile('App.vue'), 'vue');
+    assert.equal(modeForFile('Nav.svelte'), 'svelte');
+    assert.equal(modeForFile('partial.hbs'), 'handlebars');
+    assert.equal(modeForFile('layout.njk'), 'handlebars');
+    assert.equal(modeForFile('index.html'), 'document');
+    assert.equal(modeForFile('README'), 'document');
+});
+
+test('prepared markup keeps offsets and line breaks', () => {
+    const text = '{{#if user}}\n<h1>{{ user.name }}</h1>\n{{/if}}';
+    const { html, fragment } = prepareSource(text, 'handlebars');
+    assert.equal(html.length, text.length);
+    assert.equal(html.indexOf('<h1>'), text.indexOf('<h1>'));
+    assert.equal(html.split('\n').length, text.split('\n').length);
+    assert.ok(fragment);
+    assert.throws(() => prepareSource(text, 'erb'), /Unknown input mode/);
+});
+
+test('a self-closing <textarea /> is checked as a textarea', () => {
+    const found = messages('const A = () => <form><textarea name="msg" /><p>After</p></form>;', 'jsx');
+    assert.ok(found.some(message => message.startsWith('textarea-label:')));
+    assert.ok(!found.some(message => message.startsWith('input-label:')));
+});
+
+test('messages quote template values as written', () => {
+    const found = messages('{{#if x}}<img src="{{src}}">{{/if}}', 'handlebars');
+    assert.ok(found.includes('img-alt: Image missing \'alt\' attribute (src="{{src}}").'), found.join('\n'));
+});
+
+test('link text from template output is not judged', () => {
+    const found = messages('<a href="{{url}}" target="_blank">{{label}}</a> <a href="/a">{{more}}</a>', 'handlebars');
+    assert.ok(!found.some(message => /^link-(new-window|text-ambiguous|name):/.test(message)), found.join('\n'));
+    assert.ok(messages('<a href="/a" target="_blank">Docs</a>', 'handlebars').some(message => message.startsWith('link-new-window:')));
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, LineIndex } from '../js/tokenizer.js';
+
+test('tokens carry exact source offsets', () => {
+    const html = '<p class="a &amp; b">Hi<br/></p><!-- c -->';
+    const tokens = tokenize(html);
+    assert.deepEqual(tokens.map(token => [token.type, html.slice(token.start, token.end)]), [
+        ['startTag', '<p class="a &amp; b">'],
+        ['text', 'Hi'],
+        ['startTag', '<br/>'],
+        ['endTag', '</p>'],
+        ['comment', '<!-- c -->']
+    ]);
+    const [attr] = tokens[0].attrs;
+    assert.equal(attr.value, 'a & b');
+    assert.equal(html.slice(attr.start, attr.end), 'class="a &amp; b"');
+    assert.ok(tokens[2].selfClosing);
+});
+
+test('raw text elements are not tokenized as markup', () => {
+    const html = '<script>if (a < b) document.write("<p>");</script><p>x</p>';
+    const names = tokenize(html).filter(token => token.type === 'startTag').map(token => token.name);
+    assert.deepEqual(names, ['script', 'p']);
+});
+
+test('unterminated tokens run to the end of input', () => {
+    const html = '<p>text<!-- open';
+    const last = tokenize(html).pop();
+    assert.equal(last.type, 'comment');
+    assert.equal(last.end, html.length);
+    assert.ok(last.unterminated);
+});
+
+test('attribute values decode character references', () => {
+    const value = html => tokenize(`<p title="${html}">`)[0].attrs[0].value;
+    assert.equal(value('&#x41;&#66;&lt;&unknown;'), 'AB<&unknown;');
+    // Out of range, surrogate and NUL references become U+FFFD rather than throwing
+    assert.equal(value('&#99999999;&#xD800;&#0;'), '\ufffd\ufffd\ufffd');
+});
+
+test('offsets map to 1-based lines and columns', () => {
+    const lines = new LineIndex('ab\ncd\n\nef');
+    assert.deepEqual(lines.position(0), { line: 1, column: 1, offset: 0 });
+    assert.deepEqual(lines.position(4), { line: 2, column: 2, offset: 4 });
+    assert.deepEqual(lines.position(7), { line: 4, column: 1, offset: 7 });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMarkup } from '../js/validator.js';
+
+const errors = (html, options) => validateMarkup(html, undefined, options).map(error => [error.type, html.slice(error.start, error.end)]);
+
+test('parse errors point at the offending tag', () => {
+    assert.deepEqual(errors('<div><p>a</div><b><i>x</b></i></span><img src=a src=b>'), [
+        ['misnested', '<i>'],
+        ['stray-end-tag', '</span>'],
+        ['duplicate-attribute', 'src=b']
+    ]);
+});
+
+test('unclosed elements are reported at their start tag', () => {
+    assert.deepEqual(errors('<main><section><p>Open'), [
+        ['unclosed', '<main>'],
+        ['unclosed', '<section>']
+    ]);
+});
+
+test('a block inside <p> is reported once, not again at </p>', () => {
+    assert.deepEqual(errors('<p><div>x</div></p>'), [['content-model', '<div>']]);
+});
+
+test('list items and table cells may stand alone in a fragment', () => {
+    assert.equal(errors('<li>one</li><td>x</td>').length, 2);
+    assert.deepEqual(errors('<li>one</li><td>x</td>', { fragment: true }), []);
+});
+
+test('valid markup has no errors', () => {
+    assert.deepEqual(errors('<!DOCTYPE html><html><head><title>x</title></head><body><ul><li>a<li>b</ul><p>c<p>d</body></html>'), []);
+});